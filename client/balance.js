@@ -0,0 +1,125 @@
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+
+/**
+ * Watches the balance of a ChainHeartNode's wallet.
+ *
+ * Every `interval` the monitor reads the balance and the current fees, and
+ * estimates how many heartbeats the wallet can still pay for: gas per heartbeat
+ * is taken from the node's last confirmed heartbeat (`heartbeatGas` until
+ * there is one), priced at the fee the node would offer now (maxFeePerGas or
+ * gasPrice, so the estimate errs low). At one heartbeat per `checkInterval`
+ * that is also how long a master could keep going.
+ *
+ * The balance is also checked right after any tx of the node fails, since an
+ * empty wallet otherwise only shows up as a generic tick error.
+ *
+ * Levels: "ok", "warn" (fewer than `warnHeartbeats` left), "critical" (fewer
+ * than `criticalHeartbeats`) and "empty" (not even one). Each move to a worse
+ * level is logged and emitted as `low`; moving back to "ok" emits `recovered`.
+ *
+ * Options:
+ *   interval (ms, default 300000), warnHeartbeats (default 1000),
+ *   criticalHeartbeats (default 100), heartbeatGas (default 60000),
+ *   log(level, msg, fields)
+ *
+ * Events:
+ *   low        { level, previous, ...estimate }  see check() for the estimate
+ *   recovered  { previous, ...estimate }
+ */
+
+const LEVELS = ["ok", "warn", "critical", "empty"];
+
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) return "no limit";
+  if (seconds >= 86400) return `${(seconds / 86400).toFixed(1)}d`;
+  if (seconds >= 3600) return `${(seconds / 3600).toFixed(1)}h`;
+  return `${Math.round(seconds / 60)}m`;
+}
+
+class BalanceMonitor extends EventEmitter {
+  /**
+   * @param {ChainHeartNode} node
+   * @param {object} [options]
+   */
+  constructor(node, options = {}) {
+    super();
+    this.name = "BalanceMonitor";
+    this.options = { interval: 300000, warnHeartbeats: 1000, criticalHeartbeats: 100, heartbeatGas: 60000, ...options };
+    if (this.options.criticalHeartbeats > this.options.warnHeartbeats) {
+      throw new Error(`${this.name}: criticalHeartbeats must not exceed warnHeartbeats`);
+    }
+    this.node = node;
+    this.log = options.log || (() => {});
+    this.level = "ok";
+    this.last = null;
+    this._gasPerHeartbeat = BigInt(this.options.heartbeatGas);
+    this._timer = null;
+    this._checking = null;
+
+    node.on("tx", ({ label, status, receipt }) => {
+      if (label === "heartbeat" && status === "confirmed") this._gasPerHeartbeat = receipt.gasUsed;
+      if (status === "failed" && this._timer) this.check().catch(() => {});
+    });
+  }
+
+  /** Run the first check and keep checking every `interval`. */
+  async start() {
+    if (this._timer) return;
+    await this.check();
+    this._timer = setInterval(() => this.check().catch((err) => this.log("WARN", `Balance check failed: ${err.message}`)), this.options.interval);
+    this._timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Read the balance and update the level. Resolves to
+   * `{ address, balance, gasPrice, costPerHeartbeat, heartbeatsLeft, secondsLeft }`
+   * (wei amounts as bigint). Concurrent calls share one check.
+   */
+  check() {
+    if (!this._checking) {
+      this._checking = this._check().finally(() => {
+        this._checking = null;
+      });
+    }
+    return this._checking;
+  }
+
+  async _check() {
+    const node = this.node;
+    const address = await node.wallet.getAddress();
+    const [balance, fees] = await Promise.all([node.provider.getBalance(address), node.txManager.getFees()]);
+
+    const gasPrice = fees.maxFeePerGas ?? fees.gasPrice;
+    const costPerHeartbeat = this._gasPerHeartbeat * gasPrice;
+    const heartbeatsLeft = costPerHeartbeat > 0n ? Number(balance / costPerHeartbeat) : Infinity;
+    const secondsLeft = heartbeatsLeft * (node.options.checkInterval / 1000);
+    const estimate = { address, balance, gasPrice, costPerHeartbeat, heartbeatsLeft, secondsLeft };
+    this.last = estimate;
+
+    const { warnHeartbeats, criticalHeartbeats } = this.options;
+    const level = heartbeatsLeft < 1 ? "empty" : heartbeatsLeft < criticalHeartbeats ? "critical" : heartbeatsLeft < warnHeartbeats ? "warn" : "ok";
+    const previous = this.level;
+    this.level = level;
+
+    const summary = `${ethers.formatEther(balance)} left, about ${heartbeatsLeft} heartbeats (${formatDuration(secondsLeft)}) at ${ethers.formatUnits(gasPrice, "gwei")} gwei`;
+    if (LEVELS.indexOf(level) > LEVELS.indexOf(previous)) {
+      const msg = level === "empty" ? `Wallet ${address} cannot pay for a heartbeat: ${summary}` : `Wallet ${address} balance is ${level}: ${summary}`;
+      this.log(level === "warn" ? "WARN" : "ERROR", msg, { address, alert: level });
+      this.emit("low", { level, previous, ...estimate });
+    } else if (level === "ok" && previous !== "ok") {
+      this.log("INFO", `Wallet ${address} balance recovered: ${summary}`, { address, alert: level });
+      this.emit("recovered", { previous, ...estimate });
+    } else {
+      this.log("DEBUG", `Wallet ${address}: ${summary}`, { address, alert: level });
+    }
+    return estimate;
+  }
+}
+
+module.exports = { BalanceMonitor, BALANCE_LEVELS: LEVELS };
@@ -0,0 +1,29 @@
+const { ethers } = require("ethers");
+
+/** bytes32(0): the cluster created by the ChainHeart constructor. */
+const DEFAULT_CLUSTER = ethers.ZeroHash;
+
+/**
+ * Convert a cluster name from config into the contract's bytes32 clusterId.
+ *
+ *   - empty / undefined        -> DEFAULT_CLUSTER
+ *   - 0x-prefixed 32-byte hex  -> used as-is
+ *   - anything else            -> encoded as a bytes32 string (max 31 bytes)
+ */
+function toClusterId(name) {
+  if (!name) return DEFAULT_CLUSTER;
+  if (ethers.isHexString(name, 32)) return name.toLowerCase();
+  return ethers.encodeBytes32String(name);
+}
+
+/** Human-readable form of a clusterId for logs: the decoded name, or the raw hex. */
+function formatClusterId(clusterId) {
+  if (clusterId === DEFAULT_CLUSTER) return "(default)";
+  try {
+    return ethers.decodeBytes32String(clusterId);
+  } catch {
+    return clusterId;
+  }
+}
+
+module.exports = { DEFAULT_CLUSTER, toClusterId, formatClusterId };
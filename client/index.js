@@ -1,37 +1,75 @@
-const { ethers } = require("ethers");
 const { networkInterfaces } = require("os");
 const path = require("path");
+const { ethers } = require("ethers");
 const { createProvider } = require("./providers");
-
-require("dotenv").config({ path: path.resolve(__dirname, "../.env") });
-
-// ---------------------------------------------------------------------------
-// ABI (only the functions/events we need)
-// ---------------------------------------------------------------------------
-const ABI = [
-  "function currentMasterMAC() view returns (string)",
-  "function heartbeatTimeout() view returns (uint256)",
-  "function isAlive() view returns (bool)",
-  "function getState() view returns (uint8)",
-  "function getNodeHeartbeat(string mac) view returns (uint256)",
-  "function getCurrentMaster() view returns (string mac, uint256 lastHeartbeat, bool alive)",
-  "function sendHeartbeat(string mac)",
-  "function electMaster(string mac)",
-  "event Heartbeat(string indexed mac, uint256 timestamp, uint256 blockNumber)",
-  "event MasterElected(string indexed newMasterMAC, uint256 timestamp)",
-];
-
-const STATE_NAMES = ["Idle", "Running", "Election"];
+const { toClusterId, formatClusterId } = require("./cluster");
+const { ChainHeartNode } = require("./node");
+const { endpointLabel } = require("./rpc");
+const { createStatusServer } = require("./status");
+const { NodeMetrics } = require("./metrics");
+const { BalanceMonitor } = require("./balance");
+const { logger: log, loggerOptions } = require("./logger");
+const { notifier, notifierOptions } = require("./notifiers");
 
 // ---------------------------------------------------------------------------
 // Config
 // ---------------------------------------------------------------------------
-const CONFIG = {
-  rpcUrl: process.env.RPC_URL || process.env.BSC_RPC_URL || process.env.BSC_TESTNET_RPC_URL || process.env.SEPOLIA_RPC_URL || "http://127.0.0.1:8545",
-  contractAddress: process.env.CONTRACT_ADDRESS,
-  privateKey: process.env.PRIVATE_KEY,
-  checkInterval: parseInt(process.env.CHECK_INTERVAL || "30", 10) * 1000,
-};
+
+/** Build ChainHeartNode options from environment variables (see .env.example). */
+function loadConfig(env = process.env) {
+  return {
+    rpcUrl: env.RPC_URL || env.BSC_RPC_URL || env.BSC_TESTNET_RPC_URL || env.SEPOLIA_RPC_URL || "http://127.0.0.1:8545",
+    // Several endpoints: health-checked, with failover; overrides rpcUrl when set
+    rpcUrls: (env.RPC_URLS || "").split(",").map((url) => url.trim()).filter(Boolean),
+    rpcQuorum: parseInt(env.RPC_QUORUM || "1", 10),
+    rpc: {
+      maxLag: parseInt(env.RPC_MAX_LAG || "3", 10),
+      healthInterval: parseInt(env.RPC_HEALTH_INTERVAL || "15", 10) * 1000,
+    },
+    contractAddress: env.CONTRACT_ADDRESS,
+    clusterId: toClusterId(env.CLUSTER_ID),
+    privateKey: env.PRIVATE_KEY,
+    mac: env.NODE_MAC || getLocalMAC(),
+    checkInterval: parseInt(env.CHECK_INTERVAL || "30", 10) * 1000,
+    // "events": react to contract logs and time the election to the master's timeout
+    mode: env.CLIENT_MODE || "poll",
+    staleAfter: parseInt(env.SUBSCRIPTION_TIMEOUT || "60", 10) * 1000,
+    // Liveness heartbeats sent while this node is a slave; 0 disables them
+    nodeHeartbeatInterval: parseInt(env.NODE_HEARTBEAT_INTERVAL || "0", 10) * 1000,
+    handoverMAC: env.SHUTDOWN_HANDOVER_MAC || "",
+    // Tear down the server provisioned by onElectedMaster when this node loses leadership
+    destroyOnDemote: env.DESTROY_ON_DEMOTE === "true",
+    // When set, heartbeats and elections are signed locally and submitted by this relayer
+    relayerUrl: env.RELAYER_URL || "",
+    relayTTL: parseInt(env.RELAY_TTL || "300", 10),
+    // /healthz, /readyz, /status and /metrics on this port; 0 disables the status server
+    statusPort: parseInt(env.STATUS_PORT || "0", 10),
+    statusHost: env.STATUS_HOST || "0.0.0.0",
+    // Step down this many seconds before the on-chain lease would expire; unset = 10% of the timeout
+    leaseMargin: env.LEASE_MARGIN ? parseInt(env.LEASE_MARGIN, 10) * 1000 : null,
+    // Stagger election attempts when the master dies: none | random | rank
+    electionBackoff: env.ELECTION_BACKOFF || "none",
+    electionDelay: Math.round(parseFloat(env.ELECTION_DELAY || "2") * 1000),
+    // Confirmations (or "safe" / "finalized") an election needs before onElectedMaster runs
+    finality: /^\d+$/.test(env.ELECTION_FINALITY || "") ? parseInt(env.ELECTION_FINALITY, 10) : env.ELECTION_FINALITY || 1,
+    // Wallet balance checks and the remaining-heartbeat thresholds that trigger onLowBalance
+    balance: {
+      interval: parseInt(env.BALANCE_CHECK_INTERVAL || "300", 10) * 1000,
+      warnHeartbeats: parseInt(env.BALANCE_WARN_HEARTBEATS || "1000", 10),
+      criticalHeartbeats: parseInt(env.BALANCE_CRITICAL_HEARTBEATS || "100", 10),
+    },
+    // Fees, stuck-tx replacement and wait timeouts for txs this node sends itself
+    tx: {
+      gasStrategy: env.TX_GAS_STRATEGY || "auto",
+      gasMultiplier: parseFloat(env.TX_GAS_MULTIPLIER || "1"),
+      priorityFee: env.TX_PRIORITY_FEE_GWEI ? ethers.parseUnits(env.TX_PRIORITY_FEE_GWEI, "gwei") : null,
+      maxGasPrice: env.TX_MAX_GAS_PRICE_GWEI ? ethers.parseUnits(env.TX_MAX_GAS_PRICE_GWEI, "gwei") : null,
+      bumpPercent: parseInt(env.TX_BUMP_PERCENT || "20", 10),
+      replaceAfterBlocks: parseInt(env.TX_REPLACE_AFTER_BLOCKS || "3", 10),
+      waitTimeout: parseInt(env.TX_WAIT_TIMEOUT || "120", 10) * 1000,
+    },
+  };
+}
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -48,11 +86,6 @@ function getLocalMAC() {
   throw new Error("Unable to determine local MAC address");
 }
 
-function log(level, msg) {
-  const ts = new Date().toISOString();
-  console.log(`[${ts}] [${level}] ${msg}`);
-}
-
 // ---------------------------------------------------------------------------
 // Hooks
 // ---------------------------------------------------------------------------
@@ -60,96 +93,201 @@ function log(level, msg) {
 /**
  * Called when this node successfully becomes master.
  * If a cloud provider is configured, provisions a new server instance.
+ *
+ * `epoch` is the fencing token of this term: it increases with every election,
+ * so workers should reject writes tagged with an epoch lower than the newest one
+ * they have seen.
+ *
+ * Returns the provisioned server (`{ instanceId, ... }`), or null.
  */
-async function onElectedMaster(mac, cloudProvider) {
-  log("HOOK", `>>> onElectedMaster triggered | MAC: ${mac}`);
+async function onElectedMaster(mac, cloudProvider, epoch) {
+  log("HOOK", `>>> onElectedMaster triggered | MAC: ${mac} | epoch: ${epoch}`);
 
   if (!cloudProvider) {
     log("HOOK", ">>> No cloud provider configured, skipping server provisioning");
-    return;
+    return null;
   }
 
   try {
     log("HOOK", `>>> Provisioning server via ${cloudProvider.name}...`);
     const result = await cloudProvider.createServer();
     log("HOOK", `>>> Server created: ${JSON.stringify(result)}`);
+    notifier.notify("provision.succeeded", {
+      title: `Provisioned a server via ${cloudProvider.name}`,
+      data: { provider: cloudProvider.name, epoch, server: result },
+    });
+    return result;
   } catch (err) {
     log("ERROR", `>>> Failed to provision server: ${err.message}`);
+    notifier.notify("provision.failed", {
+      title: `Could not provision a server via ${cloudProvider.name}`,
+      text: `Provisioning via ${cloudProvider.name} failed after ${mac} became master: ${err.message}`,
+      data: { provider: cloudProvider.name, epoch, error: err.message },
+    });
+    return null;
+  }
+}
+
+/**
+ * Called when this node stops being master: another MAC took over, its own
+ * heartbeat lapsed, or it resigned on shutdown. Work started as master should
+ * stop here, since the new master's epoch supersedes this one.
+ *
+ * With `destroyServer`, the server that onElectedMaster provisioned is torn
+ * down through the cloud provider. Returns true if it was destroyed.
+ */
+async function onDemoted(mac, cloudProvider, { epoch, master, reason, server = null, destroyServer = false } = {}) {
+  log("HOOK", `>>> onDemoted triggered | MAC: ${mac} | reason: ${reason} | new master: ${master || "(none)"} | epoch: ${epoch}`);
+
+  if (!destroyServer || !server?.instanceId) return false;
+  if (!cloudProvider) {
+    log("HOOK", ">>> No cloud provider configured, skipping server teardown");
+    return false;
   }
+
+  try {
+    log("HOOK", `>>> Destroying server ${server.instanceId} via ${cloudProvider.name}...`);
+    await cloudProvider.destroyServer(server.instanceId);
+    log("HOOK", `>>> Server destroyed: ${server.instanceId}`);
+    return true;
+  } catch (err) {
+    log("ERROR", `>>> Failed to destroy server ${server.instanceId}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Called on a node that is not master when the cluster's master changes, e.g.
+ * to repoint clients at the new master. `master` is "" when the old master
+ * resigned and nobody has been elected yet.
+ */
+async function onMasterChanged(master, previous, epoch) {
+  log("HOOK", `>>> onMasterChanged triggered | ${previous || "(none)"} -> ${master || "(none)"} | epoch: ${epoch}`);
+}
+
+/**
+ * Called when the wallet's balance drops to a worse level: "warn" or
+ * "critical" (fewer heartbeats left than BALANCE_WARN_HEARTBEATS /
+ * BALANCE_CRITICAL_HEARTBEATS) or "empty". Top up the wallet before the master
+ * misses its heartbeats and nobody can afford the election.
+ */
+async function onLowBalance(mac, { level, address, balance, heartbeatsLeft, secondsLeft }) {
+  const hours = Number.isFinite(secondsLeft) ? `${(secondsLeft / 3600).toFixed(1)}h` : "n/a";
+  log("HOOK", `>>> onLowBalance triggered | MAC: ${mac} | level: ${level} | wallet: ${address} | balance: ${ethers.formatEther(balance)} | heartbeats left: ${heartbeatsLeft} (${hours})`);
+  notifier.notify("balance.low", {
+    severity: level === "warn" ? "warning" : "critical",
+    title: level === "empty" ? `Wallet ${address} cannot pay for a heartbeat` : `Wallet ${address} covers about ${heartbeatsLeft} more heartbeats`,
+    text: `The wallet of ${mac} holds ${ethers.formatEther(balance)}, about ${heartbeatsLeft} heartbeats (${hours}) at current fees. Top it up before the master stops heartbeating.`,
+    data: { level, address, balance: ethers.formatEther(balance), heartbeatsLeft },
+  });
 }
 
 // ---------------------------------------------------------------------------
-// Main loop
+// CLI
 // ---------------------------------------------------------------------------
 async function main() {
-  if (!CONFIG.contractAddress) throw new Error("CONTRACT_ADDRESS is required");
-  if (!CONFIG.privateKey) throw new Error("PRIVATE_KEY is required");
+  require("dotenv").config({ path: path.resolve(__dirname, "../.env") });
 
-  const rpcProvider = new ethers.JsonRpcProvider(CONFIG.rpcUrl);
-  const wallet = new ethers.Wallet(CONFIG.privateKey, rpcProvider);
-  const contract = new ethers.Contract(CONFIG.contractAddress, ABI, wallet);
-  const localMAC = process.env.NODE_MAC || getLocalMAC();
+  const config = loadConfig();
+  log.configure({ ...loggerOptions(), context: { mac: config.mac } });
+  notifier.configure({ ...notifierOptions(), mac: config.mac, clusterId: config.clusterId, log });
+  if (!config.contractAddress) throw new Error("CONTRACT_ADDRESS is required");
+  if (!config.privateKey) throw new Error("PRIVATE_KEY is required");
 
-  const cloudProvider = createProvider();
+  const node = new ChainHeartNode({ ...config, log });
+  const cloudProvider = createProvider({ log, wallet: node.wallet, mac: config.mac });
 
-  log("INFO", `Node started  | MAC: ${localMAC}`);
-  log("INFO", `RPC: ${CONFIG.rpcUrl}`);
-  log("INFO", `Contract: ${CONFIG.contractAddress}`);
+  log("INFO", `Node started  | MAC: ${config.mac}`);
+  if (config.rpcUrls.length > 0) {
+    const quorum = config.rpcQuorum > 1 ? ` | timeout quorum: ${config.rpcQuorum}` : "";
+    log("INFO", `RPC: ${config.rpcUrls.map(endpointLabel).join(", ")}${quorum}`);
+  } else {
+    log("INFO", `RPC: ${config.rpcUrl}`);
+  }
+  log("INFO", `Contract: ${config.contractAddress}`);
+  log("INFO", `Cluster: ${formatClusterId(config.clusterId)}`);
+  log("INFO", `Mode: ${config.mode}`);
+  if (config.electionBackoff !== "none") {
+    log("INFO", `Election back-off: ${config.electionBackoff} (${config.electionDelay / 1000}s)`);
+  }
   log("INFO", `Cloud provider: ${cloudProvider ? cloudProvider.name : "(none)"}`);
+  log("INFO", `Relayer: ${config.relayerUrl || "(none, sending txs directly)"}`);
+  log("INFO", `Notifications: ${notifier.channels.map((channel) => channel.name).join(", ") || "(none)"}`);
+
+  // Hooks run one after another, so a teardown never overtakes the provisioning
+  // it undoes; shutdown waits for the queue to drain before exiting.
+  let hooks = Promise.resolve();
+  const runHook = (fn) => {
+    hooks = hooks.then(fn).catch((err) => log("ERROR", `Hook error: ${err.message}`));
+  };
+  let server = null;
 
-  contract.on("MasterElected", (mac, ts) => {
-    log("EVENT", `MasterElected => ${mac} at ${ts}`);
+  node.on("elected", ({ mac, epoch, resumed }) => runHook(async () => {
+    // Regaining a lease that lapsed locally: the server from this term is still up.
+    if (resumed && server) {
+      log("INFO", `Lease restored | epoch: ${epoch} | keeping server ${server.instanceId}`);
+      return;
+    }
+    server = await onElectedMaster(mac, cloudProvider, epoch);
+  }));
+  node.on("demoted", (info) => runHook(async () => {
+    const destroyed = await onDemoted(config.mac, cloudProvider, { ...info, server, destroyServer: config.destroyOnDemote });
+    if (destroyed) server = null;
+  }));
+  node.on("masterChanged", ({ master, previous, epoch }) => {
+    if (master === config.mac) return;
+    runHook(() => onMasterChanged(master, previous, epoch));
   });
+  node.on("error", () => {}); // already logged by the node; keep the loop running
+  notifier.watch(node);
 
-  async function tick() {
-    try {
-      const [masterMAC, lastHB, alive] = await contract.getCurrentMaster();
-      const state = await contract.getState();
-
-      const stateNum = Number(state);
-      log("INFO", `State: ${STATE_NAMES[stateNum]} | Master: ${masterMAC || "(none)"} | alive: ${alive} | lastHB: ${lastHB}`);
-
-      if (stateNum === 0) {
-        log("INFO", "Idle state. Electing self...");
-        const tx = await contract.electMaster(localMAC);
-        await tx.wait();
-        log("INFO", "Election tx confirmed. I am now master.");
-        await onElectedMaster(localMAC, cloudProvider);
-        return;
-      }
+  // Relayed txs are paid by the relayer, so there is nothing to watch.
+  let balanceMonitor = null;
+  if (config.balance.interval > 0 && !config.relayerUrl) {
+    balanceMonitor = new BalanceMonitor(node, { ...config.balance, log });
+    balanceMonitor.on("low", (info) => runHook(() => onLowBalance(config.mac, info)));
+  }
 
-      const isMaster = masterMAC === localMAC;
-
-      if (isMaster && alive) {
-        log("INFO", "I am master. Sending heartbeat...");
-        const tx = await contract.sendHeartbeat(localMAC);
-        await tx.wait();
-        log("INFO", "Heartbeat sent.");
-      } else if (stateNum === 2) {
-        log("WARN", "Election state. Attempting to claim master...");
-        try {
-          const tx = await contract.electMaster(localMAC);
-          await tx.wait();
-          log("INFO", "Election tx confirmed. I am now master.");
-          await onElectedMaster(localMAC, cloudProvider);
-        } catch (err) {
-          log("WARN", `Election failed (another node may have won): ${err.message}`);
-        }
-      } else {
-        log("INFO", "I am a slave. Monitoring master...");
-      }
-    } catch (err) {
-      log("ERROR", `Tick error: ${err.message}`);
-    }
+  // Listening before start() lets probes report "not ready" while the node starts.
+  let statusServer = null;
+  if (config.statusPort > 0) {
+    const provider = cloudProvider ? cloudProvider.name : null;
+    const metrics = new NodeMetrics(node, { provider, balance: balanceMonitor, log });
+    statusServer = createStatusServer(node, { provider, metrics, log });
+    await new Promise((resolve) => statusServer.listen(config.statusPort, config.statusHost, resolve));
+    log("INFO", `Status server: http://${config.statusHost}:${config.statusPort} (/healthz, /readyz, /status, /metrics)`);
   }
 
-  await tick();
-  setInterval(tick, CONFIG.checkInterval);
+  // On SIGTERM / SIGINT, give up leadership before exiting (see ChainHeartNode#stop).
+  let shuttingDown = false;
+  async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    log("INFO", `${signal} received. Shutting down...`);
+    await node.stop();
+    if (balanceMonitor) balanceMonitor.stop();
+    if (statusServer) statusServer.close();
+    await hooks;
+    await notifier.flush();
+    process.exit(0);
+  }
+
+  process.once("SIGTERM", () => shutdown("SIGTERM"));
+  process.once("SIGINT", () => shutdown("SIGINT"));
+
+  await node.start();
+  if (balanceMonitor) {
+    await balanceMonitor.start();
+    const { warnHeartbeats, criticalHeartbeats } = config.balance;
+    log("INFO", `Balance checks: every ${config.balance.interval / 1000}s | warn below ${warnHeartbeats} heartbeats, critical below ${criticalHeartbeats}`);
+  }
 }
 
-module.exports = { onElectedMaster };
+module.exports = { ChainHeartNode, onElectedMaster, onDemoted, onMasterChanged, onLowBalance, loadConfig, getLocalMAC };
 
-main().catch((err) => {
-  console.error("Fatal:", err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((err) => {
+    log("ERROR", `Fatal: ${err.message}`, { stack: err.stack });
+    process.exit(1);
+  });
+}
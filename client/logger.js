@@ -0,0 +1,201 @@
+const fs = require("fs");
+
+/**
+ * Structured logging shared by the client, the relayer and the cloud providers.
+ *
+ * A logger is a `log(level, msg, fields)` function, so it can be passed
+ * wherever a `log(level, msg)` option is taken. `fields` and the logger's
+ * context (see `child()`) end up in the record next to `time`, `level` and
+ * `msg`, e.g. `{"time":"…","level":"INFO","msg":"heartbeat tx 0x… sent",
+ * "mac":"AA:…","state":"Running","txHash":"0x…"}`.
+ *
+ * Records below the configured level are dropped. Secret values (the env vars
+ * in SECRET_ENV) and fields with secret-looking names are replaced by
+ * "[REDACTED]" before a record reaches any sink.
+ *
+ * Options:
+ *   level ("DEBUG" | "INFO" | "WARN" | "ERROR", default "INFO"),
+ *   format ("json" | "text", default "json"), context (fields on every record),
+ *   secrets (strings to redact), sinks (functions called with each formatted
+ *   line and its record; default: stdout)
+ */
+
+// Severity of each level the code logs at; HOOK and EVENT are informational.
+const LEVELS = { DEBUG: 10, INFO: 20, EVENT: 20, HOOK: 20, WARN: 30, ERROR: 40 };
+const FORMATS = ["json", "text"];
+
+// Env vars whose values never appear in a log line
+const SECRET_ENV = [
+  "PRIVATE_KEY",
+  "RELAYER_PRIVATE_KEY",
+  "TENCENT_SECRET_KEY",
+  "ALIYUN_ACCESS_KEY_SECRET",
+  "AWS_SECRET_ACCESS_KEY",
+  "PAY402_TOKEN",
+  "WEBHOOK_TOKEN",
+  "NOTIFY_WEBHOOK_SECRET",
+  "NOTIFY_SLACK_WEBHOOK_URL",
+  "NOTIFY_SMTP_PASS",
+];
+const SECRET_FIELD = /secret|private_?key|password|token/i;
+const REDACTED = "[REDACTED]";
+
+// ---------------------------------------------------------------------------
+// Sinks
+// ---------------------------------------------------------------------------
+
+function consoleSink(line) {
+  console.log(line);
+}
+
+/**
+ * Append lines to `file`. Once it would grow past `maxSize` bytes it is
+ * renamed to `file.1` (shifting `file.1` to `file.2` and so on, keeping at most
+ * `maxFiles` old files) and a new file is started.
+ */
+function fileSink(file, { maxSize = 10 * 1024 * 1024, maxFiles = 5 } = {}) {
+  let size = null;
+
+  function rotate() {
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+    if (maxFiles > 0) fs.renameSync(file, `${file}.1`);
+    else fs.unlinkSync(file);
+  }
+
+  return (line) => {
+    if (size === null) size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    const bytes = Buffer.byteLength(line) + 1;
+    if (maxSize > 0 && size > 0 && size + bytes > maxSize) {
+      rotate();
+      size = 0;
+    }
+    fs.appendFileSync(file, `${line}\n`);
+    size += bytes;
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Formatting
+// ---------------------------------------------------------------------------
+
+function normalize(options) {
+  const level = (options.level || "INFO").toUpperCase();
+  if (!LEVELS[level]) throw new Error(`logger: unknown level "${options.level}". Supported: DEBUG, INFO, WARN, ERROR`);
+  const format = options.format || "json";
+  if (!FORMATS.includes(format)) throw new Error(`logger: unknown format "${format}". Supported: ${FORMATS.join(", ")}`);
+
+  // A hex key may also show up without its 0x prefix.
+  const secrets = (options.secrets || [])
+    .filter((secret) => typeof secret === "string" && secret.length >= 8)
+    .flatMap((secret) => (/^0x[0-9a-fA-F]+$/.test(secret) ? [secret, secret.slice(2)] : [secret]));
+
+  return { level, format, secrets, sinks: options.sinks || [consoleSink], context: options.context || {} };
+}
+
+function replacer(key, value) {
+  if (key && SECRET_FIELD.test(key) && value) return REDACTED;
+  if (typeof value === "bigint") return value.toString();
+  if (value instanceof Error) return { message: value.message, ...(value.code !== undefined && { code: value.code }) };
+  return value;
+}
+
+/**
+ * replacer() that also removes `secrets` from strings and object keys. It
+ * works on values rather than on the serialized line, so a secret that
+ * happens to match part of a number or of the JSON syntax cannot corrupt it.
+ */
+function redactingReplacer(secrets) {
+  return function (key, value) {
+    value = replacer(key, value);
+    if (typeof value === "string") return redact(value, secrets);
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      const keys = Object.keys(value);
+      if (keys.some((k) => redact(k, secrets) !== k)) {
+        return Object.fromEntries(keys.map((k) => [redact(k, secrets), value[k]]));
+      }
+    }
+    return value;
+  };
+}
+
+function formatText(record) {
+  const { time, level, msg, ...fields } = record;
+  const pairs = Object.entries(fields).map(([key, value]) => {
+    const text = typeof value === "string" ? value : JSON.stringify(value, replacer);
+    return `${key}=${/[\s"=]/.test(text) ? JSON.stringify(text) : text}`;
+  });
+  return [`[${time}] [${level}] ${msg}`, ...pairs].join(" ");
+}
+
+function redact(line, secrets) {
+  for (const secret of secrets) line = line.split(secret).join(REDACTED);
+  return line;
+}
+
+function write(state, level, msg, fields) {
+  if ((LEVELS[level] ?? LEVELS.INFO) < LEVELS[state.level]) return;
+
+  const record = { time: new Date().toISOString(), level, msg: String(msg) };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null && !(key in record)) record[key] = value;
+  }
+  // Round-trip through JSON so sinks see exactly what gets printed.
+  let redacted, line;
+  try {
+    redacted = JSON.parse(JSON.stringify(record, redactingReplacer(state.secrets)));
+    line = state.format === "json" ? JSON.stringify(redacted) : formatText(redacted);
+  } catch (err) {
+    // e.g. circular fields: logging must never take the caller down.
+    console.error(`logger: could not format "${redact(String(msg), state.secrets)}": ${err.message}`);
+    return;
+  }
+
+  for (const sink of state.sinks) {
+    try {
+      sink(line, redacted);
+    } catch (err) {
+      console.error(`logger: sink failed: ${err.message}`);
+    }
+  }
+}
+
+function bind(state, context) {
+  const log = (level, msg, fields = {}) => write(state, level, msg, { ...state.context, ...context, ...fields });
+  /** A logger that adds `fields` to every record, sharing this one's sinks and level. */
+  log.child = (fields) => bind(state, { ...context, ...fields });
+  /** Replace the level, format, context, secrets and sinks, for this logger and its children. */
+  log.configure = (options) => Object.assign(state, normalize(options));
+  return log;
+}
+
+/** @returns {(level: string, msg: string, fields?: object) => void} */
+function createLogger(options = {}) {
+  return bind(normalize(options), {});
+}
+
+/**
+ * Logger options from LOG_LEVEL, LOG_FORMAT, LOG_FILE, LOG_MAX_SIZE (MB) and
+ * LOG_MAX_FILES, redacting the SECRET_ENV values found in `env`.
+ */
+function loggerOptions(env = process.env) {
+  const sinks = [consoleSink];
+  if (env.LOG_FILE) {
+    sinks.push(fileSink(env.LOG_FILE, {
+      maxSize: Math.round(parseFloat(env.LOG_MAX_SIZE || "10") * 1024 * 1024),
+      maxFiles: parseInt(env.LOG_MAX_FILES || "5", 10),
+    }));
+  }
+  return {
+    level: env.LOG_LEVEL || "INFO",
+    format: env.LOG_FORMAT || "json",
+    secrets: SECRET_ENV.map((name) => env[name]),
+    sinks,
+  };
+}
+
+// Shared by every module; the CLI reconfigures it from loggerOptions() once .env is loaded.
+const logger = createLogger({ secrets: SECRET_ENV.map((name) => process.env[name]) });
+
+module.exports = { logger, createLogger, loggerOptions, consoleSink, fileSink, LEVELS, SECRET_ENV };
@@ -0,0 +1,164 @@
+const { ethers } = require("ethers");
+const { formatClusterId } = require("./cluster");
+const { STATE_NAMES } = require("./node");
+
+/**
+ * Prometheus metrics for a ChainHeartNode, served as GET /metrics by the
+ * status server.
+ *
+ * Counters are kept from the node's `tx` and `elected` events, so the
+ * collector must be created before the node starts. Gauges are read when
+ * scraped; the chain head, the wallet balance and, without an RPC pool, the
+ * RPC latency cost one request each per scrape. Heartbeat age is measured
+ * against the latest block's timestamp, as the contract does.
+ *
+ * Heartbeat and election counters include relayed txs; gas is only counted
+ * for txs this node's wallet paid for.
+ */
+
+// Prometheus text format, version 0.0.4
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return "NaN";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+/**
+ * Render one metric family. `samples` is a list of `[labels, value]`; families
+ * without samples are left out.
+ */
+function family(name, type, help, samples) {
+  if (samples.length === 0) return "";
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const [labels, value] of samples) {
+    const pairs = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`);
+    lines.push(`${name}${pairs.length > 0 ? `{${pairs.join(",")}}` : ""} ${formatValue(value)}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+class NodeMetrics {
+  /**
+   * @param {ChainHeartNode} node
+   * @param {object} [options]
+   * @param {string} [options.provider] Cloud provider name for chainheart_info
+   * @param {BalanceMonitor} [options.balance] Source of the remaining-heartbeat estimate
+   * @param {(level: string, msg: string) => void} [options.log]
+   */
+  constructor(node, { provider = null, balance = null, log = () => {} } = {}) {
+    this.node = node;
+    this.provider = provider;
+    this.balance = balance;
+    this.log = log;
+
+    this.heartbeats = { success: 0, failure: 0 };
+    this.electionAttempts = 0;
+    this.electionWins = 0;
+    this.txs = new Map(); // "label\0status" -> count
+    this.gasUsed = 0n;
+    this.gasSpent = 0n; // wei
+
+    node.on("tx", (result) => this._onTx(result));
+    node.on("elected", ({ resumed }) => {
+      if (!resumed) this.electionWins++;
+    });
+  }
+
+  _onTx({ label, status, receipt }) {
+    const key = `${label}\0${status}`;
+    this.txs.set(key, (this.txs.get(key) || 0) + 1);
+
+    const action = label.replace(/^relayed /, "");
+    if (action === "heartbeat") this.heartbeats[status === "confirmed" ? "success" : "failure"]++;
+    if (action === "elect") this.electionAttempts++;
+
+    if (receipt && !label.startsWith("relayed ")) {
+      this.gasUsed += receipt.gasUsed;
+      this.gasSpent += receipt.gasUsed * (receipt.gasPrice ?? 0n);
+    }
+  }
+
+  /** The exposition text for one scrape. */
+  async render() {
+    const node = this.node;
+    const status = node.getStatus();
+    const [now, balance, rpc] = await Promise.all([this._chainTime(), this._balance(), this._rpcLatency()]);
+
+    return [
+      family("chainheart_info", "gauge", "Node identity; always 1.", [
+        [{ mac: node.mac, cluster: formatClusterId(node.clusterId), provider: this.provider ?? "" }, 1],
+      ]),
+      family("chainheart_running", "gauge", "1 while the node's check loop is running.", [[{}, node.isRunning() ? 1 : 0]]),
+      family("chainheart_state", "gauge", "Contract state as last seen by this node, one series per state.",
+        STATE_NAMES.map((state) => [{ state }, status.state === state ? 1 : 0])),
+      family("chainheart_is_master", "gauge", "1 while this node acts as master.", [[{}, status.isMaster ? 1 : 0]]),
+      family("chainheart_epoch", "gauge", "Current master epoch.", status.epoch !== null ? [[{}, status.epoch]] : []),
+      family("chainheart_master_heartbeat_age_seconds", "gauge", "Seconds since the master's last heartbeat.",
+        status.master && status.lastHeartbeat > 0 ? [[{}, Math.max(0, now - Number(status.lastHeartbeat))]] : []),
+      family("chainheart_lease_remaining_seconds", "gauge", "Seconds left on this node's master lease.",
+        status.leaseRemaining !== null ? [[{}, Math.round(status.leaseRemaining / 1000)]] : []),
+      family("chainheart_heartbeats_total", "counter", "Master heartbeat txs by result.",
+        Object.entries(this.heartbeats).map(([result, count]) => [{ result }, count])),
+      family("chainheart_election_attempts_total", "counter", "Election txs sent or relayed.", [[{}, this.electionAttempts]]),
+      family("chainheart_elections_won_total", "counter", "Elections that made this node master.", [[{}, this.electionWins]]),
+      family("chainheart_txs_total", "counter", "Txs by action and outcome.",
+        [...this.txs].map(([key, count]) => {
+          const [action, status] = key.split("\0");
+          return [{ action, status }, count];
+        })),
+      family("chainheart_gas_used_total", "counter", "Gas used by txs this node paid for.", [[{}, Number(this.gasUsed)]]),
+      family("chainheart_gas_spent_total", "counter", "Fees paid by this node, in the chain's native token.",
+        [[{}, Number(ethers.formatEther(this.gasSpent))]]),
+      family("chainheart_rpc_latency_seconds", "gauge", "Latency of the last RPC health check or probe.",
+        rpc.filter((e) => e.latency !== null).map((e) => [{ endpoint: e.label }, e.latency / 1000])),
+      family("chainheart_rpc_healthy", "gauge", "1 while the RPC endpoint passes its health checks.",
+        rpc.map((e) => [{ endpoint: e.label }, e.healthy ? 1 : 0])),
+      family("chainheart_wallet_balance", "gauge", "Balance of the node's wallet, in the chain's native token.",
+        balance ? [[{ address: balance.address }, Number(ethers.formatEther(balance.wei))]] : []),
+      family("chainheart_wallet_heartbeats_remaining", "gauge", "Heartbeats the wallet can pay for at the last balance check's fees.",
+        this.balance?.last ? [[{}, this.balance.last.heartbeatsLeft]] : []),
+    ].join("");
+  }
+
+  async _chainTime() {
+    try {
+      return (await this.node.provider.getBlock("latest")).timestamp;
+    } catch (err) {
+      this.log("WARN", `Metrics: could not read the latest block: ${err.message}`);
+      return Math.floor(Date.now() / 1000);
+    }
+  }
+
+  async _balance() {
+    try {
+      const address = await this.node.wallet.getAddress();
+      return { address, wei: await this.node.provider.getBalance(address) };
+    } catch (err) {
+      this.log("WARN", `Metrics: could not read the wallet balance: ${err.message}`);
+      return null;
+    }
+  }
+
+  /** Pool endpoints as last checked, or one probe of the node's own provider. */
+  async _rpcLatency() {
+    if (this.node.rpcPool) return this.node.rpcPool.status();
+    const label = this.node.rpcEndpoint() ?? "provider";
+    const started = performance.now();
+    try {
+      await this.node.provider.send("eth_blockNumber", []);
+      return [{ label, healthy: true, latency: Math.round(performance.now() - started) }];
+    } catch (err) {
+      this.log("WARN", `Metrics: RPC probe failed: ${err.message}`);
+      return [{ label, healthy: false, latency: null }];
+    }
+  }
+}
+
+module.exports = { NodeMetrics, CONTENT_TYPE };
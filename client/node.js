@@ -0,0 +1,988 @@
+const { EventEmitter } = require("events");
+const { performance } = require("perf_hooks");
+const { ethers } = require("ethers");
+const { DEFAULT_CLUSTER, toClusterId, formatClusterId } = require("./cluster");
+const { signRelayRequest, sendToRelayer } = require("./relayer");
+const { TxManager } = require("./txmanager");
+const { RpcPool, endpointLabel } = require("./rpc");
+
+// ---------------------------------------------------------------------------
+// ABI (only the functions/events we need)
+// ---------------------------------------------------------------------------
+const ABI = [
+  "function clusterExists(bytes32 clusterId) view returns (bool)",
+  "function heartbeatTimeout(bytes32 clusterId) view returns (uint256)",
+  "function epoch(bytes32 clusterId) view returns (uint256)",
+  "function isAlive(bytes32 clusterId) view returns (bool)",
+  "function getState(bytes32 clusterId) view returns (uint8)",
+  "function getNodeHeartbeat(bytes32 clusterId, string mac) view returns (uint256)",
+  "function listNodes(bytes32 clusterId) view returns (string[])",
+  "function listLiveNodes(bytes32 clusterId) view returns (string[])",
+  "function isNodeRegistered(bytes32 clusterId, string mac) view returns (bool)",
+  "function getNodeSigner(bytes32 clusterId, string mac) view returns (address)",
+  "function getNodePriority(bytes32 clusterId, string mac) view returns (uint256)",
+  "function preemptionGrace(bytes32 clusterId) view returns (uint256)",
+  "function canPreempt(bytes32 clusterId, string mac) view returns (bool)",
+  "function sharedKeyAddress() view returns (address)",
+  "function nonces(bytes32 clusterId, string mac) view returns (uint256)",
+  "function getCurrentMaster(bytes32 clusterId) view returns (string mac, uint256 lastHeartbeat, bool alive, uint256 masterEpoch)",
+  "function sendHeartbeat(bytes32 clusterId, string mac)",
+  "function sendNodeHeartbeat(bytes32 clusterId, string mac)",
+  "function electMaster(bytes32 clusterId, string mac)",
+  "function resign(bytes32 clusterId, string mac)",
+  "function handover(bytes32 clusterId, string fromMac, string toMac)",
+  "event Heartbeat(bytes32 indexed clusterId, string indexed mac, uint256 epoch, uint256 timestamp, uint256 blockNumber)",
+  "event MasterElected(bytes32 indexed clusterId, string indexed newMasterMAC, uint256 epoch, uint256 timestamp)",
+  "event MasterResigned(bytes32 indexed clusterId, string indexed mac, string successorMAC, uint256 epoch, uint256 timestamp)",
+  "event HeartbeatTimeoutUpdated(bytes32 indexed clusterId, uint256 oldTimeout, uint256 newTimeout)",
+];
+
+const MODES = ["poll", "events"];
+
+/** Block tags accepted as `finality`, besides a confirmation count. */
+const FINALITY_TAGS = ["safe", "finalized"];
+
+const STATE_NAMES = ["Idle", "Running", "Election"];
+
+/** How nodes that see the same vacancy stagger their election attempts. */
+const ELECTION_BACKOFFS = ["none", "random", "rank"];
+
+// Calls that claim the master role, as sent by nodes, operators or a relayer.
+const ELECTION_CALLS = new ethers.Interface([
+  "function electMaster(string mac)",
+  "function electMaster(bytes32 clusterId, string mac)",
+  "function electWithSig(bytes32 clusterId, string mac, uint256 deadline, bytes signature)",
+]);
+
+// Consecutive lost races double the election delay, up to this many times.
+const MAX_BACKOFF_DOUBLINGS = 3;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * A ChainHeart cluster member that can be embedded in any Node.js service.
+ *
+ * Every `checkInterval` it reads the cluster state and acts on it: elects
+ * itself when there is no live master, sends heartbeats while it is master,
+ * and otherwise monitors the master.
+ *
+ * With `mode: "events"` a slave stops polling and reacts to contract logs
+ * instead: Heartbeat logs move the master's deadline, MasterElected /
+ * MasterResigned / HeartbeatTimeoutUpdated trigger a check, and a timer fires
+ * the election attempt at `lastHeartbeat + heartbeatTimeout + 1` (block time),
+ * the first block timestamp at which the contract accepts it. If no new block
+ * is seen for `staleAfter`, the subscription is treated as dropped and the node
+ * polls every `checkInterval` until blocks arrive again. The master, and a
+ * node whose election is pending finality, still heartbeats every
+ * `checkInterval`.
+ *
+ * Finality: with `finality` set to a confirmation count above 1, or to the
+ * "safe" / "finalized" block tag, a won election is held as pending until its
+ * tx is that deep. Heartbeats keep the term alive meanwhile, but `elected` is
+ * only emitted (and isMaster() only turns true) once the tx is final and the
+ * chain still names this node master. If a reorg removes the tx first, the
+ * master status is re-read and the pending election dropped if it was lost.
+ *
+ * Local lease: the master role is only held while a local lease is valid. Each
+ * confirmed heartbeat or election renews it to `heartbeatTimeout - leaseMargin`
+ * after the tx was sent, measured on the local monotonic clock. If heartbeats
+ * keep failing, the node demotes itself when the lease runs out, which is
+ * always before the on-chain timeout lets another node take over.
+ *
+ * Election contention: when the master dies every slave sees it at once, and
+ * all but one election tx revert. With `electionBackoff` set, a node first
+ * waits out its slot: a random delay up to `electionDelay` ("random"), or
+ * `electionDelay` times its position among the live members in MAC order
+ * ("rank"). Then it only sends if no master was elected meanwhile, no
+ * competing election for the cluster is in the mempool, and a staticCall
+ * against the pending block succeeds. Each race lost in a row doubles the
+ * delay (up to 8x).
+ *
+ * Priority: the node reads its on-chain priority on start. While it is a slave
+ * and outranks the master of a cluster with preemption enabled, it checks
+ * canPreempt() every `checkInterval` (also in events mode) and elects itself
+ * once the contract allows it. In "rank" back-off, members are ordered by
+ * priority first, then by MAC.
+ *
+ * Options:
+ *   contractAddress (required), mac (required),
+ *   privateKey or wallet (an ethers Signer with a provider),
+ *   rpcUrl, rpcUrls (health-checked pool) or provider,
+ *   rpcQuorum (endpoints that must see the master timed out, default 1),
+ *   rpc (RpcPool options), clusterId (name or bytes32, default cluster if empty),
+ *   checkInterval (ms, default 30000), nodeHeartbeatInterval (ms, 0 = off),
+ *   handoverMAC, relayerUrl, relayTTL (s),
+ *   leaseMargin (ms, default 10% of heartbeatTimeout),
+ *   finality (confirmations, or "safe" / "finalized"; default 1),
+ *   mode ("poll" or "events", default "poll"), staleAfter (ms, default 60000),
+ *   electionBackoff ("none", "random" or "rank", default "none"),
+ *   electionDelay (ms, default 2000),
+ *   tx (TxManager options: gas strategy, replacement, wait timeout),
+ *   log(level, msg, fields) (see client/logger.js; called with the node's mac and
+ *   state as fields)
+ *
+ * Events:
+ *   elected       { mac, epoch, receipt, resumed } this node won an election, or
+ *                                             regained its lease (resumed: true)
+ *   demoted       { mac, epoch, master, reason } this node stopped being master
+ *                                             (replaced / timeout / lease-expired / resigned)
+ *   masterChanged { master, previous, epoch } a different MAC is now master
+ *   stateChanged  { state, previous }         Idle / Running / Election
+ *   tx            { label, status, hash, receipt } outcome of a tx this node sent or
+ *                                             had relayed (see TxManager onResult)
+ *   error         Error                       a tick failed (logged if unhandled)
+ */
+class ChainHeartNode extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = "ChainHeartNode";
+
+    const missing = ["contractAddress", "mac"].filter((k) => !options[k]);
+    if (!options.privateKey && !options.wallet) missing.push("privateKey");
+    if (missing.length > 0) {
+      throw new Error(`${this.name}: missing config: ${missing.join(", ")}`);
+    }
+    if (options.mode && !MODES.includes(options.mode)) {
+      throw new Error(`${this.name}: unknown mode "${options.mode}" (expected ${MODES.join(" or ")})`);
+    }
+    if (options.electionBackoff && !ELECTION_BACKOFFS.includes(options.electionBackoff)) {
+      throw new Error(`${this.name}: unknown electionBackoff "${options.electionBackoff}" (expected ${ELECTION_BACKOFFS.join(", ")})`);
+    }
+    const { finality = 1 } = options;
+    if (!FINALITY_TAGS.includes(finality) && !(Number.isInteger(finality) && finality >= 1)) {
+      throw new Error(`${this.name}: invalid finality ${JSON.stringify(finality)} (expected a confirmation count or ${FINALITY_TAGS.join(" / ")})`);
+    }
+    const rpcUrls = options.rpcUrls || [];
+    if ((options.rpcQuorum ?? 1) > 1 && (options.wallet || options.provider || options.rpcQuorum > rpcUrls.length)) {
+      throw new Error(`${this.name}: rpcQuorum ${options.rpcQuorum} needs at least that many rpcUrls`);
+    }
+
+    this.options = {
+      checkInterval: 30000,
+      nodeHeartbeatInterval: 0,
+      handoverMAC: "",
+      relayerUrl: "",
+      relayTTL: 300,
+      leaseMargin: null,
+      finality: 1,
+      rpcQuorum: 1,
+      mode: "poll",
+      staleAfter: 60000,
+      electionBackoff: "none",
+      electionDelay: 2000,
+      ...options,
+    };
+    this.mac = options.mac;
+    this.clusterId = options.clusterId ? toClusterId(options.clusterId) : DEFAULT_CLUSTER;
+    const log = options.log || (() => {});
+    this.log = (level, msg, fields) => log(level, msg, { mac: this.mac, state: this.state, ...fields });
+
+    // Providers we create are ours to tear down on stop().
+    this._ownsProvider = !options.wallet && !options.provider;
+    this.rpcPool = this._ownsProvider && rpcUrls.length > 0 ? new RpcPool(rpcUrls, { ...options.rpc, log: this.log }) : null;
+    this.provider = options.wallet
+      ? options.wallet.provider
+      : options.provider || this.rpcPool?.provider || new ethers.JsonRpcProvider(options.rpcUrl || "http://127.0.0.1:8545");
+    this.wallet = options.wallet || new ethers.Wallet(options.privateKey, this.provider);
+    this.contract = new ethers.Contract(options.contractAddress, ABI, this.wallet);
+    this.txManager = new TxManager(this.wallet, { ...options.tx, log: this.log, onResult: (result) => this.emit("tx", result) });
+
+    this.state = null;
+    this.priority = null;
+    this.masterMAC = null;
+    this.lastHeartbeat = null;
+    this.epoch = null;
+    this.heartbeatTimeout = null;
+    this._isMaster = false;
+    this._fenced = false;
+    this._leaseExpiresAt = null;
+    this._leaseTimer = null;
+    this._pending = null; // { epoch, hash, receipt } of an election that is not final yet
+    this._checkingFinality = false;
+    this._lostRaces = 0; // elections lost or skipped in a row, for the back-off
+    this._outranksMaster = false; // keeps a slave checking whether it may preempt
+    this._running = false;
+    this._timer = null;
+    this._nodeTimer = null;
+    this._relaying = Promise.resolve(); // relayed requests, one at a time
+
+    // Event-driven mode
+    this._chainTime = null; // { timestamp, at }: latest block time seen and when
+    this._timeoutTimer = null;
+    this._timeoutDue = false;
+    this._watchdog = null;
+    this._lastBlockAt = null;
+    this._fallback = false;
+    this._ticking = null;
+    this._tickQueued = false;
+    this._onBlock = (blockNumber) => this._handleBlock(blockNumber);
+  }
+
+  /** Whether this node currently holds the master role (and an unexpired local lease). */
+  isMaster() {
+    return this._isMaster;
+  }
+
+  /** Milliseconds left on the local master lease, or null when not master. */
+  leaseRemaining() {
+    if (!this._isMaster) return null;
+    return Math.max(0, this._leaseExpiresAt - performance.now());
+  }
+
+  /** Whether start() has been called and stop() has not. */
+  isRunning() {
+    return this._running;
+  }
+
+  /**
+   * Snapshot of what this node last observed on-chain. `role` is "master",
+   * "pending" (election not final yet), "fenced" (lease expired while still
+   * named master) or "slave".
+   */
+  getStatus() {
+    return {
+      mac: this.mac,
+      clusterId: this.clusterId,
+      role: this._isMaster ? "master" : this._pending ? "pending" : this._fenced ? "fenced" : "slave",
+      state: this.state,
+      master: this.masterMAC,
+      lastHeartbeat: this.lastHeartbeat,
+      epoch: this.epoch,
+      masterExpiresAt: this._masterExpiresAt(),
+      pendingElection: this._pending ? { epoch: this._pending.epoch, txHash: this._pending.hash } : null,
+      isMaster: this._isMaster,
+      leaseRemaining: this.leaseRemaining(),
+      lastTx: this.txManager.lastTx,
+      rpc: this.rpcEndpoint(),
+    };
+  }
+
+  /** Host of the RPC endpoint requests go to, or null for a provider passed in. */
+  rpcEndpoint() {
+    if (this.rpcPool) return this.rpcPool.best().label;
+    return this._ownsProvider ? endpointLabel(this.options.rpcUrl || "http://127.0.0.1:8545") : null;
+  }
+
+  /**
+   * Verify this node may act in its cluster, then run the first tick and start
+   * the check loop. Throws if the cluster, membership or signer check fails.
+   */
+  async start() {
+    if (this._running) return;
+
+    if (this.rpcPool) await this.rpcPool.start();
+    await this._verify();
+    this._running = true;
+
+    if (this.options.mode === "events") {
+      // Subscribe first so nothing emitted during the first check is missed.
+      await this._subscribe();
+      await this._requestTick();
+      this._timer = setInterval(() => this._poll(), this.options.checkInterval);
+      this._watchdog = setInterval(() => this._checkSubscription(), this.options.staleAfter);
+    } else {
+      // The indexed MAC only carries its hash in the log; the next tick reads the name.
+      this.contract.on("MasterElected", (clusterId, _mac, epoch, ts) => {
+        if (clusterId !== this.clusterId) return;
+        this.log("EVENT", `MasterElected | epoch: ${epoch} at ${ts}`);
+        // A master that was preempted should not wait for its next check to step down.
+        if (this._isMaster && epoch !== this.epoch) this._requestTick();
+      });
+
+      // Back-off, tx and finality waits can outlast checkInterval; ticks must not overlap.
+      await this._requestTick();
+      this._timer = setInterval(() => this._requestTick(), this.options.checkInterval);
+    }
+
+    if (this.options.nodeHeartbeatInterval > 0) {
+      this.log("INFO", `Node heartbeats every ${this.options.nodeHeartbeatInterval / 1000}s`);
+      await this.sendNodeHeartbeat();
+      this._nodeTimer = setInterval(() => this.sendNodeHeartbeat(), this.options.nodeHeartbeatInterval);
+    }
+  }
+
+  /**
+   * Stop the check loop. Unless `resign` is false, a live master first gives up
+   * leadership so a slave can take over on its next tick instead of waiting out
+   * the heartbeat timeout: it hands over to `handoverMAC` when configured,
+   * otherwise it resigns.
+   */
+  async stop({ resign = true } = {}) {
+    if (!this._running) return;
+    this._running = false;
+    clearInterval(this._timer);
+    clearInterval(this._nodeTimer);
+    clearTimeout(this._leaseTimer);
+    clearTimeout(this._timeoutTimer);
+    clearInterval(this._watchdog);
+    this._timer = null;
+    this._nodeTimer = null;
+    this._leaseTimer = null;
+    this._timeoutTimer = null;
+    this._watchdog = null;
+
+    try {
+      if (resign) await this._giveUpLeadership();
+    } catch (err) {
+      this.log("ERROR", `Failed to give up leadership: ${err.message}`);
+    }
+
+    await this.contract.removeAllListeners();
+    await this.provider.off("block", this._onBlock);
+    if (this.rpcPool) this.rpcPool.stop();
+    else if (this._ownsProvider) this.provider.destroy();
+  }
+
+  /**
+   * One iteration of the check loop. Errors are emitted as `error` events
+   * rather than thrown, so a failed RPC call does not stop the loop.
+   */
+  async tick() {
+    try {
+      // A delayed timer must not let an expired lease act as master.
+      this._checkLease();
+
+      const [[masterMAC, lastHB, alive, epoch], state, timeout, block] = await Promise.all([
+        this.contract.getCurrentMaster(this.clusterId),
+        this.contract.getState(this.clusterId),
+        this.contract.heartbeatTimeout(this.clusterId),
+        this.options.mode === "events" ? this.provider.getBlock("latest") : null,
+      ]);
+      const stateNum = Number(state);
+      this.heartbeatTimeout = Number(timeout);
+      if (block) this._chainTime = { timestamp: block.timestamp, at: performance.now() };
+
+      this.log("INFO", `State: ${STATE_NAMES[stateNum]} | Master: ${masterMAC || "(none)"} | alive: ${alive} | lastHB: ${lastHB} | epoch: ${epoch}`);
+      this._observe(STATE_NAMES[stateNum], masterMAC, lastHB, alive, epoch);
+      await this._checkFinality();
+
+      if (stateNum === 0) {
+        this.log("INFO", "Idle state. Electing self...");
+        await this._contend();
+        return;
+      }
+
+      // Also heartbeat when fenced: the chain may still name this node master,
+      // and a confirmed heartbeat restores the lease.
+      if (masterMAC === this.mac && alive) {
+        this.log("INFO", "I am master. Sending heartbeat...");
+        const sentAt = performance.now();
+        const receipt = await this._sendNodeTx("heartbeat");
+        this.log("INFO", "Heartbeat sent.");
+        this._recordHeartbeat(receipt);
+        this._renewLease(sentAt, { epoch });
+      } else if (stateNum === 2) {
+        if (!(await this._confirmTimeout())) return;
+        this.log("WARN", "Election state. Attempting to claim master...");
+        try {
+          await this._contend();
+        } catch (err) {
+          this.log("WARN", `Election failed (another node may have won): ${err.message}`);
+        }
+      } else if (alive && (await this._shouldPreempt(masterMAC))) {
+        this.log("WARN", `Master ${masterMAC} has a lower priority and has served its grace period. Preempting...`);
+        try {
+          await this._contend({ preempt: true });
+        } catch (err) {
+          this.log("WARN", `Preemption failed: ${err.message}`);
+        }
+      } else {
+        this.log("INFO", "I am a slave. Monitoring master...");
+      }
+    } catch (err) {
+      this._emitError(err, "Tick error");
+    }
+  }
+
+  /**
+   * Record this node's own liveness while it is a slave, so the cluster can see
+   * which members are up. The master's regular heartbeat already covers it.
+   */
+  async sendNodeHeartbeat() {
+    try {
+      const [masterMAC, , alive] = await this.contract.getCurrentMaster(this.clusterId);
+      if (masterMAC === this.mac && alive) return;
+
+      await this._sendNodeTx("nodeHeartbeat");
+      const live = await this.contract.listLiveNodes(this.clusterId);
+      this.log("INFO", `Node heartbeat sent. Live members (${live.length}): ${live.join(", ")}`);
+    } catch (err) {
+      this._emitError(err, "Node heartbeat error");
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internals
+  // ---------------------------------------------------------------------------
+
+  async _verify() {
+    const cluster = formatClusterId(this.clusterId);
+    if (!(await this.contract.clusterExists(this.clusterId))) {
+      throw new Error(`Cluster ${cluster} does not exist in the contract. Create it with createCluster() first.`);
+    }
+
+    if (!(await this.contract.isNodeRegistered(this.clusterId, this.mac))) {
+      throw new Error(`Local MAC ${this.mac} is not registered in cluster ${cluster}. Register it with registerNode() before starting this node.`);
+    }
+
+    // A MAC bound to its own signer only accepts that key; otherwise the shared key.
+    const address = await this.wallet.getAddress();
+    const nodeSigner = await this.contract.getNodeSigner(this.clusterId, this.mac);
+    const expectedSigner = nodeSigner !== ethers.ZeroAddress ? nodeSigner : await this.contract.sharedKeyAddress();
+    if (expectedSigner !== address) {
+      throw new Error(`PRIVATE_KEY (${address}) is not authorized for MAC ${this.mac}. Expected signer: ${expectedSigner}`);
+    }
+    this.log("INFO", `Signer: ${address} (${nodeSigner !== ethers.ZeroAddress ? "node key" : "shared key"})`);
+
+    const [priority, grace] = await Promise.all([
+      this.contract.getNodePriority(this.clusterId, this.mac),
+      this.contract.preemptionGrace(this.clusterId),
+    ]);
+    this.priority = Number(priority);
+    this.log("INFO", `Priority: ${this.priority} | preemption: ${grace > 0n ? `after ${grace}s` : "off"}`);
+    if (grace > 0n && this.priority > 0 && !(this.options.nodeHeartbeatInterval > 0)) {
+      this.log("WARN", "Node heartbeats are off, so this node is never live on-chain and cannot preempt a lower-priority master.");
+    }
+  }
+
+  /**
+   * Update the observed state and emit stateChanged / masterChanged / demoted
+   * for whatever changed since the previous observation.
+   */
+  _observe(state, masterMAC, lastHeartbeat, alive, epoch) {
+    const previousState = this.state;
+    const previousMaster = this.masterMAC;
+    this.state = state;
+    this.masterMAC = masterMAC;
+    this.lastHeartbeat = lastHeartbeat;
+    this.epoch = epoch;
+
+    if (state !== previousState) {
+      this.emit("stateChanged", { state, previous: previousState });
+    }
+    // Before the first observation there is no known master, same as "".
+    if (masterMAC !== (previousMaster ?? "")) {
+      this.emit("masterChanged", { master: masterMAC, previous: previousMaster, epoch });
+    }
+
+    // Someone holds the role: the race, if any, is over.
+    if (alive) this._lostRaces = 0;
+
+    if (this._pending && (masterMAC !== this.mac || !alive || epoch !== this._pending.epoch)) {
+      this.log("WARN", `Lost the election of epoch ${this._pending.epoch} before it was final. Master: ${masterMAC || "(none)"}, epoch ${epoch}.`);
+      this._setPending(null);
+    }
+
+    if (masterMAC !== this.mac || !alive) {
+      this._fenced = false;
+      if (this._isMaster) {
+        const reason = masterMAC === this.mac ? "timeout" : "replaced";
+        this._demote(reason, masterMAC);
+      }
+    }
+
+    if (this.options.mode === "events") this._scheduleMasterTimeout(state);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Event-driven mode
+  // ---------------------------------------------------------------------------
+
+  async _subscribe() {
+    const ours = (clusterId) => clusterId === this.clusterId;
+    await this.contract.on("Heartbeat", (clusterId, _mac, epoch, timestamp) => {
+      if (ours(clusterId)) this._handleHeartbeat(epoch, timestamp);
+    });
+    await this.contract.on("MasterElected", (clusterId, _mac, epoch, ts) => {
+      if (!ours(clusterId)) return;
+      this.log("EVENT", `MasterElected | epoch: ${epoch} at ${ts}`);
+      // Our own election was already observed when its receipt came back.
+      if (epoch !== this.epoch) this._requestTick();
+    });
+    await this.contract.on("MasterResigned", (clusterId, _mac, successor, epoch, ts) => {
+      if (!ours(clusterId)) return;
+      this.log("EVENT", `MasterResigned | successor: ${successor || "(none)"} | epoch: ${epoch} at ${ts}`);
+      this._requestTick();
+    });
+    await this.contract.on("HeartbeatTimeoutUpdated", (clusterId, oldTimeout, newTimeout) => {
+      if (!ours(clusterId)) return;
+      this.log("EVENT", `HeartbeatTimeoutUpdated | ${oldTimeout}s -> ${newTimeout}s`);
+      this._requestTick();
+    });
+    await this.provider.on("block", this._onBlock);
+    this._lastBlockAt = performance.now();
+  }
+
+  /**
+   * Run tick() unless one is already in flight, in which case run one more
+   * after it, so bursts of logs or intervals collapse into a single re-check.
+   */
+  _requestTick() {
+    if (!this._running) return Promise.resolve();
+    if (this._ticking) {
+      this._tickQueued = true;
+      return this._ticking;
+    }
+    this._ticking = (async () => {
+      do {
+        this._tickQueued = false;
+        await this.tick();
+      } while (this._tickQueued && this._running);
+    })().finally(() => {
+      this._ticking = null;
+    });
+    return this._ticking;
+  }
+
+  /**
+   * Interval callback: the master heartbeats, and so does a node whose election
+   * is not final yet; a slave only polls while the subscription is down, or
+   * while it outranks the master and may preempt it.
+   */
+  _poll() {
+    if (this._isMaster || this._pending || this._fenced || this._fallback || this._outranksMaster) this._requestTick();
+  }
+
+  _checkSubscription() {
+    const silentFor = performance.now() - this._lastBlockAt;
+    if (this._fallback || silentFor < this.options.staleAfter) return;
+    this._fallback = true;
+    this.log("WARN", `No new block for ${Math.round(silentFor / 1000)}s. Subscription looks down; polling every ${this.options.checkInterval / 1000}s.`);
+    this._requestTick();
+  }
+
+  _handleBlock(blockNumber) {
+    this._lastBlockAt = performance.now();
+    if (this._pending) this._checkFinality().catch((err) => this._emitError(err, "Finality check error"));
+    if (this._fallback) {
+      this._fallback = false;
+      this.log("INFO", `Block ${blockNumber} received. Subscription restored; back to event-driven checks.`);
+    }
+    // Past the deadline by our clock but not yet by the chain's: re-check on each new block.
+    if (this._timeoutDue) this._requestTick();
+  }
+
+  /** A Heartbeat log is only emitted for the current master, so it just moves the deadline. */
+  _handleHeartbeat(epoch, timestamp) {
+    if (epoch !== this.epoch) {
+      this._requestTick();
+      return;
+    }
+    this.lastHeartbeat = timestamp;
+    this._chainTime = { timestamp: Number(timestamp), at: performance.now() };
+    this._scheduleMasterTimeout(this.state);
+  }
+
+  /** Block time at which the current master's heartbeat expires, or null. */
+  _masterExpiresAt() {
+    if (!this.masterMAC || this.lastHeartbeat === null || this.heartbeatTimeout === null) return null;
+    return Number(this.lastHeartbeat) + this.heartbeatTimeout;
+  }
+
+  /**
+   * Arm a timer for the first block time at which another node's master term
+   * can be taken over. The chain clock is extrapolated from the latest block
+   * timestamp seen.
+   */
+  _scheduleMasterTimeout(state) {
+    clearTimeout(this._timeoutTimer);
+    this._timeoutTimer = null;
+    this._timeoutDue = false;
+
+    const expiresAt = this._masterExpiresAt();
+    if (!this._running || state !== "Running" || this.masterMAC === this.mac || expiresAt === null || !this._chainTime) return;
+
+    const chainNow = this._chainTime.timestamp + (performance.now() - this._chainTime.at) / 1000;
+    const delay = (expiresAt + 1 - chainNow) * 1000;
+    if (delay <= 0) {
+      // Due by our clock, but the last check still saw the master alive.
+      this._timeoutDue = true;
+      return;
+    }
+    this.log("INFO", `Master ${this.masterMAC} times out at block time ${expiresAt}. Election attempt in ${Math.round(delay / 1000)}s.`);
+
+    this._timeoutTimer = setTimeout(() => {
+      this._timeoutTimer = null;
+      this._timeoutDue = true;
+      this._requestTick();
+    }, delay);
+  }
+
+  /**
+   * With `rpcQuorum` > 1, ask every RPC endpoint whether the master has timed
+   * out, so one lagging or faulty endpoint cannot trigger an election.
+   */
+  async _confirmTimeout() {
+    const quorum = this.options.rpcQuorum;
+    if (quorum <= 1) return true;
+
+    const data = this.contract.interface.encodeFunctionData("getState", [this.clusterId]);
+    const results = await this.rpcPool.callAll({ to: this.contract.target, data });
+    const views = results.map(({ label, result, error }) => {
+      if (error) return { label, state: "error" };
+      return { label, state: STATE_NAMES[Number(this.contract.interface.decodeFunctionResult("getState", result)[0])] };
+    });
+    const agreeing = views.filter((v) => v.state === "Election").length;
+
+    if (agreeing >= quorum) return true;
+    const detail = views.map((v) => `${v.label}: ${v.state}`).join(", ");
+    this.log("WARN", `Master timeout seen by ${agreeing}/${views.length} RPC endpoints, quorum is ${quorum}. Not electing yet (${detail}).`);
+    return false;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Election contention
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Claim the master role, after waiting out this node's back-off slot and
+   * checking that no other node got there first.
+   */
+  async _contend({ preempt = false } = {}) {
+    if (this.options.electionBackoff === "none") return this._elect();
+
+    const running = this._running;
+    const delay = await this._electionDelay();
+    if (delay > 0) {
+      this.log("INFO", `Waiting ${delay}ms before the election attempt (${this.options.electionBackoff} back-off)...`);
+      await sleep(delay);
+      if (running && !this._running) return;
+    }
+
+    const blocker = await this._electionBlocker(preempt);
+    if (blocker) {
+      this._lostRaces++;
+      this.log("INFO", `Not electing: ${blocker}.`);
+      return;
+    }
+    try {
+      await this._elect();
+      this._lostRaces = 0;
+    } catch (err) {
+      this._lostRaces++;
+      throw err;
+    }
+  }
+
+  async _electionDelay() {
+    const { electionBackoff, electionDelay } = this.options;
+    const base = electionDelay * 2 ** Math.min(this._lostRaces, MAX_BACKOFF_DOUBLINGS);
+    if (electionBackoff === "random") return Math.floor(Math.random() * base);
+    return (await this._electionRank()) * base;
+  }
+
+  /**
+   * Position of this node among the live members, highest priority first and
+   * then in MAC order. Counts all registered members when this node is not live
+   * itself (node heartbeats are off).
+   */
+  async _electionRank() {
+    let members = await this.contract.listLiveNodes(this.clusterId);
+    if (!members.includes(this.mac)) members = await this.contract.listNodes(this.clusterId);
+    const priorities = await Promise.all(members.map((mac) => this.contract.getNodePriority(this.clusterId, mac)));
+    const ranked = members
+      .map((mac, i) => ({ mac, priority: priorities[i] }))
+      .sort((a, b) => (a.priority !== b.priority ? (a.priority > b.priority ? -1 : 1) : a.mac < b.mac ? -1 : 1));
+    return Math.max(0, ranked.findIndex((m) => m.mac === this.mac));
+  }
+
+  /**
+   * Whether to take over from the live master now. Only asks the contract
+   * (canPreempt) when this node outranks the master and preemption is on.
+   */
+  async _shouldPreempt(masterMAC) {
+    const [priority, masterPriority, grace] = await Promise.all([
+      this.contract.getNodePriority(this.clusterId, this.mac),
+      this.contract.getNodePriority(this.clusterId, masterMAC),
+      this.contract.preemptionGrace(this.clusterId),
+    ]);
+    this.priority = Number(priority);
+    const outranks = grace > 0n && priority > masterPriority;
+    if (outranks && !this._outranksMaster) {
+      this.log("INFO", `Outranking master ${masterMAC} (priority ${priority} > ${masterPriority}). Will preempt once it has served ${grace}s.`);
+    }
+    this._outranksMaster = outranks;
+    return outranks && this.contract.canPreempt(this.clusterId, this.mac);
+  }
+
+  /**
+   * Why this node should not send its election now, or null if it should. A
+   * preemption expects the master it set out to replace to be alive.
+   */
+  async _electionBlocker(preempt) {
+    const [[masterMAC, , alive], competing] = await Promise.all([
+      this.contract.getCurrentMaster(this.clusterId),
+      this._competingElection(),
+    ]);
+    if (alive && !(preempt && masterMAC === this.masterMAC)) return `${masterMAC} was elected meanwhile`;
+    if (competing) return `election tx ${competing.hash} for ${competing.mac} is pending`;
+
+    try {
+      await this.contract.electMaster.staticCall(this.clusterId, this.mac, { blockTag: "pending" });
+    } catch (err) {
+      // Usually a revert (MasterStillAlive); if the call itself failed, the next check retries anyway.
+      return `the pre-send check failed (${err.revert?.name || err.shortMessage || err.message})`;
+    }
+    return null;
+  }
+
+  /**
+   * Another node's election for this cluster waiting in the mempool, or null.
+   * Also null when the RPC does not serve the pending block.
+   */
+  async _competingElection() {
+    let block;
+    try {
+      // Raw request: pending blocks have no number, which ethers' block formatter rejects.
+      block = await this.provider.send("eth_getBlockByNumber", ["pending", true]);
+    } catch {
+      return null;
+    }
+    const target = this.contract.target.toLowerCase();
+    for (const tx of block?.transactions ?? []) {
+      if (typeof tx !== "object" || tx.to?.toLowerCase() !== target) continue;
+      const parsed = ELECTION_CALLS.parseTransaction({ data: tx.input ?? tx.data });
+      if (!parsed) continue;
+      const clusterId = parsed.fragment.inputs[0].name === "clusterId" ? parsed.args.clusterId : DEFAULT_CLUSTER;
+      if (clusterId === this.clusterId && parsed.args.mac !== this.mac) return { hash: tx.hash, mac: parsed.args.mac };
+    }
+    return null;
+  }
+
+  async _elect() {
+    const sentAt = performance.now();
+    const receipt = await this._sendNodeTx("elect");
+    const { epoch, timestamp } = await this._electedTerm(receipt);
+
+    this._fenced = false;
+    this._observe("Running", this.mac, timestamp, true, epoch);
+
+    if (this.options.finality !== 1) {
+      this.log("INFO", `Election tx included in block ${receipt.blockNumber}. Waiting for ${this._finalityLabel()} before acting as master (epoch ${epoch}).`);
+      this._setPending({ epoch, hash: receipt.hash, receipt });
+      this._renewLease(sentAt, { epoch });
+      return;
+    }
+    this.log("INFO", `Election tx confirmed. I am now master (epoch ${epoch}).`);
+    this._renewLease(sentAt, { epoch, receipt, elected: true });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Finality
+  // ---------------------------------------------------------------------------
+
+  _finalityLabel() {
+    const { finality } = this.options;
+    return FINALITY_TAGS.includes(finality) ? `the ${finality} block` : `${finality} confirmations`;
+  }
+
+  /** Pending elections are checked on every new block, in either mode. */
+  _setPending(pending) {
+    const had = this._pending !== null;
+    this._pending = pending;
+    if (!had && pending) this.provider.on("block", this._onBlock);
+    if (had && !pending && this.options.mode !== "events") this.provider.off("block", this._onBlock);
+  }
+
+  /**
+   * Promote the pending election once its tx is final. If a reorg moved or
+   * removed the tx, follow it, and re-check the master status so a lost
+   * election is dropped.
+   */
+  async _checkFinality() {
+    const pending = this._pending;
+    if (!pending || this._checkingFinality) return;
+    this._checkingFinality = true;
+    try {
+      const receipt = await this.provider.getTransactionReceipt(pending.hash);
+      if (receipt?.blockHash !== pending.receipt?.blockHash) {
+        const where = receipt ? `moved to block ${receipt.blockNumber}` : "was removed";
+        this.log("WARN", `Election tx ${pending.hash} ${where} by a reorg. Re-checking master status...`, { txHash: pending.hash });
+        pending.receipt = receipt;
+      }
+      const final = receipt !== null && (await this._isFinal(receipt.blockNumber));
+      if (receipt && !final) return;
+
+      // Re-read the master before acting on a final election, or after a reorg removed it.
+      const [masterMAC, lastHB, alive, epoch] = await this.contract.getCurrentMaster(this.clusterId);
+      if (this._pending !== pending) return;
+      this._observe(this.state, masterMAC, lastHB, alive, epoch);
+      if (!final || this._pending !== pending) return; // still unconfirmed, or dropped as lost
+      this._setPending(null);
+      this._promote(pending);
+    } finally {
+      this._checkingFinality = false;
+    }
+  }
+
+  async _isFinal(blockNumber) {
+    const { finality } = this.options;
+    if (FINALITY_TAGS.includes(finality)) {
+      const block = await this.provider.getBlock(finality);
+      return block !== null && block.number >= blockNumber;
+    }
+    return (await this.provider.getBlockNumber()) - blockNumber + 1 >= finality;
+  }
+
+  _promote({ epoch, receipt }) {
+    const remaining = this._leaseExpiresAt === null ? 0 : this._leaseExpiresAt - performance.now();
+    if (remaining <= 0) {
+      this.log("WARN", `Election of epoch ${epoch} is final, but the local lease ran out meanwhile. Waiting for a heartbeat.`);
+      this._fenced = true;
+      return;
+    }
+    this._isMaster = true;
+    this._fenced = false;
+    this.log("INFO", `Election tx is final (${this._finalityLabel()}). I am now master (epoch ${epoch}).`);
+    this.emit("elected", { mac: this.mac, epoch, receipt, resumed: false });
+  }
+
+  /**
+   * Extend the local lease to `heartbeatTimeout - leaseMargin` after `sentAt`
+   * (when the confirmed tx was sent, so the lease never outlives the on-chain
+   * one). Emits `elected` for a new election, or when a fenced node regains
+   * its lease.
+   */
+  _renewLease(sentAt, { epoch, receipt = null, elected = false }) {
+    const timeoutMs = (this.heartbeatTimeout ?? 0) * 1000;
+    const margin = this.options.leaseMargin ?? timeoutMs / 10;
+    const expiresAt = sentAt + timeoutMs - margin;
+    const remaining = expiresAt - performance.now();
+
+    if (remaining <= 0) {
+      this.log("WARN", `Tx confirmed too late to hold the lease (${Math.round(-remaining)}ms past expiry); not acting as master.`);
+      if (this._isMaster) this._demote("lease-expired", this.masterMAC);
+      this._fenced = true;
+      return;
+    }
+
+    this._leaseExpiresAt = expiresAt;
+    this._armLeaseTimer(remaining);
+    // Until the election is final the lease is kept, but not the role.
+    if (this._pending) return;
+
+    const wasMaster = this._isMaster;
+    const wasFenced = this._fenced;
+    this._isMaster = true;
+    this._fenced = false;
+
+    if (elected) {
+      this.emit("elected", { mac: this.mac, epoch, receipt, resumed: false });
+    } else if (wasFenced && !wasMaster) {
+      this.log("INFO", `Heartbeat confirmed. Lease restored (epoch ${epoch}).`);
+      this.emit("elected", { mac: this.mac, epoch, receipt, resumed: true });
+    }
+    // Otherwise a routine renewal, or a restart while still master on-chain.
+  }
+
+  _armLeaseTimer(remaining) {
+    clearTimeout(this._leaseTimer);
+    this._leaseTimer = setTimeout(() => this._checkLease(), Math.ceil(remaining));
+    this._leaseTimer.unref?.();
+  }
+
+  /** Self-fence once the local lease has run out. */
+  _checkLease() {
+    if (!this._isMaster) return;
+    // Timers measure from the event loop's cached clock and can wake a little early.
+    const remaining = this._leaseExpiresAt - performance.now();
+    if (remaining > 0) {
+      this._armLeaseTimer(remaining);
+      return;
+    }
+    this.log("WARN", "Local lease expired before a heartbeat was confirmed. Stepping down.");
+    this._fenced = true;
+    this._demote("lease-expired", this.masterMAC);
+  }
+
+  _demote(reason, master) {
+    this._isMaster = false;
+    this._leaseExpiresAt = null;
+    clearTimeout(this._leaseTimer);
+    this._leaseTimer = null;
+    this.log("WARN", `No longer master (${reason}). Current master: ${master || "(none)"}`);
+    this.emit("demoted", { mac: this.mac, epoch: this.epoch, master, reason });
+  }
+
+  /**
+   * Send a heartbeat, election, resign, handover (to `toMac`) or node heartbeat
+   * and wait for its receipt. With `relayerUrl` set the node only signs an
+   * EIP-712 payload and the relayer pays the gas.
+   */
+  async _sendNodeTx(action, toMac) {
+    const label = action === "nodeHeartbeat" ? "node heartbeat" : action;
+    if (this.options.relayerUrl) {
+      // Each request signs the MAC's current nonce, so the node heartbeat timer
+      // must not sign alongside a tick.
+      const relayed = this._relaying.then(async () => {
+        const request = await signRelayRequest(this.contract, this.wallet, action, this.clusterId, this.mac, this.options.relayTTL, toMac);
+        const txHash = await sendToRelayer(this.options.relayerUrl, request);
+        return this.txManager.wait(txHash, `relayed ${label}`);
+      });
+      this._relaying = relayed.catch(() => {});
+      return relayed;
+    }
+
+    const method = {
+      elect: "electMaster",
+      heartbeat: "sendHeartbeat",
+      resign: "resign",
+      handover: "handover",
+      nodeHeartbeat: "sendNodeHeartbeat",
+    }[action];
+    const args = action === "handover" ? [this.clusterId, this.mac, toMac] : [this.clusterId, this.mac];
+    return this.txManager.send(this.contract, method, args, label);
+  }
+
+  /**
+   * Extract the epoch and timestamp of the MasterElected event emitted by an
+   * election receipt. Falls back to reading the contract when the event is not found.
+   */
+  async _electedTerm(receipt) {
+    for (const entry of receipt.logs) {
+      const parsed = this.contract.interface.parseLog(entry);
+      if (parsed?.name === "MasterElected") return { epoch: parsed.args.epoch, timestamp: parsed.args.timestamp };
+    }
+    const [, lastHeartbeat, , epoch] = await this.contract.getCurrentMaster(this.clusterId);
+    return { epoch, timestamp: lastHeartbeat };
+  }
+
+  /** Keep lastHeartbeat current from our own Heartbeat log until the next check reads it. */
+  _recordHeartbeat(receipt) {
+    for (const entry of receipt.logs) {
+      const parsed = this.contract.interface.parseLog(entry);
+      if (parsed?.name === "Heartbeat") this.lastHeartbeat = parsed.args.timestamp;
+    }
+  }
+
+  async _giveUpLeadership() {
+    const [masterMAC, , alive, epoch] = await this.contract.getCurrentMaster(this.clusterId);
+    if (masterMAC !== this.mac || !alive) return;
+
+    const { handoverMAC } = this.options;
+    if (handoverMAC && handoverMAC !== this.mac) {
+      this.log("INFO", `I am master. Handing over to ${handoverMAC}...`);
+      await this._sendNodeTx("handover", handoverMAC);
+      this.log("INFO", "Handover tx confirmed.");
+    } else {
+      this.log("INFO", "I am master. Resigning...");
+      await this._sendNodeTx("resign");
+      this.log("INFO", "Resign tx confirmed. A slave can take over on its next tick.");
+    }
+
+    this._fenced = false;
+    this._isMaster = false;
+    this._leaseExpiresAt = null;
+    clearTimeout(this._leaseTimer);
+    this._leaseTimer = null;
+    this.emit("demoted", { mac: this.mac, epoch, master: handoverMAC || "", reason: "resigned" });
+  }
+
+  /** Emit `error` when someone listens for it; otherwise just log, so the loop keeps running. */
+  _emitError(err, context) {
+    this.log("ERROR", `${context}: ${err.message}`);
+    if (this.listenerCount("error") > 0) this.emit("error", err);
+  }
+}
+
+module.exports = { ChainHeartNode, ABI, STATE_NAMES, MODES, FINALITY_TAGS, ELECTION_BACKOFFS };
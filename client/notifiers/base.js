@@ -0,0 +1,47 @@
+/**
+ * Abstract base class for alert channels.
+ *
+ * Subclasses must implement:
+ *   - send(alert) -> resolves once the alert was accepted, rejects otherwise
+ *
+ * An alert is `{ event, severity, title, text, cluster, mac, time, data }`:
+ * severity is "info", "warning" or "critical", time an ISO timestamp and
+ * data the event's details (see ALERT_EVENTS in ./index.js).
+ *
+ * Each channel is constructed with a config object sourced from env vars.
+ */
+class BaseChannel {
+  constructor(config = {}) {
+    if (new.target === BaseChannel) {
+      throw new Error("BaseChannel is abstract and cannot be instantiated directly");
+    }
+    this.config = config;
+    this.name = "base";
+    this.timeout = config.timeout ?? 10000;
+  }
+
+  async send(_alert) {
+    throw new Error(`${this.name}: send() not implemented`);
+  }
+
+  /** POST `body` (a string) and reject on anything but a 2xx answer. */
+  async _post(url, body, headers = {}) {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body,
+      signal: AbortSignal.timeout(this.timeout),
+    });
+    if (!res.ok) {
+      const detail = (await res.text().catch(() => "")).slice(0, 200);
+      throw new Error(`${this.name}: HTTP ${res.status}${detail ? ` ${detail}` : ""}`);
+    }
+  }
+
+  /** JSON with bigints (epochs, balances) as decimal strings. */
+  static toJSON(value) {
+    return JSON.stringify(value, (_key, v) => (typeof v === "bigint" ? v.toString() : v));
+  }
+}
+
+module.exports = BaseChannel;
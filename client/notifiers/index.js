@@ -0,0 +1,174 @@
+const WebhookChannel = require("./webhook");
+const SlackChannel = require("./slack");
+const SmtpChannel = require("./smtp");
+const { formatClusterId, DEFAULT_CLUSTER } = require("../cluster");
+
+const CHANNELS = {
+  webhook: WebhookChannel,
+  slack: SlackChannel,
+  smtp: SmtpChannel,
+};
+
+/** Alerts the client sends, with their default severity. */
+const ALERT_EVENTS = {
+  "master.elected": "info", //          this node won an election
+  "master.timeout": "warning", //       the master missed its heartbeat deadline
+  "heartbeat.failing": "critical", //   this master's heartbeats failed N times in a row
+  "heartbeat.recovered": "info", //     ...and went through again
+  "provision.succeeded": "info", //     onElectedMaster provisioned a server
+  "provision.failed": "critical", //    ...or could not
+  "balance.low": "warning", //          the wallet covers few heartbeats (critical when nearly empty)
+};
+
+/**
+ * Sends alerts to every configured channel.
+ *
+ * `notify()` never rejects: a channel that fails is logged and the others
+ * still get the alert. `flush()` waits for alerts still being sent, e.g.
+ * before the process exits. The shared `notifier` has no channels until the
+ * CLI configures it from notifierOptions(); until then alerts are dropped.
+ *
+ * `watch(node)` turns the node's events into master.elected, master.timeout
+ * and heartbeat.failing / heartbeat.recovered alerts; the CLI hooks send the
+ * provisioning and balance alerts.
+ *
+ * Options:
+ *   channels (BaseChannel instances), events (names to send, default all),
+ *   mac, clusterId, heartbeatFailures (failed heartbeats in a row before
+ *   alerting, default 3), log(level, msg, fields)
+ */
+class Notifier {
+  constructor(options = {}) {
+    this.name = "Notifier";
+    this._inFlight = new Set();
+    this.configure(options);
+  }
+
+  /** Replace the channels and options. */
+  configure(options = {}) {
+    const unknown = (options.events || []).filter((event) => !ALERT_EVENTS[event]);
+    if (unknown.length > 0) {
+      throw new Error(`${this.name}: unknown events: ${unknown.join(", ")}. Supported: ${Object.keys(ALERT_EVENTS).join(", ")}`);
+    }
+    this.options = { channels: [], events: null, heartbeatFailures: 3, ...options };
+    this.channels = this.options.channels;
+    this.log = options.log || (() => {});
+  }
+
+  /**
+   * Send `event` to all channels. Resolves to the names of the channels that
+   * accepted it.
+   *
+   * @param {string} event one of ALERT_EVENTS
+   * @param {{ title: string, text?: string, severity?: string, data?: object }} alert
+   */
+  notify(event, { title, text = title, severity = ALERT_EVENTS[event], data = {} }) {
+    if (this.channels.length === 0) return Promise.resolve([]);
+    if (this.options.events && !this.options.events.includes(event)) return Promise.resolve([]);
+
+    const alert = {
+      event,
+      severity,
+      title,
+      text,
+      cluster: formatClusterId(this.options.clusterId || DEFAULT_CLUSTER),
+      mac: this.options.mac || null,
+      time: new Date().toISOString(),
+      data,
+    };
+    const sending = Promise.all(this.channels.map(async (channel) => {
+      try {
+        await channel.send(alert);
+        return channel.name;
+      } catch (err) {
+        this.log("WARN", `Notification ${event} via ${channel.name} failed: ${err.message}`, { channel: channel.name });
+        return null;
+      }
+    })).then((sent) => sent.filter(Boolean));
+
+    this._inFlight.add(sending);
+    return sending.finally(() => this._inFlight.delete(sending));
+  }
+
+  /** Wait for alerts that are still being sent. */
+  async flush() {
+    await Promise.all([...this._inFlight]);
+  }
+
+  /** Alert on the node's elections, master timeouts and heartbeat failure streaks. */
+  watch(node) {
+    let failures = 0;
+
+    node.on("elected", ({ mac, epoch, receipt, resumed }) => {
+      if (resumed) return;
+      this.notify("master.elected", {
+        title: `${mac} is now master (epoch ${epoch})`,
+        data: { epoch, txHash: receipt?.hash },
+      });
+    });
+
+    node.on("stateChanged", ({ state }) => {
+      if (state !== "Election" || !node.masterMAC) return;
+      const lastHeartbeat = new Date(Number(node.lastHeartbeat) * 1000).toISOString();
+      this.notify("master.timeout", {
+        title: `Master ${node.masterMAC} missed its heartbeat deadline`,
+        text: `Master ${node.masterMAC} has not sent a heartbeat since ${lastHeartbeat}. The cluster is electing a new master.`,
+        data: { master: node.masterMAC, lastHeartbeat, epoch: node.epoch },
+      });
+    });
+
+    node.on("tx", ({ label, status, hash }) => {
+      if (label.replace(/^relayed /, "") !== "heartbeat") return;
+      if (status === "confirmed") {
+        if (failures >= this.options.heartbeatFailures) {
+          this.notify("heartbeat.recovered", { title: `Heartbeats are going through again after ${failures} failures`, data: { txHash: hash } });
+        }
+        failures = 0;
+        return;
+      }
+      failures++;
+      if (failures === this.options.heartbeatFailures) {
+        this.notify("heartbeat.failing", {
+          title: `${failures} heartbeats in a row failed`,
+          text: `The last ${failures} heartbeat txs of master ${node.mac} failed (last: ${status}). It loses the role once the heartbeat timeout passes.`,
+          data: { failures, status, txHash: hash },
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Notifier options from NOTIFY_EVENTS and NOTIFY_HEARTBEAT_FAILURES, with a
+ * channel for each NOTIFY_* destination set in `env` (none if nothing is set).
+ */
+function notifierOptions(env = process.env) {
+  const configs = {
+    webhook: env.NOTIFY_WEBHOOK_URL && { url: env.NOTIFY_WEBHOOK_URL, secret: env.NOTIFY_WEBHOOK_SECRET },
+    slack: env.NOTIFY_SLACK_WEBHOOK_URL && { url: env.NOTIFY_SLACK_WEBHOOK_URL },
+    smtp: env.NOTIFY_SMTP_HOST && {
+      host: env.NOTIFY_SMTP_HOST,
+      port: env.NOTIFY_SMTP_PORT ? parseInt(env.NOTIFY_SMTP_PORT, 10) : null,
+      secure: env.NOTIFY_SMTP_SECURE === "true",
+      user: env.NOTIFY_SMTP_USER,
+      pass: env.NOTIFY_SMTP_PASS,
+      from: env.NOTIFY_EMAIL_FROM,
+      to: (env.NOTIFY_EMAIL_TO || "").split(",").map((to) => to.trim()).filter(Boolean),
+    },
+  };
+  const channels = Object.entries(configs)
+    .filter(([, config]) => config)
+    .map(([name, config]) => new CHANNELS[name](config));
+
+  const events = (env.NOTIFY_EVENTS || "").split(",").map((event) => event.trim()).filter(Boolean);
+  return {
+    channels,
+    events: events.length > 0 ? events : null,
+    heartbeatFailures: parseInt(env.NOTIFY_HEARTBEAT_FAILURES || "3", 10),
+  };
+}
+
+// Shared by the CLI hooks; configured from notifierOptions() once .env is loaded.
+const notifier = new Notifier();
+
+module.exports = { notifier, Notifier, notifierOptions, CHANNELS, ALERT_EVENTS };
@@ -0,0 +1,41 @@
+const BaseChannel = require("./base");
+
+/**
+ * Slack-style incoming webhook (also accepted by Mattermost, Rocket.Chat and
+ * others): a text line plus one attachment, coloured by severity, listing the
+ * alert's details.
+ *
+ * Required env vars:
+ *   NOTIFY_SLACK_WEBHOOK_URL
+ */
+
+const COLORS = { info: "#2eb886", warning: "#daa038", critical: "#a30200" };
+
+class SlackChannel extends BaseChannel {
+  constructor(config = {}) {
+    super(config);
+    this.name = "slack";
+    if (!config.url) throw new Error(`${this.name}: missing config: url`);
+  }
+
+  async send(alert) {
+    const fields = Object.entries(alert.data || {}).map(([title, value]) => ({
+      title,
+      value: typeof value === "object" && value !== null ? BaseChannel.toJSON(value) : String(value),
+      short: true,
+    }));
+    const payload = {
+      text: `*${alert.title}*`,
+      attachments: [{
+        color: COLORS[alert.severity] || COLORS.info,
+        text: alert.text,
+        fields,
+        footer: `ChainHeart | cluster ${alert.cluster} | ${alert.mac} | ${alert.event}`,
+        ts: Math.floor(Date.parse(alert.time) / 1000),
+      }],
+    };
+    await this._post(this.config.url, JSON.stringify(payload));
+  }
+}
+
+module.exports = SlackChannel;
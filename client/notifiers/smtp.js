@@ -0,0 +1,202 @@
+const net = require("net");
+const tls = require("tls");
+const crypto = require("crypto");
+const os = require("os");
+const BaseChannel = require("./base");
+
+/**
+ * Email over SMTP, one plain-text message per alert.
+ *
+ * Connects in plain text and upgrades with STARTTLS when the server offers it,
+ * or uses TLS from the start with `secure` (usually port 465). With a user,
+ * authenticates with AUTH PLAIN.
+ *
+ * Required env vars:
+ *   NOTIFY_SMTP_HOST, NOTIFY_EMAIL_FROM, NOTIFY_EMAIL_TO (comma-separated)
+ *
+ * Optional:
+ *   NOTIFY_SMTP_PORT (default 587, or 465 when secure), NOTIFY_SMTP_SECURE,
+ *   NOTIFY_SMTP_USER, NOTIFY_SMTP_PASS
+ */
+class SmtpChannel extends BaseChannel {
+  constructor(config = {}) {
+    super(config);
+    this.name = "smtp";
+
+    const missing = ["host", "from", "to"].filter((k) => !config[k] || config[k].length === 0);
+    if (missing.length > 0) {
+      throw new Error(`${this.name}: missing config: ${missing.join(", ")}`);
+    }
+    this.to = Array.isArray(config.to) ? config.to : [config.to];
+    this.port = config.port || (config.secure ? 465 : 587);
+  }
+
+  async send(alert) {
+    const session = await SmtpSession.connect(this);
+    try {
+      await session.deliver(this.config.from, this.to, this._message(alert));
+    } finally {
+      session.close();
+    }
+  }
+
+  _message(alert) {
+    const details = Object.entries(alert.data || {})
+      .map(([key, value]) => `  ${key}: ${typeof value === "object" && value !== null ? BaseChannel.toJSON(value) : value}`);
+    const body = [
+      alert.text,
+      "",
+      `Event:    ${alert.event} (${alert.severity})`,
+      `Cluster:  ${alert.cluster}`,
+      `Node:     ${alert.mac}`,
+      `Time:     ${alert.time}`,
+      ...(details.length > 0 ? ["", "Details:", ...details] : []),
+    ].join("\r\n");
+
+    return [
+      `From: ${this.config.from}`,
+      `To: ${this.to.join(", ")}`,
+      `Subject: ${encodeHeader(`[ChainHeart] ${alert.title}`)}`,
+      `Date: ${new Date(alert.time).toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=utf-8",
+      "Content-Transfer-Encoding: 8bit",
+      "",
+      body,
+    ].join("\r\n");
+  }
+}
+
+/** RFC 2047 encoded-word for non-ASCII header values. */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+// ---------------------------------------------------------------------------
+// Protocol
+// ---------------------------------------------------------------------------
+
+/** One SMTP conversation: replies are read in order, one per command. */
+class SmtpSession {
+  constructor(channel) {
+    this.channel = channel;
+    this.replies = [];
+    this.waiting = [];
+    this.buffer = "";
+    this.lines = [];
+    this.error = null;
+    this.socket = null;
+  }
+
+  static async connect(channel) {
+    const session = new SmtpSession(channel);
+    const { host, secure } = channel.config;
+    session._attach(secure
+      ? tls.connect({ host, port: channel.port, servername: host })
+      : net.connect({ host, port: channel.port }));
+    await session._expect(await session._read(), 220, "greeting");
+    return session;
+  }
+
+  async deliver(from, to, message) {
+    const { host, secure, user, pass } = this.channel.config;
+    let extensions = await this._ehlo();
+
+    if (!secure && extensions.includes("STARTTLS")) {
+      await this._command("STARTTLS", 220);
+      const plain = this.socket;
+      plain.removeAllListeners("data");
+      await new Promise((resolve, reject) => {
+        this._attach(tls.connect({ socket: plain, servername: host }, resolve));
+        this.socket.once("error", reject);
+      });
+      extensions = await this._ehlo();
+    }
+
+    if (user) {
+      if (!extensions.some((ext) => /^AUTH\b.*\bPLAIN\b/.test(ext))) {
+        throw new Error(`${this.channel.name}: ${host} does not offer AUTH PLAIN`);
+      }
+      await this._command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ""}`).toString("base64")}`, 235, "AUTH");
+    }
+
+    await this._command(`MAIL FROM:<${address(from)}>`, 250);
+    for (const recipient of to) await this._command(`RCPT TO:<${address(recipient)}>`, [250, 251]);
+    await this._command("DATA", 354);
+    // Lines starting with "." are escaped by doubling the dot.
+    const data = message.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+    await this._command(`${data}\r\n.`, 250, "message");
+  }
+
+  close() {
+    if (!this.socket || this.socket.destroyed) return;
+    this.socket.end("QUIT\r\n");
+  }
+
+  _attach(socket) {
+    this.socket = socket;
+    socket.setTimeout(this.channel.timeout, () => socket.destroy(new Error("timed out")));
+    socket.on("data", (chunk) => this._onData(chunk));
+    socket.on("error", (err) => this._fail(err));
+    socket.on("close", () => this._fail(new Error("connection closed")));
+  }
+
+  _onData(chunk) {
+    this.buffer += chunk.toString("utf8");
+    let newline;
+    while ((newline = this.buffer.indexOf("\n")) !== -1) {
+      const line = this.buffer.slice(0, newline).replace(/\r$/, "");
+      this.buffer = this.buffer.slice(newline + 1);
+      this.lines.push(line);
+      // "250-..." continues a multi-line reply, "250 ..." ends it.
+      if (line[3] !== "-") {
+        const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.lines.map((l) => l.slice(4)) };
+        this.lines = [];
+        const waiter = this.waiting.shift();
+        if (waiter) waiter.resolve(reply);
+        else this.replies.push(reply);
+      }
+    }
+  }
+
+  _fail(err) {
+    if (this.error) return;
+    this.error = err;
+    for (const waiter of this.waiting.splice(0)) waiter.reject(err);
+  }
+
+  _read() {
+    if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(new Error(`${this.channel.name}: ${this.error.message}`));
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ resolve, reject: (err) => reject(new Error(`${this.channel.name}: ${err.message}`)) });
+    });
+  }
+
+  async _command(line, expected, what = line.split(" ")[0]) {
+    this.socket.write(`${line}\r\n`);
+    return this._expect(await this._read(), expected, what);
+  }
+
+  _expect(reply, expected, what) {
+    const codes = Array.isArray(expected) ? expected : [expected];
+    if (!codes.includes(reply.code)) {
+      throw new Error(`${this.channel.name}: ${what} rejected: ${reply.code} ${reply.lines.join(" ")}`);
+    }
+    return reply;
+  }
+
+  async _ehlo() {
+    const reply = await this._command(`EHLO ${os.hostname()}`, 250, "EHLO");
+    return reply.lines.slice(1).map((ext) => ext.toUpperCase());
+  }
+}
+
+/** The bare address of "Name <user@host>" or "user@host". */
+function address(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+module.exports = SmtpChannel;
@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+const BaseChannel = require("./base");
+
+/**
+ * Generic HTTP webhook: POSTs the alert as JSON.
+ *
+ * With a secret, each request carries
+ *   X-ChainHeart-Timestamp: <unix seconds>
+ *   X-ChainHeart-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ * so the receiver can check the sender and reject replays
+ * (see WebhookChannel.verifySignature).
+ *
+ * Required env vars:
+ *   NOTIFY_WEBHOOK_URL
+ *
+ * Optional:
+ *   NOTIFY_WEBHOOK_SECRET
+ */
+class WebhookChannel extends BaseChannel {
+  constructor(config = {}) {
+    super(config);
+    this.name = "webhook";
+    if (!config.url) throw new Error(`${this.name}: missing config: url`);
+  }
+
+  async send(alert) {
+    const body = BaseChannel.toJSON(alert);
+    const headers = {};
+    if (this.config.secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      headers["X-ChainHeart-Timestamp"] = timestamp;
+      headers["X-ChainHeart-Signature"] = sign(this.config.secret, timestamp, body);
+    }
+    await this._post(this.config.url, body, headers);
+  }
+
+  /**
+   * Check a webhook request on the receiving side: the signature must match and
+   * the timestamp be at most `tolerance` seconds old.
+   */
+  static verifySignature(secret, body, timestamp, signature, tolerance = 300) {
+    if (!timestamp || !signature) return false;
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > tolerance) return false;
+    const expected = Buffer.from(sign(secret, timestamp, body));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+module.exports = WebhookChannel;
@@ -1,11 +1,235 @@
 const BaseProvider = require("./base");
 
-/** Alibaba Cloud ECS - placeholder */
+const CHARGE_TYPES = ["PostPaid", "PrePaid"];
+
+/**
+ * Alibaba Cloud ECS provider.
+ *
+ * Required env vars:
+ *   ALIYUN_ACCESS_KEY_ID, ALIYUN_ACCESS_KEY_SECRET, ALIYUN_REGION,
+ *   ALIYUN_IMAGE_ID, ALIYUN_INSTANCE_TYPE, ALIYUN_SECURITY_GROUP_ID,
+ *   ALIYUN_VSWITCH_ID
+ *
+ * Optional:
+ *   ALIYUN_CHARGE_TYPE (PostPaid | PrePaid, default PostPaid),
+ *   ALIYUN_PERIOD (prepaid months, default 1), ALIYUN_INSTANCE_NAME,
+ *   ALIYUN_ZONE_ID, ALIYUN_KEY_PAIR_NAME, ALIYUN_INTERNET_MAX_BANDWIDTH_OUT
+ *
+ * @see https://help.aliyun.com/zh/ecs/developer-reference/api-ecs-2014-05-26-runinstances
+ */
 class AliyunProvider extends BaseProvider {
   constructor(config = {}) {
     super(config);
     this.name = "aliyun";
+
+    const missing = ["accessKeyId", "accessKeySecret", "region", "imageId", "instanceType", "securityGroupId", "vSwitchId"]
+      .filter((k) => !config[k]);
+    if (missing.length > 0) {
+      throw new Error(`${this.name}: missing config: ${missing.join(", ")}`);
+    }
+
+    this.chargeType = config.chargeType || "PostPaid";
+    if (!CHARGE_TYPES.includes(this.chargeType)) {
+      throw new Error(`${this.name}: invalid chargeType "${this.chargeType}", expected ${CHARGE_TYPES.join(" or ")}`);
+    }
+    this.period = parseInt(config.period || "1", 10);
+    this.bandwidthOut = config.internetMaxBandwidthOut ? parseInt(config.internetMaxBandwidthOut, 10) : null;
+    this.waitRetries = config.waitRetries ?? 30;
+    this.waitInterval = config.waitInterval ?? 10000;
+
+    const Ecs = require("@alicloud/ecs20140526");
+    const { Config } = require("@alicloud/openapi-client");
+    this.ecs = Ecs;
+    this.client = new Ecs.default(new Config({
+      accessKeyId: config.accessKeyId,
+      accessKeySecret: config.accessKeySecret,
+      regionId: config.region,
+      endpoint: config.endpoint || `ecs.${config.region}.aliyuncs.com`,
+    }));
+
+    this.log("INFO", "ECS client ready", {
+      region: config.region,
+      imageId: config.imageId,
+      instanceType: config.instanceType,
+      securityGroupId: config.securityGroupId,
+      vSwitchId: config.vSwitchId,
+      instanceName: config.instanceName || "ChainHeart-Node",
+      zoneId: config.zoneId || "(from vSwitch)",
+      chargeType: this.chargeType,
+      period: this.chargeType === "PrePaid" ? this.period : undefined,
+      keyPairName: config.keyPairName || "(none)",
+    });
+  }
+
+  async createServer(options = {}) {
+    const params = {
+      regionId: this.config.region,
+      imageId: options.imageId || this.config.imageId,
+      instanceType: options.instanceType || this.config.instanceType,
+      securityGroupId: this.config.securityGroupId,
+      vSwitchId: this.config.vSwitchId,
+      instanceName: options.instanceName || this.config.instanceName || "ChainHeart-Node",
+      instanceChargeType: this.chargeType,
+      amount: 1,
+    };
+
+    if (this.chargeType === "PrePaid") {
+      params.period = this.period || 1;
+      params.periodUnit = "Month";
+      params.autoRenew = false;
+    }
+
+    if (this.config.zoneId) {
+      params.zoneId = this.config.zoneId;
+    }
+
+    if (this.config.keyPairName) {
+      params.keyPairName = this.config.keyPairName;
+    }
+
+    if (this.bandwidthOut) {
+      params.internetMaxBandwidthOut = this.bandwidthOut;
+    }
+
+    this.log("INFO", "RunInstances request", { params });
+
+    try {
+      const { body } = await this.client.runInstances(new this.ecs.RunInstancesRequest(params));
+      const instanceIds = body.instanceIdSets?.instanceIdSet || [];
+
+      this.log("INFO", "RunInstances response", { requestId: body.requestId, instanceIds });
+
+      if (instanceIds.length === 0) {
+        return { instanceId: null, instanceIds, requestId: body.requestId };
+      }
+
+      this.log("INFO", `Instance ${instanceIds[0]} created, waiting for it to boot...`, { requestId: body.requestId });
+      const instance = await this._waitForRunning(instanceIds[0]).catch((err) => this._abandon(instanceIds[0], err));
+
+      return {
+        instanceId: instanceIds[0],
+        instanceIds,
+        requestId: body.requestId,
+        status: instance.status,
+        publicIp: publicIp(instance),
+        privateIp: privateIp(instance),
+      };
+    } catch (err) {
+      this.log("ERROR", `RunInstances failed: ${err.message}`, { code: err.code || "UNKNOWN", requestId: requestIdOf(err) });
+      throw err;
+    }
   }
+
+  async getServer(instanceId) {
+    this.log("DEBUG", "DescribeInstances request", { instanceId });
+
+    try {
+      const { body } = await this._describe(instanceId);
+
+      const instance = body.instances?.instance?.[0];
+      if (!instance) {
+        this.log("WARN", `Instance ${instanceId} not found`, { requestId: body.requestId });
+        return null;
+      }
+
+      const info = {
+        instanceId: instance.instanceId,
+        instanceName: instance.instanceName,
+        status: instance.status,
+        publicIp: publicIp(instance),
+        privateIp: privateIp(instance),
+        region: instance.regionId,
+        zone: instance.zoneId,
+        imageId: instance.imageId,
+        instanceType: instance.instanceType,
+        chargeType: instance.instanceChargeType,
+        createdTime: instance.creationTime,
+        expiredTime: instance.expiredTime,
+      };
+
+      this.log("DEBUG", "DescribeInstances response", { requestId: body.requestId, instance: info });
+      return info;
+    } catch (err) {
+      this.log("ERROR", `DescribeInstances failed: ${err.message}`, { code: err.code || "UNKNOWN", requestId: requestIdOf(err) });
+      throw err;
+    }
+  }
+
+  async destroyServer(instanceId) {
+    this.log("INFO", "DeleteInstance request", { instanceId });
+
+    try {
+      // force: delete a running instance without stopping it first.
+      const { body } = await this.client.deleteInstance(new this.ecs.DeleteInstanceRequest({ instanceId, force: true }));
+
+      this.log("INFO", `Instance ${instanceId} deleted`, { requestId: body.requestId });
+      return { requestId: body.requestId };
+    } catch (err) {
+      this.log("ERROR", `DeleteInstance failed: ${err.message}`, { code: err.code || "UNKNOWN", requestId: requestIdOf(err) });
+      throw err;
+    }
+  }
+
+  _describe(instanceId) {
+    return this.client.describeInstances(new this.ecs.DescribeInstancesRequest({
+      regionId: this.config.region,
+      instanceIds: JSON.stringify([instanceId]),
+    }));
+  }
+
+  /**
+   * Force-delete an instance that never came up, so it does not keep billing,
+   * and rethrow `err` with its instanceId so the caller can still clean up if
+   * the delete failed too (a PrePaid instance cannot always be deleted early).
+   */
+  async _abandon(instanceId, err) {
+    err.instanceId = instanceId;
+    try {
+      await this.destroyServer(instanceId);
+    } catch {
+      this.log("ERROR", `Instance ${instanceId} did not come up and could not be deleted; remove it by hand`, { instanceId });
+    }
+    throw err;
+  }
+
+  /** Poll until the instance is Running; throws if it does not get there in time. */
+  async _waitForRunning(instanceId, maxRetries = this.waitRetries, intervalMs = this.waitInterval) {
+    for (let i = 1; i <= maxRetries; i++) {
+      await new Promise((r) => setTimeout(r, intervalMs));
+
+      try {
+        const { body } = await this._describe(instanceId);
+        const instance = body.instances?.instance?.[0];
+        const state = instance?.status;
+
+        this.log("INFO", `[${i}/${maxRetries}] ${instanceId} => ${state || "UNKNOWN"}`, { requestId: body.requestId });
+
+        if (state === "Running") {
+          this.log("INFO", `Instance ${instanceId} is running`, {
+            publicIp: publicIp(instance) || "(pending)",
+            privateIp: privateIp(instance) || "(pending)",
+          });
+          return instance;
+        }
+      } catch (err) {
+        this.log("WARN", `[${i}/${maxRetries}] ${instanceId} poll failed: ${err.message}`, { requestId: requestIdOf(err) });
+      }
+    }
+
+    throw new Error(`${this.name}: instance ${instanceId} did not reach Running within ${maxRetries * intervalMs / 1000}s`);
+  }
+}
+
+function publicIp(instance) {
+  return instance.publicIpAddress?.ipAddress?.[0] || instance.eipAddress?.ipAddress || null;
+}
+
+function privateIp(instance) {
+  return instance.vpcAttributes?.privateIpAddress?.ipAddress?.[0] || instance.innerIpAddress?.ipAddress?.[0] || null;
+}
+
+function requestIdOf(err) {
+  return err.data?.RequestId || err.requestId;
 }
 
 module.exports = AliyunProvider;
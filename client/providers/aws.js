@@ -1,11 +1,244 @@
 const BaseProvider = require("./base");
 
-/** AWS EC2 / Lightsail - placeholder */
+/**
+ * AWS EC2 provider.
+ *
+ * Required env vars:
+ *   AWS_REGION, AWS_AMI_ID
+ *
+ * Optional:
+ *   AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY (default: the SDK's credential
+ *   chain, e.g. an instance role), AWS_INSTANCE_TYPE (default t3.micro),
+ *   AWS_KEY_NAME, AWS_SECURITY_GROUP_IDS (comma-separated), AWS_SUBNET_ID,
+ *   AWS_INSTANCE_NAME, AWS_TAGS (comma-separated key=value), AWS_USER_DATA,
+ *   AWS_ENDPOINT_URL (e.g. LocalStack)
+ *
+ * @see https://docs.aws.amazon.com/AWSEC2/latest/APIReference/API_RunInstances.html
+ */
 class AwsProvider extends BaseProvider {
   constructor(config = {}) {
     super(config);
     this.name = "aws";
+
+    const missing = ["region", "imageId"].filter((k) => !config[k]);
+    if (config.accessKeyId && !config.secretAccessKey) missing.push("secretAccessKey");
+    if (config.secretAccessKey && !config.accessKeyId) missing.push("accessKeyId");
+    if (missing.length > 0) {
+      throw new Error(`${this.name}: missing config: ${missing.join(", ")}`);
+    }
+
+    this.securityGroupIds = list(config.securityGroupIds);
+    this.tags = parseTags(config.tags);
+    this.waitRetries = config.waitRetries ?? 30;
+    this.waitInterval = config.waitInterval ?? 10000;
+
+    const ec2 = require("@aws-sdk/client-ec2");
+    this.ec2 = ec2;
+    this.client = new ec2.EC2Client({
+      region: config.region,
+      endpoint: config.endpoint || undefined,
+      credentials: config.accessKeyId
+        ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+        : undefined,
+    });
+
+    this.log("INFO", "EC2 client ready", {
+      region: config.region,
+      imageId: config.imageId,
+      instanceType: config.instanceType || "t3.micro",
+      instanceName: config.instanceName || "ChainHeart-Node",
+      keyName: config.keyName || "(none)",
+      securityGroupIds: this.securityGroupIds.length > 0 ? this.securityGroupIds : "(default)",
+      subnetId: config.subnetId || "(default)",
+      endpoint: config.endpoint || "(default)",
+    });
+  }
+
+  async createServer(options = {}) {
+    const tags = [
+      { Key: "Name", Value: options.instanceName || this.config.instanceName || "ChainHeart-Node" },
+      ...Object.entries({ ...this.tags, ...options.tags }).map(([Key, Value]) => ({ Key, Value: String(Value) })),
+    ];
+    const params = {
+      ImageId: options.imageId || this.config.imageId,
+      InstanceType: options.instanceType || this.config.instanceType || "t3.micro",
+      MinCount: 1,
+      MaxCount: 1,
+      TagSpecifications: [{ ResourceType: "instance", Tags: tags }],
+    };
+
+    if (this.config.keyName) {
+      params.KeyName = this.config.keyName;
+    }
+
+    if (this.securityGroupIds.length > 0) {
+      params.SecurityGroupIds = this.securityGroupIds;
+    }
+
+    if (this.config.subnetId) {
+      params.SubnetId = this.config.subnetId;
+    }
+
+    const userData = options.userData ?? this.config.userData;
+    if (userData) {
+      params.UserData = Buffer.from(userData).toString("base64");
+    }
+
+    this.log("INFO", "RunInstances request", { params: { ...params, UserData: params.UserData ? "(set)" : undefined } });
+
+    try {
+      const result = await this.client.send(new this.ec2.RunInstancesCommand(params));
+      const requestId = result.$metadata?.requestId;
+      const instanceIds = (result.Instances || []).map((instance) => instance.InstanceId);
+
+      this.log("INFO", "RunInstances response", { requestId, instanceIds, reservationId: result.ReservationId });
+
+      if (instanceIds.length === 0) {
+        return { instanceId: null, instanceIds, requestId };
+      }
+
+      this.log("INFO", `Instance ${instanceIds[0]} created, waiting for it to boot...`, { requestId });
+      const instance = await this._waitForRunning(instanceIds[0]).catch((err) => this._abandon(instanceIds[0], err));
+
+      return {
+        instanceId: instanceIds[0],
+        instanceIds,
+        requestId,
+        status: instance.State.Name,
+        publicIp: instance.PublicIpAddress || null,
+        privateIp: instance.PrivateIpAddress || null,
+      };
+    } catch (err) {
+      this.log("ERROR", `RunInstances failed: ${err.message}`, { code: errorCode(err), requestId: err.$metadata?.requestId });
+      throw err;
+    }
+  }
+
+  async getServer(instanceId) {
+    this.log("DEBUG", "DescribeInstances request", { instanceId });
+
+    try {
+      const result = await this.client.send(new this.ec2.DescribeInstancesCommand({ InstanceIds: [instanceId] }));
+      const requestId = result.$metadata?.requestId;
+
+      const instance = result.Reservations?.[0]?.Instances?.[0];
+      if (!instance) {
+        this.log("WARN", `Instance ${instanceId} not found`, { requestId });
+        return null;
+      }
+
+      const info = {
+        instanceId: instance.InstanceId,
+        instanceName: instance.Tags?.find((tag) => tag.Key === "Name")?.Value || null,
+        status: instance.State?.Name,
+        publicIp: instance.PublicIpAddress || null,
+        privateIp: instance.PrivateIpAddress || null,
+        region: this.config.region,
+        zone: instance.Placement?.AvailabilityZone,
+        imageId: instance.ImageId,
+        instanceType: instance.InstanceType,
+        createdTime: instance.LaunchTime,
+      };
+
+      this.log("DEBUG", "DescribeInstances response", { requestId, instance: info });
+      return info;
+    } catch (err) {
+      if (errorCode(err) === "InvalidInstanceID.NotFound") {
+        this.log("WARN", `Instance ${instanceId} not found`, { requestId: err.$metadata?.requestId });
+        return null;
+      }
+      this.log("ERROR", `DescribeInstances failed: ${err.message}`, { code: errorCode(err), requestId: err.$metadata?.requestId });
+      throw err;
+    }
+  }
+
+  async destroyServer(instanceId) {
+    this.log("INFO", "TerminateInstances request", { instanceId });
+
+    try {
+      const result = await this.client.send(new this.ec2.TerminateInstancesCommand({ InstanceIds: [instanceId] }));
+      const requestId = result.$metadata?.requestId;
+      const status = result.TerminatingInstances?.[0]?.CurrentState?.Name;
+
+      this.log("INFO", `Instance ${instanceId} terminated`, { requestId, status });
+      return { requestId, status };
+    } catch (err) {
+      this.log("ERROR", `TerminateInstances failed: ${err.message}`, { code: errorCode(err), requestId: err.$metadata?.requestId });
+      throw err;
+    }
+  }
+
+  /**
+   * Terminate an instance that never came up, so it does not keep billing, and
+   * rethrow `err` with its instanceId so the caller can still clean up if the
+   * termination failed too.
+   */
+  async _abandon(instanceId, err) {
+    err.instanceId = instanceId;
+    try {
+      await this.destroyServer(instanceId);
+    } catch {
+      this.log("ERROR", `Instance ${instanceId} did not come up and could not be terminated; remove it by hand`, { instanceId });
+    }
+    throw err;
+  }
+
+  /** Poll until the instance is running; throws if it dies or does not get there in time. */
+  async _waitForRunning(instanceId, maxRetries = this.waitRetries, intervalMs = this.waitInterval) {
+    for (let i = 1; i <= maxRetries; i++) {
+      await new Promise((r) => setTimeout(r, intervalMs));
+
+      let instance;
+      try {
+        const result = await this.client.send(new this.ec2.DescribeInstancesCommand({ InstanceIds: [instanceId] }));
+        instance = result.Reservations?.[0]?.Instances?.[0];
+        this.log("INFO", `[${i}/${maxRetries}] ${instanceId} => ${instance?.State?.Name || "UNKNOWN"}`, { requestId: result.$metadata?.requestId });
+      } catch (err) {
+        // A just-launched instance can be briefly unknown to DescribeInstances.
+        this.log("WARN", `[${i}/${maxRetries}] ${instanceId} poll failed: ${err.message}`, { code: errorCode(err), requestId: err.$metadata?.requestId });
+        continue;
+      }
+
+      const state = instance?.State?.Name;
+      if (state === "running") {
+        this.log("INFO", `Instance ${instanceId} is running`, {
+          publicIp: instance.PublicIpAddress || "(pending)",
+          privateIp: instance.PrivateIpAddress || "(pending)",
+        });
+        return instance;
+      }
+      // An instance that fails to launch (capacity, bad AMI) goes straight to
+      // shutting-down / terminated and never comes back.
+      if (state === "shutting-down" || state === "terminated") {
+        throw new Error(`${this.name}: instance ${instanceId} is ${state}: ${instance.StateReason?.Message || "no reason given"}`);
+      }
+    }
+
+    throw new Error(`${this.name}: instance ${instanceId} did not reach running within ${maxRetries * intervalMs / 1000}s`);
+  }
+}
+
+/** "a, b" or ["a", "b"] -> ["a", "b"]. */
+function list(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : value.split(",")).map((item) => item.trim()).filter(Boolean);
+}
+
+/** "team=ops,env=prod" or { team: "ops" } -> { team: "ops", env: "prod" }. */
+function parseTags(value) {
+  if (!value) return {};
+  if (typeof value === "object") return value;
+  const tags = {};
+  for (const pair of list(value)) {
+    const eq = pair.indexOf("=");
+    if (eq <= 0) throw new Error(`aws: invalid tag "${pair}", expected key=value`);
+    tags[pair.slice(0, eq).trim()] = pair.slice(eq + 1).trim();
   }
+  return tags;
+}
+
+function errorCode(err) {
+  return err.Code || err.name || "UNKNOWN";
 }
 
 module.exports = AwsProvider;
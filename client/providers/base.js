@@ -1,3 +1,5 @@
+const { logger } = require("../logger");
+
 /**
  * Abstract base class for cloud server providers.
  *
@@ -6,7 +8,8 @@
  *   - getServer(instanceId)   -> { instanceId, status, publicIp, ... }
  *   - destroyServer(instanceId) -> void
  *
- * Each provider is constructed with a config object sourced from env vars.
+ * Each provider is constructed with a config object sourced from env vars;
+ * `config.log` (see client/logger.js) defaults to the shared logger.
  */
 class BaseProvider {
   constructor(config = {}) {
@@ -17,6 +20,11 @@ class BaseProvider {
     this.name = "base";
   }
 
+  /** Log with the provider's name attached. */
+  log(level, msg, fields = {}) {
+    (this.config.log || logger)(level, msg, { provider: this.name, ...fields });
+  }
+
   async createServer(_options) {
     throw new Error(`${this.name}: createServer() not implemented`);
   }
@@ -0,0 +1,167 @@
+const { spawn } = require("child_process");
+const BaseProvider = require("./base");
+
+/**
+ * Runs your own commands to provision servers (Terraform, Ansible, a CLI).
+ *
+ * Each command runs in a shell with the client's environment plus
+ *   CHAINHEART_ACTION       create | get | destroy
+ *   CHAINHEART_MAC          this node's MAC
+ *   CHAINHEART_INSTANCE_ID  the server's id (get / destroy)
+ * and must print JSON on stdout: the whole output, or its last line, so the
+ * tool's own progress output can come first. Create must print an
+ * `instanceId` (or `id`); get may print nothing for a server that is gone;
+ * destroy only needs to exit with 0. A non-zero exit fails the call with the
+ * end of stderr. Commands that run longer than the timeout are sent SIGTERM,
+ * and SIGKILL if they are still around 5 seconds later. Only the last 1 MB of
+ * each output stream is kept.
+ *
+ * Required env vars:
+ *   EXEC_CREATE_COMMAND
+ *
+ * Optional:
+ *   EXEC_GET_COMMAND, EXEC_DESTROY_COMMAND (getServer / destroyServer throw
+ *   without them), EXEC_CWD, EXEC_TIMEOUT (seconds, default 600)
+ */
+class ExecProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = "exec";
+
+    if (!config.createCommand) {
+      throw new Error(`${this.name}: missing config: createCommand`);
+    }
+
+    this.timeout = config.timeout ? parseInt(config.timeout, 10) * 1000 : 600000;
+    this.killGrace = 5000;
+    this.maxOutput = 1024 * 1024;
+
+    this.log("INFO", "Exec provisioning ready", {
+      createCommand: config.createCommand,
+      getCommand: config.getCommand || "(none)",
+      destroyCommand: config.destroyCommand || "(none)",
+      cwd: config.cwd || process.cwd(),
+      timeout: this.timeout / 1000,
+    });
+  }
+
+  async createServer() {
+    const result = await this._run("create");
+    const instanceId = result?.instanceId ?? result?.id;
+    if (!instanceId) {
+      throw new Error(`${this.name}: create command printed no instanceId`);
+    }
+    return { ...result, instanceId: String(instanceId) };
+  }
+
+  async getServer(instanceId) {
+    return this._run("get", instanceId);
+  }
+
+  async destroyServer(instanceId) {
+    const result = await this._run("destroy", instanceId);
+    return { instanceId, ...result };
+  }
+
+  /** Run the command for `action`; resolves to its parsed JSON output, or null if it printed nothing. */
+  async _run(action, instanceId) {
+    const command = this.config[`${action}Command`];
+    if (!command) {
+      throw new Error(`${this.name}: ${action}Command is not configured`);
+    }
+    this.log(action === "get" ? "DEBUG" : "INFO", `${action} command`, { command, instanceId });
+
+    try {
+      const { stdout, stderr } = await this._spawn(command, {
+        CHAINHEART_ACTION: action,
+        CHAINHEART_MAC: this.config.mac || "",
+        CHAINHEART_INSTANCE_ID: instanceId || "",
+      });
+      const result = parseOutput(stdout);
+      if (result === undefined) {
+        throw new Error(`${this.name}: ${action} command printed no JSON: ${tail(stdout)}`);
+      }
+      if (stderr.trim()) this.log("DEBUG", `${action} command stderr`, { stderr: tail(stderr) });
+
+      this.log(action === "get" ? "DEBUG" : "INFO", `${action} command finished`, { instanceId: result?.instanceId ?? instanceId });
+      return result;
+    } catch (err) {
+      this.log("ERROR", `${action} command failed: ${err.message}`, { instanceId });
+      throw err;
+    }
+  }
+
+  _spawn(command, env) {
+    return new Promise((resolve, reject) => {
+      // detached: the command gets its own process group, so a timeout kills
+      // the whole tree (terraform and its plugins), not just the shell.
+      const child = spawn(command, {
+        shell: true,
+        cwd: this.config.cwd || undefined,
+        env: { ...process.env, ...env },
+        stdio: ["ignore", "pipe", "pipe"],
+        detached: process.platform !== "win32",
+      });
+      let stdout = "";
+      let stderr = "";
+      let settled = false;
+      let killTimer = null;
+      // Keep the end of each stream: that is where the JSON and the errors are.
+      child.stdout.on("data", (chunk) => (stdout = (stdout + chunk).slice(-this.maxOutput)));
+      child.stderr.on("data", (chunk) => (stderr = (stderr + chunk).slice(-this.maxOutput)));
+
+      const settle = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        fn(value);
+      };
+      const kill = (signal) => {
+        try {
+          if (process.platform === "win32") child.kill(signal);
+          else process.kill(-child.pid, signal);
+        } catch {}
+      };
+
+      // Fail as soon as the timeout is hit: a command that ignores SIGTERM, or a
+      // grandchild that holds the pipes open, must not hold up the caller.
+      const timer = setTimeout(() => {
+        kill("SIGTERM");
+        killTimer = setTimeout(() => kill("SIGKILL"), this.killGrace);
+        settle(reject, new Error(`${this.name}: timed out after ${this.timeout / 1000}s`));
+      }, this.timeout);
+
+      child.on("error", (err) => settle(reject, new Error(`${this.name}: ${err.message}`)));
+      child.on("close", (code, signal) => {
+        clearTimeout(killTimer);
+        if (code !== 0) {
+          const detail = tail(stderr) || tail(stdout);
+          return settle(reject, new Error(`${this.name}: exited with ${code ?? signal}${detail ? `: ${detail}` : ""}`));
+        }
+        settle(resolve, { stdout, stderr });
+      });
+    });
+  }
+}
+
+/**
+ * The JSON a command printed: all of stdout, or else its last non-empty line.
+ * null for no output, undefined if neither parses.
+ */
+function parseOutput(stdout) {
+  const text = stdout.trim();
+  if (!text) return null;
+  for (const candidate of [text, text.split("\n").pop()]) {
+    try {
+      return JSON.parse(candidate);
+    } catch {}
+  }
+  return undefined;
+}
+
+function tail(text, max = 500) {
+  const trimmed = text.trim();
+  return trimmed.length > max ? `...${trimmed.slice(-max)}` : trimmed;
+}
+
+module.exports = ExecProvider;
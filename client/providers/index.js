@@ -2,19 +2,28 @@ const TencentLighthouseProvider = require("./tencent-lighthouse");
 const AliyunProvider = require("./aliyun");
 const AwsProvider = require("./aws");
 const Pay402Provider = require("./pay402");
+const WebhookProvider = require("./webhook");
+const ExecProvider = require("./exec");
 
 const PROVIDERS = {
   "tencent-lighthouse": TencentLighthouseProvider,
   aliyun: AliyunProvider,
   aws: AwsProvider,
   pay402: Pay402Provider,
+  webhook: WebhookProvider,
+  exec: ExecProvider,
 };
 
 /**
  * Create a cloud provider instance based on CLOUD_PROVIDER env var.
  * Returns null if CLOUD_PROVIDER is not set (provider disabled).
+ *
+ * @param {object} [options]
+ * @param {Function} [options.log] Logger passed to the provider as config.log
+ * @param {ethers.Signer} [options.wallet] The node's wallet, which pays for pay402 servers
+ * @param {string} [options.mac] The node's MAC, passed to webhook / exec provisioning
  */
-function createProvider() {
+function createProvider({ log, wallet, mac } = {}) {
   const name = process.env.CLOUD_PROVIDER;
   if (!name) return null;
 
@@ -39,19 +48,61 @@ function createProvider() {
       accessKeyId: process.env.ALIYUN_ACCESS_KEY_ID,
       accessKeySecret: process.env.ALIYUN_ACCESS_KEY_SECRET,
       region: process.env.ALIYUN_REGION,
+      imageId: process.env.ALIYUN_IMAGE_ID,
+      instanceType: process.env.ALIYUN_INSTANCE_TYPE,
+      securityGroupId: process.env.ALIYUN_SECURITY_GROUP_ID,
+      vSwitchId: process.env.ALIYUN_VSWITCH_ID,
+      chargeType: process.env.ALIYUN_CHARGE_TYPE,
+      period: process.env.ALIYUN_PERIOD,
+      instanceName: process.env.ALIYUN_INSTANCE_NAME,
+      zoneId: process.env.ALIYUN_ZONE_ID,
+      keyPairName: process.env.ALIYUN_KEY_PAIR_NAME,
+      internetMaxBandwidthOut: process.env.ALIYUN_INTERNET_MAX_BANDWIDTH_OUT,
     },
     aws: {
       accessKeyId: process.env.AWS_ACCESS_KEY_ID,
       secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
       region: process.env.AWS_REGION,
+      imageId: process.env.AWS_AMI_ID,
+      instanceType: process.env.AWS_INSTANCE_TYPE,
+      keyName: process.env.AWS_KEY_NAME,
+      securityGroupIds: process.env.AWS_SECURITY_GROUP_IDS,
+      subnetId: process.env.AWS_SUBNET_ID,
+      instanceName: process.env.AWS_INSTANCE_NAME,
+      tags: process.env.AWS_TAGS,
+      userData: process.env.AWS_USER_DATA,
+      endpoint: process.env.AWS_ENDPOINT_URL,
     },
     pay402: {
       endpoint: process.env.PAY402_ENDPOINT,
       token: process.env.PAY402_TOKEN,
+      maxAmount: process.env.PAY402_MAX_AMOUNT,
+      instanceName: process.env.PAY402_INSTANCE_NAME,
+      wallet,
+    },
+    webhook: {
+      createUrl: process.env.WEBHOOK_CREATE_URL,
+      getUrl: process.env.WEBHOOK_GET_URL,
+      destroyUrl: process.env.WEBHOOK_DESTROY_URL,
+      createBody: process.env.WEBHOOK_CREATE_BODY,
+      getBody: process.env.WEBHOOK_GET_BODY,
+      destroyBody: process.env.WEBHOOK_DESTROY_BODY,
+      token: process.env.WEBHOOK_TOKEN,
+      headers: process.env.WEBHOOK_HEADERS,
+      timeout: process.env.WEBHOOK_TIMEOUT,
+      mac,
+    },
+    exec: {
+      createCommand: process.env.EXEC_CREATE_COMMAND,
+      getCommand: process.env.EXEC_GET_COMMAND,
+      destroyCommand: process.env.EXEC_DESTROY_COMMAND,
+      cwd: process.env.EXEC_CWD,
+      timeout: process.env.EXEC_TIMEOUT,
+      mac,
     },
   };
 
-  return new Provider(configMap[name] || {});
+  return new Provider({ ...configMap[name], log });
 }
 
 module.exports = { createProvider, PROVIDERS };
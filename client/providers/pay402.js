@@ -1,10 +1,304 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
 const BaseProvider = require("./base");
 
-/** 402 Payment based server provisioning - placeholder */
+/**
+ * Pay-per-server provisioning over HTTP 402 (x402 "exact" scheme on EVM).
+ *
+ * The provisioning API:
+ *   POST   {endpoint}/servers       -> 201 { instanceId, status, ... }, or
+ *                                      402 { x402Version, accepts: [requirements] }
+ *   GET    {endpoint}/servers/{id}  -> { instanceId, status, publicIp, ... } (404 = gone)
+ *   DELETE {endpoint}/servers/{id}
+ *
+ * On a 402 the provider picks the "exact" requirement for the node's chain,
+ * signs an EIP-3009 TransferWithAuthorization for it with the node's wallet
+ * (so no tx of its own competes with heartbeats for nonces), and repeats the
+ * POST with the signed payment in the X-PAYMENT header. The server settles
+ * the transfer and answers 201. Amounts are in the asset's smallest unit; a
+ * demand above `maxAmount` is refused without signing.
+ *
+ * createServer() then polls until the status is "running". A server that goes
+ * "failed" or "terminated", disappears, or is not running within the wait
+ * fails the call; it is deleted unless it is gone already, and the error
+ * carries its `instanceId` and `payment`, since it was paid for either way.
+ *
+ * Required env vars:
+ *   PAY402_ENDPOINT, PAY402_MAX_AMOUNT (plus PRIVATE_KEY / RPC_URL: the
+ *   node's wallet pays)
+ *
+ * Optional:
+ *   PAY402_TOKEN (sent as a bearer token), PAY402_INSTANCE_NAME
+ *
+ * @see https://github.com/coinbase/x402
+ */
+
+// x402 network names for the chains an "exact" payment can be made on.
+const NETWORKS = {
+  base: 8453n,
+  "base-sepolia": 84532n,
+  avalanche: 43114n,
+  "avalanche-fuji": 43113n,
+  polygon: 137n,
+  "polygon-amoy": 80002n,
+  sepolia: 11155111n,
+};
+
+const TRANSFER_WITH_AUTHORIZATION = {
+  TransferWithAuthorization: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "validAfter", type: "uint256" },
+    { name: "validBefore", type: "uint256" },
+    { name: "nonce", type: "bytes32" },
+  ],
+};
+
+const X402_VERSION = 1;
+
+// Statuses a server never comes back from.
+const DEAD_STATES = ["failed", "terminated"];
+
 class Pay402Provider extends BaseProvider {
   constructor(config = {}) {
     super(config);
     this.name = "pay402";
+
+    const missing = ["endpoint", "maxAmount", "wallet"].filter((k) => !config[k]);
+    if (missing.length > 0) {
+      throw new Error(`${this.name}: missing config: ${missing.join(", ")}`);
+    }
+
+    this.endpoint = config.endpoint.replace(/\/+$/, "");
+    this.maxAmount = BigInt(config.maxAmount);
+    this.timeout = config.timeout ?? 30000;
+    this.waitRetries = config.waitRetries ?? 30;
+    this.waitInterval = config.waitInterval ?? 10000;
+
+    this.log("INFO", "402 provisioning ready", {
+      endpoint: this.endpoint,
+      maxAmount: this.maxAmount.toString(),
+      instanceName: config.instanceName || "ChainHeart-Node",
+      token: config.token ? "(set)" : "(none)",
+    });
+  }
+
+  async createServer(options = {}) {
+    const { instanceName, ...rest } = options;
+    const body = JSON.stringify({ name: instanceName || this.config.instanceName || "ChainHeart-Node", ...rest });
+    this.log("INFO", "Provisioning request", { url: `${this.endpoint}/servers` });
+
+    try {
+      let res = await this._request("POST", "/servers", body);
+
+      if (res.status === 402) {
+        const challenge = await res.json().catch(() => ({}));
+        const payment = await this._pay(challenge);
+        res = await this._request("POST", "/servers", body, { "X-PAYMENT": payment.header });
+        if (res.status === 402) {
+          const detail = await res.json().catch(() => ({}));
+          throw new Error(`${this.name}: payment rejected: ${detail.error || "no reason given"}`);
+        }
+      }
+
+      const server = await this._json(res, "POST /servers");
+      const settlement = decodeHeader(res.headers.get("X-PAYMENT-RESPONSE"));
+      this.log("INFO", "Provisioning response", { instanceId: server.instanceId, status: server.status, settlement: settlement?.transaction });
+
+      if (!server.instanceId) {
+        throw new Error(`${this.name}: provisioning response has no instanceId`);
+      }
+      const payment = settlement ? { transaction: settlement.transaction, network: settlement.network, payer: settlement.payer } : null;
+
+      let instance = server;
+      if (server.status !== "running") {
+        this.log("INFO", `Instance ${server.instanceId} created, waiting for it to boot...`);
+        instance = await this._waitForRunning(server.instanceId).catch((err) => this._abandon(server.instanceId, payment, err));
+      }
+
+      return {
+        instanceId: server.instanceId,
+        status: instance.status,
+        publicIp: instance.publicIp || null,
+        payment,
+      };
+    } catch (err) {
+      this.log("ERROR", `Provisioning failed: ${err.message}`);
+      throw err;
+    }
+  }
+
+  async getServer(instanceId) {
+    this.log("DEBUG", "Describe request", { instanceId });
+
+    try {
+      const res = await this._request("GET", `/servers/${encodeURIComponent(instanceId)}`);
+      if (res.status === 404) {
+        this.log("WARN", `Instance ${instanceId} not found`);
+        return null;
+      }
+      const info = await this._json(res, "GET /servers");
+      this.log("DEBUG", "Describe response", { instance: info });
+      return info;
+    } catch (err) {
+      this.log("ERROR", `Describe failed: ${err.message}`);
+      throw err;
+    }
+  }
+
+  async destroyServer(instanceId) {
+    this.log("INFO", "Delete request", { instanceId });
+
+    try {
+      const res = await this._request("DELETE", `/servers/${encodeURIComponent(instanceId)}`);
+      if (!res.ok) await this._json(res, "DELETE /servers");
+      this.log("INFO", `Instance ${instanceId} deleted`);
+      return { instanceId };
+    } catch (err) {
+      this.log("ERROR", `Delete failed: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Sign a payment for a 402 challenge. Returns the X-PAYMENT header value and
+   * the requirement it pays.
+   */
+  async _pay(challenge) {
+    const { chainId } = await this.config.wallet.provider.getNetwork();
+    const offers = challenge.accepts || [];
+    const requirement = offers.find((offer) => offer.scheme === "exact" && chainIdOf(offer.network) === chainId);
+    if (!requirement) {
+      const offered = offers.map((offer) => `${offer.scheme}/${offer.network}`).join(", ") || "none";
+      throw new Error(`${this.name}: no payment option for chain ${chainId} (offered: ${offered})`);
+    }
+
+    const amount = BigInt(requirement.maxAmountRequired);
+    if (amount > this.maxAmount) {
+      throw new Error(`${this.name}: server asks ${amount}, above maxAmount ${this.maxAmount}`);
+    }
+    if (!requirement.extra?.name || !requirement.extra?.version) {
+      throw new Error(`${this.name}: payment requirement lacks the asset's EIP-712 name / version`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const authorization = {
+      from: await this.config.wallet.getAddress(),
+      to: ethers.getAddress(requirement.payTo),
+      value: amount.toString(),
+      // Allow for clock skew between the node and the chain.
+      validAfter: String(now - 600),
+      validBefore: String(now + (requirement.maxTimeoutSeconds || 60)),
+      nonce: ethers.hexlify(crypto.randomBytes(32)),
+    };
+    const domain = {
+      name: requirement.extra.name,
+      version: requirement.extra.version,
+      chainId,
+      verifyingContract: ethers.getAddress(requirement.asset),
+    };
+    const signature = await this.config.wallet.signTypedData(domain, TRANSFER_WITH_AUTHORIZATION, authorization);
+
+    this.log("INFO", `Paying ${amount} of ${requirement.asset} to ${authorization.to} on ${requirement.network}`, { nonce: authorization.nonce });
+
+    const payment = {
+      x402Version: X402_VERSION,
+      scheme: "exact",
+      network: requirement.network,
+      payload: { signature, authorization },
+    };
+    return { header: Buffer.from(JSON.stringify(payment)).toString("base64"), requirement };
+  }
+
+  _request(method, path, body, headers = {}) {
+    return fetch(`${this.endpoint}${path}`, {
+      method,
+      headers: {
+        ...(body ? { "Content-Type": "application/json" } : {}),
+        ...(this.config.token ? { Authorization: `Bearer ${this.config.token}` } : {}),
+        ...headers,
+      },
+      body,
+      signal: AbortSignal.timeout(this.timeout),
+    });
+  }
+
+  /** The JSON body of a 2xx response; anything else throws with the server's message. */
+  async _json(res, what) {
+    const text = await res.text();
+    if (!res.ok) {
+      let detail = text.slice(0, 200);
+      try {
+        detail = JSON.parse(text).error || detail;
+      } catch {}
+      throw new Error(`${this.name}: ${what} failed: HTTP ${res.status}${detail ? ` ${detail}` : ""}`);
+    }
+    return text ? JSON.parse(text) : {};
+  }
+
+  /**
+   * Delete a paid server that never came up, unless it is gone already, and
+   * rethrow `err` with its instanceId and payment so the caller can still
+   * track the purchase and clean up if the delete failed too.
+   */
+  async _abandon(instanceId, payment, err) {
+    err.instanceId = instanceId;
+    err.payment = payment;
+    if (err.gone) throw err;
+    try {
+      await this.destroyServer(instanceId);
+    } catch {
+      this.log("ERROR", `Instance ${instanceId} did not come up and could not be deleted; remove it by hand`, { instanceId, payment: payment?.transaction });
+    }
+    throw err;
+  }
+
+  /** Poll until the server is running; throws if it fails, disappears or does not get there in time. */
+  async _waitForRunning(instanceId, maxRetries = this.waitRetries, intervalMs = this.waitInterval) {
+    for (let i = 1; i <= maxRetries; i++) {
+      await new Promise((r) => setTimeout(r, intervalMs));
+
+      let instance;
+      try {
+        instance = await this.getServer(instanceId);
+      } catch (err) {
+        this.log("WARN", `[${i}/${maxRetries}] ${instanceId} poll failed: ${err.message}`);
+        continue;
+      }
+
+      const state = instance?.status;
+      this.log("INFO", `[${i}/${maxRetries}] ${instanceId} => ${state || "UNKNOWN"}`);
+
+      if (state === "running") {
+        this.log("INFO", `Instance ${instanceId} is running`, { publicIp: instance.publicIp || "(pending)" });
+        return instance;
+      }
+      if (!instance) {
+        throw Object.assign(new Error(`${this.name}: instance ${instanceId} is gone`), { gone: true });
+      }
+      if (DEAD_STATES.includes(state)) {
+        throw new Error(`${this.name}: instance ${instanceId} is ${state}`);
+      }
+    }
+
+    throw new Error(`${this.name}: instance ${instanceId} did not reach running within ${maxRetries * intervalMs / 1000}s`);
+  }
+}
+
+/** Chain id of an x402 network: a known name, "eip155:<id>" or a bare id. */
+function chainIdOf(network) {
+  if (NETWORKS[network]) return NETWORKS[network];
+  const match = /^(?:eip155:)?(\d+)$/.exec(String(network));
+  return match ? BigInt(match[1]) : null;
+}
+
+function decodeHeader(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(Buffer.from(value, "base64").toString("utf8"));
+  } catch {
+    return null;
   }
 }
 
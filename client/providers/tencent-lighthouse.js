@@ -40,7 +40,7 @@ class TencentLighthouseProvider extends BaseProvider {
       },
     });
 
-    this._log("init", {
+    this.log("INFO", "Lighthouse client ready", {
       region: config.region,
       bundleId: config.bundleId,
       blueprintId: config.blueprintId,
@@ -51,12 +51,6 @@ class TencentLighthouseProvider extends BaseProvider {
     });
   }
 
-  _log(action, detail) {
-    const ts = new Date().toISOString();
-    const payload = typeof detail === "string" ? detail : JSON.stringify(detail, null, 2);
-    console.log(`[${ts}] [TENCENT] [${action}] ${payload}`);
-  }
-
   async createServer(options = {}) {
     const params = {
       BundleId: options.bundleId || this.config.bundleId,
@@ -78,38 +72,32 @@ class TencentLighthouseProvider extends BaseProvider {
       params.LoginConfiguration = { KeyIds: [this.config.loginKeyId] };
     }
 
-    this._log("createServer:request", params);
+    this.log("INFO", "CreateInstances request", { params });
 
     try {
       const result = await this.client.CreateInstances(params);
       const instanceIds = result.InstanceIdSet || [];
 
-      this._log("createServer:response", {
-        requestId: result.RequestId,
-        instanceIds,
-      });
+      this.log("INFO", "CreateInstances response", { requestId: result.RequestId, instanceIds });
 
       if (instanceIds.length > 0) {
-        this._log("createServer:success", `Instance ${instanceIds[0]} created, waiting for it to boot...`);
+        this.log("INFO", `Instance ${instanceIds[0]} created, waiting for it to boot...`, { requestId: result.RequestId });
         await this._waitForRunning(instanceIds[0]);
       }
 
       return {
+        instanceId: instanceIds[0] || null,
         instanceIds,
         requestId: result.RequestId,
       };
     } catch (err) {
-      this._log("createServer:error", {
-        code: err.code || "UNKNOWN",
-        message: err.message,
-        requestId: err.requestId || null,
-      });
+      this.log("ERROR", `CreateInstances failed: ${err.message}`, { code: err.code || "UNKNOWN", requestId: err.requestId });
       throw err;
     }
   }
 
   async getServer(instanceId) {
-    this._log("getServer:request", { instanceId });
+    this.log("DEBUG", "DescribeInstances request", { instanceId });
 
     try {
       const result = await this.client.DescribeInstances({
@@ -118,7 +106,7 @@ class TencentLighthouseProvider extends BaseProvider {
 
       const instance = result.InstanceSet?.[0];
       if (!instance) {
-        this._log("getServer:response", "Instance not found");
+        this.log("WARN", `Instance ${instanceId} not found`, { requestId: result.RequestId });
         return null;
       }
 
@@ -136,34 +124,26 @@ class TencentLighthouseProvider extends BaseProvider {
         expiredTime: instance.ExpiredTime,
       };
 
-      this._log("getServer:response", info);
+      this.log("DEBUG", "DescribeInstances response", { requestId: result.RequestId, instance: info });
       return info;
     } catch (err) {
-      this._log("getServer:error", {
-        code: err.code || "UNKNOWN",
-        message: err.message,
-        requestId: err.requestId || null,
-      });
+      this.log("ERROR", `DescribeInstances failed: ${err.message}`, { code: err.code || "UNKNOWN", requestId: err.requestId });
       throw err;
     }
   }
 
   async destroyServer(instanceId) {
-    this._log("destroyServer:request", { instanceId });
+    this.log("INFO", "TerminateInstances request", { instanceId });
 
     try {
       const result = await this.client.TerminateInstances({
         InstanceIds: [instanceId],
       });
 
-      this._log("destroyServer:response", { requestId: result.RequestId });
+      this.log("INFO", `Instance ${instanceId} terminated`, { requestId: result.RequestId });
       return { requestId: result.RequestId };
     } catch (err) {
-      this._log("destroyServer:error", {
-        code: err.code || "UNKNOWN",
-        message: err.message,
-        requestId: err.requestId || null,
-      });
+      this.log("ERROR", `TerminateInstances failed: ${err.message}`, { code: err.code || "UNKNOWN", requestId: err.requestId });
       throw err;
     }
   }
@@ -179,22 +159,21 @@ class TencentLighthouseProvider extends BaseProvider {
         const instance = result.InstanceSet?.[0];
         const state = instance?.InstanceState;
 
-        this._log("waitForRunning", `[${i}/${maxRetries}] ${instanceId} => ${state || "UNKNOWN"}`);
+        this.log("INFO", `[${i}/${maxRetries}] ${instanceId} => ${state || "UNKNOWN"}`, { requestId: result.RequestId });
 
         if (state === "RUNNING") {
-          this._log("waitForRunning:ready", {
-            instanceId,
+          this.log("INFO", `Instance ${instanceId} is running`, {
             publicIp: instance.PublicAddresses?.[0] || "(pending)",
             privateIp: instance.PrivateAddresses?.[0] || "(pending)",
           });
           return instance;
         }
       } catch (err) {
-        this._log("waitForRunning:poll-error", `[${i}/${maxRetries}] ${err.message}`);
+        this.log("WARN", `[${i}/${maxRetries}] ${instanceId} poll failed: ${err.message}`, { requestId: err.requestId });
       }
     }
 
-    this._log("waitForRunning:timeout", `${instanceId} did not reach RUNNING within ${maxRetries * intervalMs / 1000}s`);
+    this.log("ERROR", `${instanceId} did not reach RUNNING within ${maxRetries * intervalMs / 1000}s`);
   }
 }
 
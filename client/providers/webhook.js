@@ -0,0 +1,158 @@
+const BaseProvider = require("./base");
+
+/**
+ * Generic HTTP provider: POSTs create / get / destroy requests to your own
+ * API (an internal provisioning service, a Terraform runner, ...).
+ *
+ * URLs and bodies are templates: `{{mac}}` is this node's MAC and
+ * `{{instanceId}}` the server's id (get / destroy only); createServer()
+ * options are available by name too. Bodies are JSON with placeholders inside
+ * string values; in URLs the values are URL-encoded.
+ *
+ * The create answer must be JSON with an `instanceId` (or `id`). The get
+ * answer is returned as is (404 = gone); destroy only needs a 2xx.
+ *
+ * Required env vars:
+ *   WEBHOOK_CREATE_URL
+ *
+ * Optional:
+ *   WEBHOOK_GET_URL, WEBHOOK_DESTROY_URL (getServer / destroyServer throw
+ *   without them), WEBHOOK_CREATE_BODY (default {"mac":"{{mac}}"}),
+ *   WEBHOOK_GET_BODY, WEBHOOK_DESTROY_BODY (default
+ *   {"mac":"{{mac}}","instanceId":"{{instanceId}}"}), WEBHOOK_TOKEN (sent as a
+ *   bearer token), WEBHOOK_HEADERS (JSON object of extra headers),
+ *   WEBHOOK_TIMEOUT (seconds, default 60)
+ */
+
+const DEFAULT_BODIES = {
+  create: '{"mac":"{{mac}}"}',
+  get: '{"mac":"{{mac}}","instanceId":"{{instanceId}}"}',
+  destroy: '{"mac":"{{mac}}","instanceId":"{{instanceId}}"}',
+};
+
+class WebhookProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = "webhook";
+
+    if (!config.createUrl) {
+      throw new Error(`${this.name}: missing config: createUrl`);
+    }
+
+    this.bodies = {};
+    for (const action of ["create", "get", "destroy"]) {
+      const template = config[`${action}Body`] || DEFAULT_BODIES[action];
+      try {
+        this.bodies[action] = JSON.parse(template);
+      } catch (err) {
+        throw new Error(`${this.name}: ${action}Body is not valid JSON: ${err.message}`);
+      }
+    }
+    this.headers = parseHeaders(config.headers, this.name);
+    this.timeout = config.timeout ? parseInt(config.timeout, 10) * 1000 : 60000;
+
+    this.log("INFO", "Webhook provisioning ready", {
+      createUrl: config.createUrl,
+      getUrl: config.getUrl || "(none)",
+      destroyUrl: config.destroyUrl || "(none)",
+      headers: Object.keys(this.headers),
+      token: config.token ? "(set)" : "(none)",
+    });
+  }
+
+  async createServer(options = {}) {
+    const result = await this._call("create", { ...options, mac: this.config.mac });
+    const instanceId = result?.instanceId ?? result?.id;
+    if (!instanceId) {
+      throw new Error(`${this.name}: create response has no instanceId`);
+    }
+    return { ...result, instanceId: String(instanceId) };
+  }
+
+  async getServer(instanceId) {
+    return this._call("get", { mac: this.config.mac, instanceId });
+  }
+
+  async destroyServer(instanceId) {
+    const result = await this._call("destroy", { mac: this.config.mac, instanceId });
+    return { instanceId, ...result };
+  }
+
+  async _call(action, vars) {
+    const template = this.config[`${action}Url`];
+    if (!template) {
+      throw new Error(`${this.name}: ${action}Url is not configured`);
+    }
+    const url = render(template, vars, encodeURIComponent);
+    const body = JSON.stringify(renderJSON(this.bodies[action], vars));
+    this.log(action === "get" ? "DEBUG" : "INFO", `${action} request`, { url, instanceId: vars.instanceId });
+
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(this.config.token ? { Authorization: `Bearer ${this.config.token}` } : {}),
+          ...this.headers,
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeout),
+      });
+      if (action === "get" && res.status === 404) {
+        this.log("WARN", `Instance ${vars.instanceId} not found`);
+        return null;
+      }
+      const text = await res.text();
+      if (!res.ok) {
+        throw new Error(`${this.name}: ${action} failed: HTTP ${res.status}${text ? ` ${text.slice(0, 200)}` : ""}`);
+      }
+      const result = text ? parseJSON(text, `${this.name}: ${action} response`) : {};
+
+      this.log(action === "get" ? "DEBUG" : "INFO", `${action} response`, { status: res.status, instanceId: result?.instanceId ?? vars.instanceId });
+      return result;
+    } catch (err) {
+      this.log("ERROR", `${action} failed: ${err.message}`, { instanceId: vars.instanceId });
+      throw err;
+    }
+  }
+}
+
+/** Replace `{{name}}` in `template` with `vars[name]`, passed through `encode`. */
+function render(template, vars, encode = (value) => value) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_match, name) => {
+    if (vars[name] === undefined || vars[name] === null) {
+      throw new Error(`webhook: template variable {{${name}}} is not set`);
+    }
+    return encode(String(vars[name]));
+  });
+}
+
+/** Render every string inside a parsed JSON template. */
+function renderJSON(value, vars) {
+  if (typeof value === "string") return render(value, vars);
+  if (Array.isArray(value)) return value.map((item) => renderJSON(item, vars));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderJSON(item, vars)]));
+  }
+  return value;
+}
+
+function parseHeaders(value, name) {
+  if (!value) return {};
+  if (typeof value === "object") return value;
+  const headers = parseJSON(value, `${name}: headers`);
+  if (!headers || typeof headers !== "object" || Array.isArray(headers)) {
+    throw new Error(`${name}: headers must be a JSON object`);
+  }
+  return headers;
+}
+
+function parseJSON(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${what} is not JSON: ${text.slice(0, 200)}`);
+  }
+}
+
+module.exports = WebhookProvider;
@@ -0,0 +1,238 @@
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+const { logger, loggerOptions } = require("./logger");
+
+/**
+ * Meta-transaction relaying for ChainHeart.
+ *
+ * A node signs an EIP-712 payload with its PRIVATE_KEY (no gas needed) and
+ * POSTs it to a relayer, which submits heartbeatWithSig() / electWithSig() /
+ * resignWithSig() / handoverWithSig() / nodeHeartbeatWithSig() from its own
+ * funded RELAYER_PRIVATE_KEY.
+ * Only one account then has to hold native token on each chain.
+ *
+ *   Node side:    signRelayRequest() + sendToRelayer()
+ *   Relayer side: createRelayServer(), or `npm run relayer`
+ */
+
+const RELAYER_ABI = [
+  "function nonces(bytes32 clusterId, string mac) view returns (uint256)",
+  "function heartbeatWithSig(bytes32 clusterId, string mac, uint256 deadline, bytes signature)",
+  "function electWithSig(bytes32 clusterId, string mac, uint256 deadline, bytes signature)",
+  "function resignWithSig(bytes32 clusterId, string mac, uint256 deadline, bytes signature)",
+  "function handoverWithSig(bytes32 clusterId, string fromMac, string toMac, uint256 deadline, bytes signature)",
+  "function nodeHeartbeatWithSig(bytes32 clusterId, string mac, uint256 deadline, bytes signature)",
+  // Errors, so rejections are reported by name
+  "error NoMasterElected()",
+  "error MasterStillAlive()",
+  "error OnlyMasterCanHeartbeat()",
+  "error NotCurrentMaster()",
+  "error MasterTimedOut()",
+  "error InvalidSuccessor()",
+  "error EmptyMAC()",
+  "error Unauthorized()",
+  "error NodeNotRegistered()",
+  "error ClusterNotFound()",
+  "error ExpiredSignature()",
+  "error InvalidSignature()",
+];
+
+/**
+ * Relayable actions: EIP-712 primary type and the contract method that accepts
+ * it. A handover also signs the successor's MAC (`toMac`).
+ */
+const RELAY_ACTIONS = {
+  heartbeat: { type: "Heartbeat", method: "heartbeatWithSig" },
+  elect: { type: "ElectMaster", method: "electWithSig" },
+  resign: { type: "Resign", method: "resignWithSig" },
+  handover: { type: "Handover", method: "handoverWithSig", successor: true },
+  nodeHeartbeat: { type: "NodeHeartbeat", method: "nodeHeartbeatWithSig" },
+};
+
+const RELAY_FIELDS = [
+  { name: "clusterId", type: "bytes32" },
+  { name: "mac", type: "string" },
+  { name: "nonce", type: "uint256" },
+  { name: "deadline", type: "uint256" },
+];
+
+const HANDOVER_FIELDS = [
+  { name: "clusterId", type: "bytes32" },
+  { name: "fromMac", type: "string" },
+  { name: "toMac", type: "string" },
+  { name: "nonce", type: "uint256" },
+  { name: "deadline", type: "uint256" },
+];
+
+function getAction(action) {
+  const entry = RELAY_ACTIONS[action];
+  if (!entry) {
+    throw new Error(`Unknown relay action: "${action}". Supported: ${Object.keys(RELAY_ACTIONS).join(", ")}`);
+  }
+  return entry;
+}
+
+/**
+ * Sign a relay request for `action` with the node's wallet.
+ * The nonce is read from the contract, so only one request per MAC should be
+ * in flight at a time.
+ *
+ * @param {ethers.Contract} contract ChainHeart contract (any runner with a provider)
+ * @param {ethers.Wallet} wallet     The key authorized for `mac`
+ * @param {string} action            "heartbeat" | "elect" | "resign" | "handover" | "nodeHeartbeat"
+ * @param {string} clusterId         bytes32 cluster id
+ * @param {string} mac               Node MAC address
+ * @param {number} ttl               Seconds until the signature expires
+ * @param {string} [toMac]           Successor MAC (handover only)
+ * @returns {Promise<{action, clusterId, mac, toMac?, deadline, signature}>}
+ */
+async function signRelayRequest(contract, wallet, action, clusterId, mac, ttl = 300, toMac) {
+  const { type, successor } = getAction(action);
+  if (successor && !toMac) throw new Error(`Relay action "${action}" needs the successor's MAC`);
+  const runner = contract.runner;
+  const provider = runner.provider || runner;
+  const [{ chainId }, nonce, block] = await Promise.all([
+    provider.getNetwork(),
+    contract.nonces(clusterId, mac),
+    provider.getBlock("latest"),
+  ]);
+  // Use chain time rather than the local clock so skew cannot expire the request early.
+  const deadline = block.timestamp + ttl;
+
+  const domain = {
+    name: "ChainHeart",
+    version: "1",
+    chainId,
+    verifyingContract: await contract.getAddress(),
+  };
+  const signature = successor
+    ? await wallet.signTypedData(domain, { [type]: HANDOVER_FIELDS }, { clusterId, fromMac: mac, toMac, nonce, deadline })
+    : await wallet.signTypedData(domain, { [type]: RELAY_FIELDS }, { clusterId, mac, nonce, deadline });
+
+  return { action, clusterId, mac, ...(successor && { toMac }), deadline, signature };
+}
+
+/**
+ * Submit a signed request to the contract. The call is simulated first so the
+ * relayer does not pay for transactions that would revert (e.g. a lost election).
+ *
+ * @returns {Promise<ethers.TransactionResponse>}
+ */
+async function submitRelayRequest(contract, request) {
+  const { method, successor } = getAction(request.action);
+  const args = [request.clusterId, request.mac, ...(successor ? [request.toMac] : []), request.deadline, request.signature];
+  await contract[method].staticCall(...args);
+  return contract[method](...args);
+}
+
+function readBody(req, limit = 16 * 1024) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > limit) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function sendJSON(res, status, payload) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * HTTP relayer: `POST /relay` with a JSON body from signRelayRequest()
+ * responds `{ txHash }` once the transaction is broadcast, or `{ error }`
+ * with status 400 if it was rejected.
+ *
+ * @param {ethers.Contract} contract ChainHeart contract connected to the funded relayer wallet
+ * @param {(level: string, msg: string) => void} [log]
+ * @returns {http.Server} not yet listening
+ */
+function createRelayServer(contract, log = () => {}) {
+  // Broadcast one transaction at a time so concurrent requests do not race on the relayer's nonce.
+  let queue = Promise.resolve();
+
+  return http.createServer(async (req, res) => {
+    if (req.method !== "POST" || req.url !== "/relay") {
+      sendJSON(res, 404, { error: "Not found" });
+      return;
+    }
+
+    let request;
+    try {
+      request = JSON.parse(await readBody(req));
+    } catch (err) {
+      sendJSON(res, 400, { error: `Invalid request: ${err.message}` });
+      return;
+    }
+
+    try {
+      const submission = queue.then(() => submitRelayRequest(contract, request));
+      queue = submission.catch(() => {});
+      const tx = await submission;
+      log("INFO", `Relayed ${request.action} for ${request.mac} | tx: ${tx.hash}`);
+      sendJSON(res, 200, { txHash: tx.hash });
+    } catch (err) {
+      const reason = err.shortMessage || err.message;
+      log("WARN", `Rejected ${request.action} for ${request.mac}: ${reason}`);
+      sendJSON(res, 400, { error: reason });
+    }
+  });
+}
+
+/**
+ * POST a signed request to a relayer and return the broadcast tx hash.
+ */
+async function sendToRelayer(relayerUrl, request) {
+  const url = new URL("/relay", relayerUrl);
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(request, (_key, value) => (typeof value === "bigint" ? value.toString() : value)),
+  });
+  const payload = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(`Relayer rejected ${request.action}: ${payload.error || `HTTP ${res.status}`}`);
+  }
+  return payload.txHash;
+}
+
+module.exports = {
+  RELAYER_ABI,
+  RELAY_ACTIONS,
+  signRelayRequest,
+  submitRelayRequest,
+  createRelayServer,
+  sendToRelayer,
+};
+
+// ---------------------------------------------------------------------------
+// Standalone relayer: node client/relayer.js
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  require("dotenv").config({ path: path.resolve(__dirname, "../.env") });
+
+  const rpcUrl = process.env.RPC_URL || process.env.BSC_RPC_URL || process.env.BSC_TESTNET_RPC_URL || process.env.SEPOLIA_RPC_URL || "http://127.0.0.1:8545";
+  const port = parseInt(process.env.RELAYER_PORT || "8546", 10);
+
+  logger.configure(loggerOptions());
+  const log = logger.child({ component: "relayer" });
+
+  if (!process.env.CONTRACT_ADDRESS) throw new Error("CONTRACT_ADDRESS is required");
+  if (!process.env.RELAYER_PRIVATE_KEY) throw new Error("RELAYER_PRIVATE_KEY is required");
+
+  const rpcProvider = new ethers.JsonRpcProvider(rpcUrl);
+  const wallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, rpcProvider);
+  const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, RELAYER_ABI, wallet);
+
+  createRelayServer(contract, log).listen(port, () => {
+    log("INFO", `Listening on :${port} | RPC: ${rpcUrl} | relayer: ${wallet.address}`);
+  });
+}
@@ -0,0 +1,224 @@
+const { ethers } = require("ethers");
+
+/**
+ * Several RPC endpoints behind one ethers provider.
+ *
+ * Endpoints are health-checked every `healthInterval`: an endpoint is healthy
+ * when it answers within `timeout`, reports the same chain as the others and
+ * is at most `maxLag` blocks behind the highest one. Requests (reads and
+ * writes) go to the fastest healthy endpoint; if it fails, the next one is
+ * tried and the failed one is marked unhealthy until the next check passes.
+ *
+ * `callAll()` runs an eth_call against every endpoint, so a caller can require
+ * several endpoints to agree before acting on what one of them says.
+ *
+ * Options:
+ *   maxLag (blocks, default 3), healthInterval (ms, default 15000),
+ *   timeout (ms per request, default 5000), log(level, msg)
+ */
+
+class RpcEndpoint {
+  constructor(url, timeout) {
+    this.url = url;
+    this.label = endpointLabel(url);
+    this.timeout = timeout;
+    this.healthy = true; // until the first check says otherwise
+    this.blockNumber = null;
+    this.latency = null;
+    this.chainId = null;
+    this.error = null;
+  }
+
+  /** Raw JSON-RPC request; resolves to an array of responses like JsonRpcProvider#_send. */
+  async send(payload) {
+    const request = new ethers.FetchRequest(this.url);
+    request.body = JSON.stringify(payload);
+    request.setHeader("content-type", "application/json");
+    request.timeout = this.timeout;
+    const response = await request.send();
+    response.assertOk();
+    const result = response.bodyJson;
+    return Array.isArray(result) ? result : [result];
+  }
+
+  /** Single call; throws on transport errors and JSON-RPC errors alike. */
+  async request(method, params = []) {
+    const [result] = await this.send({ jsonrpc: "2.0", id: 1, method, params });
+    if (result.error) throw new Error(`${this.label}: ${result.error.message}`);
+    return result.result;
+  }
+}
+
+/** The host of an RPC URL; paths and query strings often carry API keys. */
+function endpointLabel(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "(invalid url)";
+  }
+}
+
+/** ethers provider that hands every request to the pool. */
+class RpcPoolProvider extends ethers.JsonRpcApiProvider {
+  constructor(pool) {
+    // Filters live on one endpoint; poll with getLogs so failover keeps subscriptions working.
+    super(undefined, { polling: true });
+    this.pool = pool;
+  }
+
+  async _send(payload) {
+    return this.pool.send(payload);
+  }
+}
+
+class RpcPool {
+  /**
+   * @param {string[]} urls
+   * @param {object} [options] See the module comment
+   */
+  constructor(urls, options = {}) {
+    this.name = "RpcPool";
+    if (!Array.isArray(urls) || urls.length === 0) {
+      throw new Error(`${this.name}: at least one RPC URL is required`);
+    }
+
+    this.options = { maxLag: 3, healthInterval: 15000, timeout: 5000, ...options };
+    this.log = options.log || (() => {});
+    this.endpoints = urls.map((url) => new RpcEndpoint(url, this.options.timeout));
+    this.provider = new RpcPoolProvider(this);
+    this._ranked = [...this.endpoints];
+    this._timer = null;
+  }
+
+  /** Run the first health check and keep checking every `healthInterval`. */
+  async start() {
+    if (this._timer) return;
+    await this.check();
+    this._timer = setInterval(() => this.check(), this.options.healthInterval);
+    this._timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+    this.provider.destroy();
+  }
+
+  /** The endpoint requests currently go to. */
+  best() {
+    return this._ranked[0];
+  }
+
+  /** Health of every endpoint, best first. */
+  status() {
+    return this._ranked.map(({ url, label, healthy, blockNumber, latency, error }) => ({ url, label, healthy, blockNumber, latency, error }));
+  }
+
+  /** Probe every endpoint for block height and latency, then re-rank them. */
+  async check() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      const started = performance.now();
+      try {
+        const [chainId, blockNumber] = await Promise.all([
+          endpoint.chainId ?? endpoint.request("eth_chainId").then(BigInt),
+          endpoint.request("eth_blockNumber").then(Number),
+        ]);
+        endpoint.chainId = chainId;
+        endpoint.blockNumber = blockNumber;
+        endpoint.latency = Math.round(performance.now() - started);
+        endpoint.error = null;
+      } catch (err) {
+        endpoint.blockNumber = null;
+        endpoint.latency = null;
+        endpoint.error = err.shortMessage || err.message;
+      }
+    }));
+
+    const answered = this.endpoints.filter((e) => e.error === null);
+    const chainId = majority(answered.map((e) => e.chainId));
+    const height = Math.max(...answered.filter((e) => e.chainId === chainId).map((e) => e.blockNumber));
+
+    for (const endpoint of this.endpoints) {
+      const wasHealthy = endpoint.healthy;
+      if (endpoint.error === null && endpoint.chainId !== chainId) {
+        endpoint.error = `chain id ${endpoint.chainId}, expected ${chainId}`;
+      } else if (endpoint.error === null && height - endpoint.blockNumber > this.options.maxLag) {
+        endpoint.error = `${height - endpoint.blockNumber} blocks behind`;
+      }
+      endpoint.healthy = endpoint.error === null;
+
+      if (wasHealthy && !endpoint.healthy) this.log("WARN", `RPC ${endpoint.label} unhealthy: ${endpoint.error}`);
+      if (!wasHealthy && endpoint.healthy) this.log("INFO", `RPC ${endpoint.label} healthy again (block ${endpoint.blockNumber}, ${endpoint.latency}ms)`);
+    }
+
+    this._rank();
+    return this.status();
+  }
+
+  /**
+   * Send a JSON-RPC payload to the best endpoint, failing over to the others
+   * in rank order. JSON-RPC errors (e.g. reverts) are returned, not retried.
+   */
+  async send(payload) {
+    let lastError;
+    for (const endpoint of [...this._ranked]) {
+      try {
+        return await endpoint.send(payload);
+      } catch (err) {
+        lastError = err;
+        this._markFailed(endpoint, err);
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * eth_call `tx` on every endpoint. Resolves to `{ label, result }` or
+   * `{ label, error }` per endpoint; never rejects.
+   */
+  async callAll(tx, blockTag = "latest") {
+    return Promise.all(this.endpoints.map(async (endpoint) => {
+      try {
+        return { label: endpoint.label, result: await endpoint.request("eth_call", [tx, blockTag]) };
+      } catch (err) {
+        return { label: endpoint.label, error: err.shortMessage || err.message };
+      }
+    }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internals
+  // ---------------------------------------------------------------------------
+
+  _markFailed(endpoint, err) {
+    endpoint.error = err.shortMessage || err.message;
+    if (endpoint.healthy) {
+      endpoint.healthy = false;
+      this.log("WARN", `RPC ${endpoint.label} failed: ${endpoint.error}`);
+    }
+    this._rank();
+  }
+
+  /** Healthy first, then lowest latency, then highest block. */
+  _rank() {
+    const previous = this.best();
+    this._ranked = [...this.endpoints].sort((a, b) =>
+      (b.healthy - a.healthy) ||
+      ((a.latency ?? Number.MAX_SAFE_INTEGER) - (b.latency ?? Number.MAX_SAFE_INTEGER)) ||
+      ((b.blockNumber ?? -1) - (a.blockNumber ?? -1)));
+    const best = this.best();
+    if (best !== previous && best.healthy) {
+      this.log("INFO", `Routing RPC requests to ${best.label} (block ${best.blockNumber}, ${best.latency}ms)`);
+    }
+  }
+}
+
+function majority(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  let winner = null;
+  for (const [v, n] of counts) if (winner === null || n > counts.get(winner)) winner = v;
+  return winner;
+}
+
+module.exports = { RpcPool, RpcPoolProvider, endpointLabel };
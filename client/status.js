@@ -0,0 +1,90 @@
+const http = require("http");
+const { formatClusterId } = require("./cluster");
+const { CONTENT_TYPE } = require("./metrics");
+
+/**
+ * Optional HTTP endpoints for probes and load balancers.
+ *
+ *   GET /healthz   200 while the node's check loop is running, else 503
+ *   GET /readyz    200 once the node knows a live master, else 503;
+ *                  with ?role=master, 200 only on the master itself
+ *   GET /status    JSON snapshot: MAC, role, state, master, last heartbeat,
+ *                  epoch, last tx, RPC endpoint and cloud provider
+ *   GET /metrics   Prometheus text format, when a NodeMetrics is passed
+ *
+ * Responses never include RPC URLs (only hosts), keys or signatures.
+ */
+
+function sendJSON(res, status, payload, head = false) {
+  const body = JSON.stringify(payload, (_key, value) => (typeof value === "bigint" ? Number(value) : value));
+  res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+  res.end(head ? undefined : body);
+}
+
+/**
+ * @param {ChainHeartNode} node
+ * @param {object} [options]
+ * @param {string} [options.provider] Cloud provider name reported in /status
+ * @param {NodeMetrics} [options.metrics] Served as /metrics
+ * @param {(level: string, msg: string) => void} [options.log]
+ * @returns {http.Server} not yet listening
+ */
+function createStatusServer(node, { provider = null, metrics = null, log = () => {} } = {}) {
+  const startedAt = Date.now();
+
+  function status() {
+    const snapshot = node.getStatus();
+    return {
+      ...snapshot,
+      cluster: formatClusterId(snapshot.clusterId),
+      running: node.isRunning(),
+      rpcEndpoints: node.rpcPool ? node.rpcPool.status().map(({ url: _url, ...endpoint }) => endpoint) : null,
+      provider,
+      uptime: Math.round((Date.now() - startedAt) / 1000),
+    };
+  }
+
+  return http.createServer(async (req, res) => {
+    const head = req.method === "HEAD";
+    if (req.method !== "GET" && !head) {
+      sendJSON(res, 405, { error: "Method not allowed" });
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    try {
+      switch (url.pathname) {
+        case "/healthz": {
+          const running = node.isRunning();
+          sendJSON(res, running ? 200 : 503, { ok: running }, head);
+          return;
+        }
+        case "/readyz": {
+          const { role, state, master } = node.getStatus();
+          const ready = url.searchParams.get("role") === "master" ? role === "master" : state === "Running" && !!master;
+          sendJSON(res, ready ? 200 : 503, { ready, role, master }, head);
+          return;
+        }
+        case "/status":
+          sendJSON(res, 200, status(), head);
+          return;
+        case "/metrics":
+          if (metrics) {
+            const body = await metrics.render();
+            res.writeHead(200, { "Content-Type": CONTENT_TYPE, "Cache-Control": "no-store" });
+            res.end(head ? undefined : body);
+            return;
+          }
+          sendJSON(res, 404, { error: "Not found" }, head);
+          return;
+        default:
+          sendJSON(res, 404, { error: "Not found" }, head);
+      }
+    } catch (err) {
+      log("ERROR", `Status request ${url.pathname} failed: ${err.message}`);
+      sendJSON(res, 500, { error: "Internal error" }, head);
+    }
+  });
+}
+
+module.exports = { createStatusServer };
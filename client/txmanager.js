@@ -0,0 +1,326 @@
+const { ethers } = require("ethers");
+
+/**
+ * Transaction layer for the txs a node sends itself (elections, heartbeats,
+ * resign / handover).
+ *
+ * - Nonces are assigned locally, so concurrent sends from one process never
+ *   collide. Several nodes sharing a key will: on "nonce too low" the nonce is
+ *   re-read from the chain and the send retried once.
+ * - Fees follow `gasStrategy`: "eip1559", "legacy", or "auto" (EIP-1559 when
+ *   the chain reports a base fee).
+ * - A tx not mined after `replaceAfterBlocks` blocks is replaced: same nonce
+ *   and calldata, fees raised by `bumpPercent` (and to the current market
+ *   price if that is higher), never above `maxGasPrice`.
+ * - Every wait is bounded by `waitTimeout`. A tx that timed out keeps its
+ *   nonce, so the next send replaces it instead of queueing behind it, even
+ *   when later sends are still in flight.
+ * - `lastTx` holds the label, hash and outcome of the most recent tx, for
+ *   status reporting; `onResult` is called with the outcome of every send and
+ *   wait, for metrics.
+ *
+ * Options:
+ *   gasStrategy ("auto" | "eip1559" | "legacy", default "auto"),
+ *   gasMultiplier (applied to the network fee estimate, default 1),
+ *   priorityFee (wei, EIP-1559 tip; default from the provider),
+ *   maxGasPrice (wei cap for gasPrice / maxFeePerGas, default none),
+ *   bumpPercent (default 20), replaceAfterBlocks (default 3),
+ *   waitTimeout (ms, default 120000), pollInterval (ms, default 2000),
+ *   onResult({ label, status, hash, receipt }) with status "confirmed",
+ *   "reverted", "timeout" or "failed" (never mined, e.g. the estimate reverted),
+ *   log(level, msg, fields)
+ */
+
+const GAS_STRATEGIES = ["auto", "eip1559", "legacy"];
+
+const FEE_FIELDS = ["gasPrice", "maxFeePerGas", "maxPriorityFeePerGas"];
+
+// Estimated gas limits get this much headroom (percent).
+const GAS_LIMIT_HEADROOM = 20n;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Multiply a wei amount by a decimal factor, keeping two decimals of precision. */
+function scale(value, factor) {
+  return (value * BigInt(Math.round(factor * 100))) / 100n;
+}
+
+function maxOf(a, b) {
+  return a > b ? a : b;
+}
+
+function formatFees(fees) {
+  return FEE_FIELDS.filter((k) => fees[k] != null)
+    .map((k) => `${k}: ${ethers.formatUnits(fees[k], "gwei")} gwei`)
+    .join(", ");
+}
+
+/** The nonce was consumed (or outbid) by another tx from the same key. */
+function isNonceConflict(err) {
+  if (err?.code === "NONCE_EXPIRED" || err?.code === "REPLACEMENT_UNDERPRICED") return true;
+  return /nonce too low|nonce has already been used|replacement transaction underpriced/i.test(err?.message || "");
+}
+
+class TxManager {
+  /**
+   * @param {ethers.Signer} wallet Signer connected to a provider
+   * @param {object} [options]     See the module comment
+   */
+  constructor(wallet, options = {}) {
+    this.name = "TxManager";
+    if (!wallet?.provider) {
+      throw new Error(`${this.name}: wallet must be connected to a provider`);
+    }
+
+    this.options = {
+      gasStrategy: "auto",
+      gasMultiplier: 1,
+      priorityFee: null,
+      maxGasPrice: null,
+      bumpPercent: 20,
+      replaceAfterBlocks: 3,
+      waitTimeout: 120000,
+      pollInterval: 2000,
+      ...options,
+    };
+    if (!GAS_STRATEGIES.includes(this.options.gasStrategy)) {
+      throw new Error(`${this.name}: unknown gasStrategy "${this.options.gasStrategy}" (expected ${GAS_STRATEGIES.join(", ")})`);
+    }
+
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.log = options.log || (() => {});
+    this.onResult = options.onResult || (() => {});
+
+    this._nonce = null; // next nonce to use; null = read it from the chain
+    this._abandoned = new Set(); // nonces of timed-out txs, reused before new ones
+    this._queue = Promise.resolve();
+    this._sentFees = new Map(); // nonce -> fees of the last tx broadcast with it
+    this.lastTx = null; // { label, hash, status: "pending" | "confirmed" | "reverted" | "timeout", blockNumber }
+  }
+
+  /**
+   * Call `method` on `contract` and wait for the receipt.
+   * Throws if the call would revert, the tx reverts, or it is not mined within
+   * `waitTimeout` (after replacements).
+   *
+   * @param {ethers.Contract} contract
+   * @param {string} method  Method name or signature
+   * @param {Array} args
+   * @param {string} [label] Name used in log lines, e.g. "heartbeat"
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async send(contract, method, args = [], label = method) {
+    let sent;
+    try {
+      const fn = contract.getFunction(method);
+      // Estimating through the contract surfaces reverts with their decoded reason.
+      const [tx, estimate] = await Promise.all([fn.populateTransaction(...args), fn.estimateGas(...args)]);
+      const gasLimit = estimate + (estimate * GAS_LIMIT_HEADROOM) / 100n;
+      sent = await this._serialize(() => this._broadcast({ to: tx.to, data: tx.data, gasLimit }, label));
+    } catch (err) {
+      this._report(label, "failed");
+      throw err;
+    }
+    return this._confirm(sent, label);
+  }
+
+  /**
+   * Wait for a tx someone else broadcast (e.g. a relayer), bounded by
+   * `waitTimeout`. Nothing is replaced since the nonce is not ours.
+   */
+  async wait(hash, label = "tx") {
+    this._track(label, hash, "pending");
+    const deadline = Date.now() + this.options.waitTimeout;
+    for (;;) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) return this._settle(receipt, label);
+      if (Date.now() >= deadline) throw this._timeout(label, hash);
+      await sleep(this.options.pollInterval);
+    }
+  }
+
+  /** Fees for a new tx under the configured strategy, before any bump. */
+  async getFees() {
+    const data = await this.provider.getFeeData();
+    const { gasStrategy, gasMultiplier, priorityFee } = this.options;
+    const strategy = gasStrategy === "auto" ? (data.maxFeePerGas != null ? "eip1559" : "legacy") : gasStrategy;
+
+    if (strategy === "eip1559") {
+      if (data.maxFeePerGas == null) {
+        throw new Error(`${this.name}: the network does not report EIP-1559 fees; use gasStrategy "legacy"`);
+      }
+      const tip = priorityFee != null ? BigInt(priorityFee) : data.maxPriorityFeePerGas;
+      return this._cap({ maxFeePerGas: maxOf(scale(data.maxFeePerGas, gasMultiplier), tip), maxPriorityFeePerGas: tip });
+    }
+    return this._cap({ gasPrice: scale(data.gasPrice, gasMultiplier) });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internals
+  // ---------------------------------------------------------------------------
+
+  /** Nonce assignment and broadcast run one at a time; waiting does not. */
+  _serialize(fn) {
+    const result = this._queue.then(fn);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  async _broadcast(tx, label, retried = false) {
+    const address = await this.wallet.getAddress();
+    if (this._nonce === null) this._nonce = await this.provider.getTransactionCount(address, "pending");
+    const nonce = Math.min(this._nonce, ...this._abandoned);
+    const reused = this._abandoned.delete(nonce);
+
+    // Reusing the nonce of a tx that timed out: outbid it so this one replaces it.
+    const previous = this._sentFees.get(nonce);
+    const fees = previous ? this._outbid(await this.getFees(), previous) : await this.getFees();
+
+    let response;
+    try {
+      response = await this.wallet.sendTransaction({ ...tx, nonce, ...fees });
+    } catch (err) {
+      if (reused && isNonceConflict(err)) {
+        // The timed-out tx was mined after all; move on to the next nonce.
+        this.log("INFO", `${label}: nonce ${nonce} of a timed-out tx is used now. Trying the next one...`, { nonce });
+        this._sentFees.delete(nonce);
+        return this._broadcast(tx, label, retried);
+      }
+      if (reused) this._abandoned.add(nonce);
+      this._nonce = null;
+      if (!retried && isNonceConflict(err)) {
+        this.log("WARN", `${label}: nonce ${nonce} already used by another tx from ${address}. Resyncing and retrying...`, { nonce });
+        this._sentFees.delete(nonce);
+        return this._broadcast(tx, label, true);
+      }
+      throw err;
+    }
+
+    if (nonce >= this._nonce) this._nonce = nonce + 1;
+    this._sentFees.set(nonce, fees);
+    this._track(label, response.hash, "pending");
+    this.log("INFO", `${label} tx ${response.hash} sent | nonce: ${nonce} | ${formatFees(fees)}`, { txHash: response.hash, nonce });
+    return { ...tx, hash: response.hash, nonce, fees, blockNumber: await this.provider.getBlockNumber() };
+  }
+
+  /** Poll for a receipt of any tx sent with this nonce, replacing the tx when it is stuck. */
+  async _confirm(sent, label) {
+    const { replaceAfterBlocks, waitTimeout, pollInterval } = this.options;
+    const address = await this.wallet.getAddress();
+    const deadline = Date.now() + waitTimeout;
+    const hashes = [sent.hash];
+    let current = sent;
+
+    for (;;) {
+      for (const hash of hashes) {
+        const receipt = await this.provider.getTransactionReceipt(hash);
+        if (receipt) {
+          this._forget(sent.nonce);
+          return this._settle(receipt, label);
+        }
+      }
+
+      if (Date.now() >= deadline) {
+        // Leave the nonce pending for the next send to replace.
+        this._abandoned.add(sent.nonce);
+        throw this._timeout(label, current.hash);
+      }
+
+      const blockNumber = await this.provider.getBlockNumber();
+      if (blockNumber - current.blockNumber >= replaceAfterBlocks) {
+        const mined = await this.provider.getTransactionCount(address, "latest");
+        if (mined > sent.nonce) {
+          // Mined between our receipt check and now, or taken by another tx.
+          const receipts = await Promise.all(hashes.map((h) => this.provider.getTransactionReceipt(h)));
+          const receipt = receipts.find(Boolean);
+          this._forget(sent.nonce);
+          if (receipt) return this._settle(receipt, label);
+          this._nonce = null;
+          this._report(label, "failed", current.hash);
+          throw new Error(`${this.name}: ${label} nonce ${sent.nonce} was used by another transaction`);
+        }
+        current = await this._serialize(() => this._replace(current, blockNumber, label));
+        if (!hashes.includes(current.hash)) hashes.push(current.hash);
+      }
+
+      await sleep(pollInterval);
+    }
+  }
+
+  async _replace(stuck, blockNumber, label) {
+    const fees = this._outbid(await this.getFees(), stuck.fees);
+    if (FEE_FIELDS.every((k) => fees[k] == null || fees[k] <= stuck.fees[k])) {
+      this.log("WARN", `${label} tx ${stuck.hash} not mined after ${blockNumber - stuck.blockNumber} blocks, but fees are at maxGasPrice. Waiting...`, { txHash: stuck.hash });
+      return { ...stuck, blockNumber };
+    }
+
+    const response = await this.wallet.sendTransaction({ to: stuck.to, data: stuck.data, gasLimit: stuck.gasLimit, nonce: stuck.nonce, ...fees });
+    this._sentFees.set(stuck.nonce, fees);
+    this._track(label, response.hash, "pending");
+    this.log("WARN", `${label} tx ${stuck.hash} not mined after ${blockNumber - stuck.blockNumber} blocks. Replaced by ${response.hash} | ${formatFees(fees)}`, { txHash: response.hash, replaced: stuck.hash });
+    return { ...stuck, hash: response.hash, fees, blockNumber };
+  }
+
+  /** The higher of the market fees and `previous` raised by bumpPercent, capped. */
+  _outbid(fresh, previous) {
+    const bump = BigInt(100 + this.options.bumpPercent);
+    const floor = (k) => previous[k] ?? previous.gasPrice ?? previous.maxFeePerGas;
+    const fees = {};
+    for (const k of Object.keys(fresh)) {
+      fees[k] = maxOf(fresh[k], (floor(k) * bump) / 100n + 1n);
+    }
+    return this._cap(fees);
+  }
+
+  _cap(fees) {
+    if (this.options.maxGasPrice == null) return fees;
+    const cap = BigInt(this.options.maxGasPrice);
+    const capped = {};
+    for (const [k, v] of Object.entries(fees)) capped[k] = v > cap ? cap : v;
+    return capped;
+  }
+
+  /** A tx with `nonce` was mined, so every nonce up to it is used. */
+  _forget(nonce) {
+    for (const n of this._sentFees.keys()) {
+      if (n <= nonce) this._sentFees.delete(n);
+    }
+    for (const n of this._abandoned) {
+      if (n <= nonce) this._abandoned.delete(n);
+    }
+  }
+
+  _track(label, hash, status, blockNumber = null) {
+    this.lastTx = { label, hash, status, blockNumber };
+  }
+
+  _report(label, status, hash = null, receipt = null) {
+    if (hash) this._track(label, hash, status, receipt?.blockNumber ?? null);
+    try {
+      this.onResult({ label, status, hash, receipt });
+    } catch (err) {
+      this.log("ERROR", `onResult failed: ${err.message}`);
+    }
+  }
+
+  _settle(receipt, label) {
+    const price = receipt.gasPrice ?? 0n;
+    this._report(label, receipt.status === 1 ? "confirmed" : "reverted", receipt.hash, receipt);
+    if (receipt.status !== 1) {
+      this.log("ERROR", `${label} tx ${receipt.hash} reverted in block ${receipt.blockNumber}`, { txHash: receipt.hash });
+      throw new Error(`${this.name}: ${label} tx ${receipt.hash} reverted`);
+    }
+    this.log("INFO", `${label} tx ${receipt.hash} confirmed in block ${receipt.blockNumber} | gas used: ${receipt.gasUsed} @ ${ethers.formatUnits(price, "gwei")} gwei`, { txHash: receipt.hash });
+    return receipt;
+  }
+
+  _timeout(label, hash) {
+    const seconds = this.options.waitTimeout / 1000;
+    this._report(label, "timeout", hash);
+    this.log("ERROR", `${label} tx ${hash} not mined within ${seconds}s`, { txHash: hash });
+    return new Error(`${this.name}: ${label} tx ${hash} not mined within ${seconds}s`);
+  }
+}
+
+module.exports = { TxManager, GAS_STRATEGIES };
@@ -3,14 +3,42 @@ pragma solidity ^0.8.24;
 
 /**
  * @title ChainHeart
- * @notice On-chain heartbeat registry and master election for a distributed node cluster.
- *         Nodes share the same private key (sharedKeyAddress) and use MAC addresses as
- *         unique identifiers.
+ * @notice On-chain heartbeat registry and master election for distributed node clusters.
+ *         Nodes use MAC addresses as unique identifiers. By default they share the same
+ *         private key (sharedKeyAddress); the admin can bind a MAC to its own signing
+ *         address, after which only that address may act for the MAC.
+ *
+ *         Clusters: one deployment tracks many independent elections, each identified by
+ *         a bytes32 clusterId with its own timeout, master, epoch, heartbeats, membership
+ *         and signers. The constructor creates DEFAULT_CLUSTER (bytes32(0)); every
+ *         function without a clusterId argument operates on it.
  *
  *         Election safety: when the current master times out, any node can call
  *         electMaster(). The first transaction to be mined wins because it immediately
  *         records a heartbeat for the new master; subsequent election attempts see a
  *         live master and revert with MasterStillAlive.
+ *
+ *         Fencing: every successful election increments `epoch`. The epoch is emitted with
+ *         every MasterElected / Heartbeat event so downstream systems can reject writes
+ *         carrying an older term from a master that has since been replaced.
+ *
+ *         Membership: only MACs registered via registerNode() may be elected or send
+ *         heartbeats, so a misconfigured node cannot take over the cluster.
+ *
+ *         Node liveness: every member, not only the master, can record a cheaper liveness
+ *         heartbeat with sendNodeHeartbeat(s)(). listLiveNodes() returns the members seen
+ *         within the cluster's nodeTimeout, which makes cluster health visible on-chain.
+ *
+ *         Priority: the admin can give each member a priority (higher is preferred, 0 by
+ *         default) and set a cluster's preemptionGrace. When it is non-zero, a live node
+ *         whose priority is higher than the master's may call electMaster() while the
+ *         master is still alive, once the master has served for preemptionGrace seconds.
+ *         Otherwise elections stay first-come-first-served.
+ *
+ *         Meta-transactions: heartbeatWithSig() / electWithSig() / resignWithSig() /
+ *         handoverWithSig() / nodeHeartbeatWithSig() accept an EIP-712 signature from the
+ *         node's authorized key, so any funded relayer can submit them and nodes need no gas
+ *         balance. Each MAC has its own nonce and every signature a deadline.
  */
 contract ChainHeart {
 
@@ -20,27 +48,87 @@ contract ChainHeart {
         Election
     }
 
-    string public currentMasterMAC;
-    bytes32 public currentMasterHash;
-    uint256 public heartbeatTimeout;
+    struct Cluster {
+        bool exists;
+        string masterMAC;
+        bytes32 masterHash;
+        uint256 heartbeatTimeout;
+        uint256 epoch;
+        /// @dev Liveness window for node heartbeats; 0 means heartbeatTimeout.
+        uint256 nodeTimeout;
+        mapping(bytes32 => uint256) heartbeats;
+        string[] nodeList;
+        /// @dev 1-based position of a MAC hash in nodeList; 0 means not registered.
+        mapping(bytes32 => uint256) nodeIndex;
+        /// @dev Per-node signing address keyed by MAC hash; address(0) falls back to the shared key.
+        mapping(bytes32 => address) nodeSigners;
+        /// @dev Next EIP-712 nonce per MAC hash.
+        mapping(bytes32 => uint256) nonces;
+        /// @dev Election priority per MAC hash; higher is preferred.
+        mapping(bytes32 => uint256) priorities;
+        /// @dev Seconds a master serves before a higher-priority node may preempt it; 0 disables preemption.
+        uint256 preemptionGrace;
+        /// @dev Block timestamp at which the current master was elected.
+        uint256 electedAt;
+    }
+
+    bytes32 public constant DEFAULT_CLUSTER = bytes32(0);
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant HEARTBEAT_TYPEHASH =
+        keccak256("Heartbeat(bytes32 clusterId,string mac,uint256 nonce,uint256 deadline)");
+    bytes32 public constant ELECT_TYPEHASH =
+        keccak256("ElectMaster(bytes32 clusterId,string mac,uint256 nonce,uint256 deadline)");
+    bytes32 public constant RESIGN_TYPEHASH =
+        keccak256("Resign(bytes32 clusterId,string mac,uint256 nonce,uint256 deadline)");
+    bytes32 public constant HANDOVER_TYPEHASH =
+        keccak256("Handover(bytes32 clusterId,string fromMac,string toMac,uint256 nonce,uint256 deadline)");
+    bytes32 public constant NODE_HEARTBEAT_TYPEHASH =
+        keccak256("NodeHeartbeat(bytes32 clusterId,string mac,uint256 nonce,uint256 deadline)");
+
     address public sharedKeyAddress;
+    address public admin;
 
-    mapping(bytes32 => uint256) public heartbeats;
+    mapping(bytes32 => Cluster) private clusters;
+    bytes32[] private clusterIds;
 
-    event Heartbeat(string indexed mac, uint256 timestamp, uint256 blockNumber);
-    event MasterElected(string indexed newMasterMAC, uint256 timestamp);
-    event HeartbeatTimeoutUpdated(uint256 oldTimeout, uint256 newTimeout);
+    event Heartbeat(bytes32 indexed clusterId, string indexed mac, uint256 epoch, uint256 timestamp, uint256 blockNumber);
+    event MasterElected(bytes32 indexed clusterId, string indexed newMasterMAC, uint256 epoch, uint256 timestamp);
+    event MasterResigned(bytes32 indexed clusterId, string indexed mac, string successorMAC, uint256 epoch, uint256 timestamp);
+    event MasterPreempted(bytes32 indexed clusterId, string indexed mac, string successorMAC, uint256 epoch, uint256 timestamp);
+    event NodeHeartbeat(bytes32 indexed clusterId, string indexed mac, uint256 timestamp);
+    event HeartbeatTimeoutUpdated(bytes32 indexed clusterId, uint256 oldTimeout, uint256 newTimeout);
+    event NodeTimeoutUpdated(bytes32 indexed clusterId, uint256 oldTimeout, uint256 newTimeout);
+    event NodeRegistered(bytes32 indexed clusterId, string indexed mac, uint256 timestamp);
+    event NodeRemoved(bytes32 indexed clusterId, string indexed mac, uint256 timestamp);
+    event NodeSignerUpdated(bytes32 indexed clusterId, string indexed mac, address oldSigner, address indexed newSigner);
+    event NodePriorityUpdated(bytes32 indexed clusterId, string indexed mac, uint256 oldPriority, uint256 newPriority);
+    event PreemptionGraceUpdated(bytes32 indexed clusterId, uint256 oldGrace, uint256 newGrace);
+    event ClusterCreated(bytes32 indexed clusterId, uint256 heartbeatTimeout);
+    event SharedKeyUpdated(address indexed oldSharedKey, address indexed newSharedKey);
+    event AdminTransferred(address indexed oldAdmin, address indexed newAdmin);
 
     error NoMasterElected();
     error MasterStillAlive();
     error OnlyMasterCanHeartbeat();
+    error NotCurrentMaster();
+    error MasterTimedOut();
+    error InvalidSuccessor();
     error InvalidTimeout();
     error EmptyMAC();
     error Unauthorized();
     error ZeroAddress();
+    error NodeNotRegistered();
+    error NodeAlreadyRegistered();
+    error NoNodeSigner();
+    error ClusterNotFound();
+    error ClusterAlreadyExists();
+    error ExpiredSignature();
+    error InvalidSignature();
 
-    modifier onlySharedKey() {
-        if (msg.sender != sharedKeyAddress) revert Unauthorized();
+    modifier onlyAdmin() {
+        if (msg.sender != admin) revert Unauthorized();
         _;
     }
 
@@ -49,82 +137,580 @@ contract ChainHeart {
         address _sharedKeyAddress,
         string memory _initialMasterMAC
     ) {
-        if (_heartbeatTimeout == 0) revert InvalidTimeout();
         if (_sharedKeyAddress == address(0)) revert ZeroAddress();
 
-        heartbeatTimeout = _heartbeatTimeout;
         sharedKeyAddress = _sharedKeyAddress;
+        admin = _sharedKeyAddress;
+        _createCluster(DEFAULT_CLUSTER, _heartbeatTimeout);
 
         if (bytes(_initialMasterMAC).length > 0) {
+            Cluster storage c = clusters[DEFAULT_CLUSTER];
             bytes32 macHash = keccak256(bytes(_initialMasterMAC));
-            currentMasterMAC = _initialMasterMAC;
-            currentMasterHash = macHash;
-            heartbeats[macHash] = block.timestamp;
-            emit MasterElected(_initialMasterMAC, block.timestamp);
+            _registerNode(c, DEFAULT_CLUSTER, _initialMasterMAC, macHash);
+            c.masterMAC = _initialMasterMAC;
+            c.masterHash = macHash;
+            c.heartbeats[macHash] = block.timestamp;
+            c.electedAt = block.timestamp;
+            c.epoch = 1;
+            emit MasterElected(DEFAULT_CLUSTER, _initialMasterMAC, 1, block.timestamp);
         }
     }
 
+    // -------------------------------------------------------------------------
+    // Node operations
+    // -------------------------------------------------------------------------
+
     /**
      * @notice Master node calls this periodically to prove liveness.
      * @param mac The MAC address of the calling node (must match current master).
      */
-    function sendHeartbeat(string calldata mac) external onlySharedKey {
-        if (currentMasterHash == bytes32(0)) revert NoMasterElected();
+    function sendHeartbeat(string calldata mac) external {
+        _sendHeartbeat(DEFAULT_CLUSTER, mac, msg.sender);
+    }
 
-        bytes32 macHash = keccak256(bytes(mac));
-        if (macHash != currentMasterHash) revert OnlyMasterCanHeartbeat();
+    /// @notice sendHeartbeat() for a specific cluster.
+    function sendHeartbeat(bytes32 clusterId, string calldata mac) external {
+        _sendHeartbeat(clusterId, mac, msg.sender);
+    }
+
+    /**
+     * @notice Any registered node calls this to prove its own liveness. Cheaper than the
+     *         master heartbeat and meant to be sent less often; it is recorded in the same
+     *         per-node heartbeat map. Sent for the current master, it renews the master's
+     *         lease like sendHeartbeat() and emits Heartbeat.
+     * @param mac The MAC address of the calling node (must be registered).
+     */
+    function sendNodeHeartbeat(string calldata mac) external {
+        _sendNodeHeartbeat(DEFAULT_CLUSTER, mac, msg.sender);
+    }
+
+    /// @notice sendNodeHeartbeat() for a specific cluster.
+    function sendNodeHeartbeat(bytes32 clusterId, string calldata mac) external {
+        _sendNodeHeartbeat(clusterId, mac, msg.sender);
+    }
 
-        heartbeats[macHash] = block.timestamp;
-        emit Heartbeat(mac, block.timestamp, block.number);
+    /**
+     * @notice Record liveness heartbeats for several nodes in one transaction. The sender
+     *         must be authorized for every MAC in the batch.
+     * @param macs The MAC addresses of the nodes (each must be registered).
+     */
+    function sendNodeHeartbeats(string[] calldata macs) external {
+        for (uint256 i = 0; i < macs.length; i++) {
+            _sendNodeHeartbeat(DEFAULT_CLUSTER, macs[i], msg.sender);
+        }
+    }
+
+    /// @notice sendNodeHeartbeats() for a specific cluster.
+    function sendNodeHeartbeats(bytes32 clusterId, string[] calldata macs) external {
+        for (uint256 i = 0; i < macs.length; i++) {
+            _sendNodeHeartbeat(clusterId, macs[i], msg.sender);
+        }
     }
 
     /**
      * @notice Elect a new master. Succeeds only when no master exists or the current
      *         master has timed out. The first transaction to be mined wins; subsequent
-     *         callers see a live master and revert.
+     *         callers see a live master and revert. Each successful election starts a
+     *         new epoch. With preemption enabled, a live higher-priority node may also
+     *         replace a live master that has served for preemptionGrace (see canPreempt()).
+     * @param mac The MAC address of the node that wants to become master (must be registered).
+     */
+    function electMaster(string calldata mac) external {
+        _electMaster(DEFAULT_CLUSTER, mac, msg.sender);
+    }
+
+    /// @notice electMaster() for a specific cluster.
+    function electMaster(bytes32 clusterId, string calldata mac) external {
+        _electMaster(clusterId, mac, msg.sender);
+    }
+
+    /**
+     * @notice Current master voluntarily gives up leadership. The cluster returns to
+     *         Idle so any node can claim master on its next tick instead of waiting out
+     *         the heartbeat timeout. The epoch is kept; the next election increments it.
+     * @param mac The MAC address of the current master.
+     */
+    function resign(string calldata mac) external {
+        _resign(DEFAULT_CLUSTER, mac, msg.sender);
+    }
+
+    /// @notice resign() for a specific cluster.
+    function resign(bytes32 clusterId, string calldata mac) external {
+        _resign(clusterId, mac, msg.sender);
+    }
+
+    /**
+     * @notice Current master hands leadership directly to another node. The successor
+     *         becomes master immediately (new epoch, fresh heartbeat) and must start
+     *         sending heartbeats before the timeout.
+     * @param fromMac The MAC address of the current master.
+     * @param toMac The MAC address of the successor (must be registered).
+     */
+    function handover(string calldata fromMac, string calldata toMac) external {
+        _handover(DEFAULT_CLUSTER, fromMac, toMac, msg.sender);
+    }
+
+    /// @notice handover() for a specific cluster.
+    function handover(bytes32 clusterId, string calldata fromMac, string calldata toMac) external {
+        _handover(clusterId, fromMac, toMac, msg.sender);
+    }
+
+    /**
+     * @notice sendHeartbeat() authorized by an EIP-712 signature instead of msg.sender,
+     *         so a relayer can pay the gas. Signed struct:
+     *         Heartbeat(bytes32 clusterId,string mac,uint256 nonce,uint256 deadline).
+     * @param clusterId The cluster (DEFAULT_CLUSTER for the default one).
+     * @param mac The MAC address of the current master.
+     * @param deadline Timestamp after which the signature is no longer accepted.
+     * @param signature Signature by the MAC's signer (or the shared key) over the current nonce.
+     */
+    function heartbeatWithSig(
+        bytes32 clusterId,
+        string calldata mac,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        address signer = _useSignature(HEARTBEAT_TYPEHASH, clusterId, mac, deadline, signature);
+        _sendHeartbeat(clusterId, mac, signer);
+    }
+
+    /**
+     * @notice electMaster() authorized by an EIP-712 signature instead of msg.sender.
+     *         Signed struct: ElectMaster(bytes32 clusterId,string mac,uint256 nonce,uint256 deadline).
+     * @param clusterId The cluster (DEFAULT_CLUSTER for the default one).
      * @param mac The MAC address of the node that wants to become master.
+     * @param deadline Timestamp after which the signature is no longer accepted.
+     * @param signature Signature by the MAC's signer (or the shared key) over the current nonce.
      */
-    function electMaster(string calldata mac) external onlySharedKey {
-        if (bytes(mac).length == 0) revert EmptyMAC();
+    function electWithSig(
+        bytes32 clusterId,
+        string calldata mac,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        address signer = _useSignature(ELECT_TYPEHASH, clusterId, mac, deadline, signature);
+        _electMaster(clusterId, mac, signer);
+    }
 
-        if (currentMasterHash != bytes32(0)) {
-            if (block.timestamp - heartbeats[currentMasterHash] <= heartbeatTimeout)
-                revert MasterStillAlive();
-        }
+    /**
+     * @notice resign() authorized by an EIP-712 signature instead of msg.sender.
+     *         Signed struct: Resign(bytes32 clusterId,string mac,uint256 nonce,uint256 deadline).
+     * @param clusterId The cluster (DEFAULT_CLUSTER for the default one).
+     * @param mac The MAC address of the current master.
+     * @param deadline Timestamp after which the signature is no longer accepted.
+     * @param signature Signature by the MAC's signer (or the shared key) over the current nonce.
+     */
+    function resignWithSig(
+        bytes32 clusterId,
+        string calldata mac,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        address signer = _useSignature(RESIGN_TYPEHASH, clusterId, mac, deadline, signature);
+        _resign(clusterId, mac, signer);
+    }
 
-        bytes32 macHash = keccak256(bytes(mac));
-        currentMasterMAC = mac;
-        currentMasterHash = macHash;
-        heartbeats[macHash] = block.timestamp;
-        emit MasterElected(mac, block.timestamp);
+    /**
+     * @notice handover() authorized by an EIP-712 signature instead of msg.sender. Signed struct:
+     *         Handover(bytes32 clusterId,string fromMac,string toMac,uint256 nonce,uint256 deadline),
+     *         using fromMac's nonce.
+     * @param clusterId The cluster (DEFAULT_CLUSTER for the default one).
+     * @param fromMac The MAC address of the current master.
+     * @param toMac The MAC address of the successor (must be registered).
+     * @param deadline Timestamp after which the signature is no longer accepted.
+     * @param signature Signature by fromMac's signer (or the shared key) over its current nonce.
+     */
+    function handoverWithSig(
+        bytes32 clusterId,
+        string calldata fromMac,
+        string calldata toMac,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        (bytes32 fromHash, uint256 nonce) = _useNonce(clusterId, fromMac, deadline);
+        bytes32 structHash = keccak256(
+            abi.encode(HANDOVER_TYPEHASH, clusterId, fromHash, keccak256(bytes(toMac)), nonce, deadline)
+        );
+        _handover(clusterId, fromMac, toMac, _recoverTyped(structHash, signature));
+    }
+
+    /**
+     * @notice sendNodeHeartbeat() authorized by an EIP-712 signature instead of msg.sender.
+     *         Signed struct: NodeHeartbeat(bytes32 clusterId,string mac,uint256 nonce,uint256 deadline).
+     * @param clusterId The cluster (DEFAULT_CLUSTER for the default one).
+     * @param mac The MAC address of the node (must be registered).
+     * @param deadline Timestamp after which the signature is no longer accepted.
+     * @param signature Signature by the MAC's signer (or the shared key) over the current nonce.
+     */
+    function nodeHeartbeatWithSig(
+        bytes32 clusterId,
+        string calldata mac,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        address signer = _useSignature(NODE_HEARTBEAT_TYPEHASH, clusterId, mac, deadline, signature);
+        _sendNodeHeartbeat(clusterId, mac, signer);
+    }
+
+    // -------------------------------------------------------------------------
+    // Admin operations
+    // -------------------------------------------------------------------------
+
+    /**
+     * @notice Create a new independent cluster.
+     * @param clusterId Identifier of the cluster (must not exist yet).
+     * @param _timeout Heartbeat timeout of the cluster in seconds.
+     */
+    function createCluster(bytes32 clusterId, uint256 _timeout) external onlyAdmin {
+        if (clusters[clusterId].exists) revert ClusterAlreadyExists();
+        _createCluster(clusterId, _timeout);
     }
 
     /**
      * @notice Update the heartbeat timeout threshold.
      * @param _timeout New timeout value in seconds.
      */
-    function setHeartbeatTimeout(uint256 _timeout) external onlySharedKey {
-        if (_timeout == 0) revert InvalidTimeout();
-        uint256 oldTimeout = heartbeatTimeout;
-        heartbeatTimeout = _timeout;
-        emit HeartbeatTimeoutUpdated(oldTimeout, _timeout);
+    function setHeartbeatTimeout(uint256 _timeout) external onlyAdmin {
+        _setHeartbeatTimeout(DEFAULT_CLUSTER, _timeout);
+    }
+
+    /// @notice setHeartbeatTimeout() for a specific cluster.
+    function setHeartbeatTimeout(bytes32 clusterId, uint256 _timeout) external onlyAdmin {
+        _setHeartbeatTimeout(clusterId, _timeout);
+    }
+
+    /**
+     * @notice Update the liveness window used by isNodeAlive() / listLiveNodes().
+     * @param _timeout New timeout in seconds; 0 follows heartbeatTimeout.
+     */
+    function setNodeTimeout(uint256 _timeout) external onlyAdmin {
+        _setNodeTimeout(DEFAULT_CLUSTER, _timeout);
+    }
+
+    /// @notice setNodeTimeout() for a specific cluster.
+    function setNodeTimeout(bytes32 clusterId, uint256 _timeout) external onlyAdmin {
+        _setNodeTimeout(clusterId, _timeout);
+    }
+
+    /**
+     * @notice Add a MAC address to the cluster membership.
+     * @param mac The MAC address to register.
+     */
+    function registerNode(string calldata mac) external onlyAdmin {
+        _addNode(DEFAULT_CLUSTER, mac);
+    }
+
+    /// @notice registerNode() for a specific cluster.
+    function registerNode(bytes32 clusterId, string calldata mac) external onlyAdmin {
+        _addNode(clusterId, mac);
+    }
+
+    /**
+     * @notice Remove a MAC address from the cluster membership, revoking its signer. A
+     *         removed master can no longer send heartbeats, so it times out and a new
+     *         election takes place.
+     * @param mac The MAC address to remove.
+     */
+    function removeNode(string calldata mac) external onlyAdmin {
+        _removeNode(DEFAULT_CLUSTER, mac);
+    }
+
+    /// @notice removeNode() for a specific cluster.
+    function removeNode(bytes32 clusterId, string calldata mac) external onlyAdmin {
+        _removeNode(clusterId, mac);
+    }
+
+    /**
+     * @notice Set the election priority of a registered MAC. Higher is preferred; with
+     *         preemption enabled, the node may take over from a lower-priority master.
+     * @param mac The registered MAC address.
+     * @param priority The new priority (0 = lowest, the default).
+     */
+    function setNodePriority(string calldata mac, uint256 priority) external onlyAdmin {
+        _setNodePriority(DEFAULT_CLUSTER, mac, priority);
+    }
+
+    /// @notice setNodePriority() for a specific cluster.
+    function setNodePriority(bytes32 clusterId, string calldata mac, uint256 priority) external onlyAdmin {
+        _setNodePriority(clusterId, mac, priority);
+    }
+
+    /**
+     * @notice Enable preemption: a live node with a higher priority than the master may
+     *         elect itself once the master has served for `_grace` seconds.
+     * @param _grace Grace period in seconds; 0 disables preemption.
+     */
+    function setPreemptionGrace(uint256 _grace) external onlyAdmin {
+        _setPreemptionGrace(DEFAULT_CLUSTER, _grace);
+    }
+
+    /// @notice setPreemptionGrace() for a specific cluster.
+    function setPreemptionGrace(bytes32 clusterId, uint256 _grace) external onlyAdmin {
+        _setPreemptionGrace(clusterId, _grace);
+    }
+
+    /**
+     * @notice Bind a registered MAC to its own signing address, or rotate an existing
+     *         binding. From then on only `signer` may heartbeat, elect, resign or hand
+     *         over for this MAC; the shared key no longer can.
+     * @param mac The registered MAC address.
+     * @param signer The address that signs transactions for this node.
+     */
+    function setNodeSigner(string calldata mac, address signer) external onlyAdmin {
+        _setNodeSigner(DEFAULT_CLUSTER, mac, signer);
+    }
+
+    /// @notice setNodeSigner() for a specific cluster.
+    function setNodeSigner(bytes32 clusterId, string calldata mac, address signer) external onlyAdmin {
+        _setNodeSigner(clusterId, mac, signer);
+    }
+
+    /**
+     * @notice Revoke a MAC's signing address; the node falls back to the shared key.
+     * @param mac The MAC address whose signer is revoked.
+     */
+    function revokeNodeSigner(string calldata mac) external onlyAdmin {
+        _revokeNodeSigner(DEFAULT_CLUSTER, mac);
+    }
+
+    /// @notice revokeNodeSigner() for a specific cluster.
+    function revokeNodeSigner(bytes32 clusterId, string calldata mac) external onlyAdmin {
+        _revokeNodeSigner(clusterId, mac);
+    }
+
+    /**
+     * @notice Rotate the shared key. Passing address(0) disables shared-key mode, so
+     *         only nodes with their own signer can act.
+     * @param _sharedKeyAddress The new shared key address.
+     */
+    function setSharedKeyAddress(address _sharedKeyAddress) external onlyAdmin {
+        address oldSharedKey = sharedKeyAddress;
+        sharedKeyAddress = _sharedKeyAddress;
+        emit SharedKeyUpdated(oldSharedKey, _sharedKeyAddress);
+    }
+
+    /**
+     * @notice Hand the admin role (clusters, membership, signers, timeouts) to another address.
+     * @param newAdmin The new admin address.
+     */
+    function transferAdmin(address newAdmin) external onlyAdmin {
+        if (newAdmin == address(0)) revert ZeroAddress();
+        address oldAdmin = admin;
+        admin = newAdmin;
+        emit AdminTransferred(oldAdmin, newAdmin);
+    }
+
+    // -------------------------------------------------------------------------
+    // Views
+    // -------------------------------------------------------------------------
+
+    /**
+     * @notice List all cluster identifiers, DEFAULT_CLUSTER first.
+     */
+    function listClusters() external view returns (bytes32[] memory) {
+        return clusterIds;
+    }
+
+    /**
+     * @notice Check whether a cluster exists.
+     * @param clusterId The cluster to query.
+     */
+    function clusterExists(bytes32 clusterId) external view returns (bool) {
+        return clusters[clusterId].exists;
+    }
+
+    /// @notice MAC address of the current master of the default cluster.
+    function currentMasterMAC() external view returns (string memory) {
+        return clusters[DEFAULT_CLUSTER].masterMAC;
+    }
+
+    /// @notice Cached keccak256 hash of the default cluster's current master MAC.
+    function currentMasterHash() external view returns (bytes32) {
+        return clusters[DEFAULT_CLUSTER].masterHash;
+    }
+
+    /// @notice Heartbeat timeout of the default cluster in seconds.
+    function heartbeatTimeout() external view returns (uint256) {
+        return clusters[DEFAULT_CLUSTER].heartbeatTimeout;
+    }
+
+    /// @notice Heartbeat timeout of a cluster in seconds.
+    function heartbeatTimeout(bytes32 clusterId) external view returns (uint256) {
+        return clusters[clusterId].heartbeatTimeout;
+    }
+
+    /// @notice Effective node liveness window of the default cluster in seconds.
+    function nodeTimeout() external view returns (uint256) {
+        return _nodeTimeout(clusters[DEFAULT_CLUSTER]);
+    }
+
+    /// @notice Effective node liveness window of a cluster in seconds.
+    function nodeTimeout(bytes32 clusterId) external view returns (uint256) {
+        return _nodeTimeout(clusters[clusterId]);
+    }
+
+    /// @notice Election epoch of the default cluster.
+    function epoch() external view returns (uint256) {
+        return clusters[DEFAULT_CLUSTER].epoch;
+    }
+
+    /// @notice Election epoch of a cluster.
+    function epoch(bytes32 clusterId) external view returns (uint256) {
+        return clusters[clusterId].epoch;
+    }
+
+    /// @notice Heartbeat timestamp of a node in the default cluster, keyed by MAC hash.
+    function heartbeats(bytes32 macHash) external view returns (uint256) {
+        return clusters[DEFAULT_CLUSTER].heartbeats[macHash];
+    }
+
+    /// @notice Signer bound to a node in the default cluster, keyed by MAC hash.
+    function nodeSigners(bytes32 macHash) external view returns (address) {
+        return clusters[DEFAULT_CLUSTER].nodeSigners[macHash];
+    }
+
+    /**
+     * @notice List all registered MAC addresses (order is not preserved across removals).
+     */
+    function listNodes() external view returns (string[] memory) {
+        return clusters[DEFAULT_CLUSTER].nodeList;
+    }
+
+    /// @notice listNodes() for a specific cluster.
+    function listNodes(bytes32 clusterId) external view returns (string[] memory) {
+        return clusters[clusterId].nodeList;
+    }
+
+    /**
+     * @notice List the registered MACs whose last heartbeat is within nodeTimeout.
+     */
+    function listLiveNodes() external view returns (string[] memory) {
+        return _listLiveNodes(clusters[DEFAULT_CLUSTER]);
+    }
+
+    /// @notice listLiveNodes() for a specific cluster.
+    function listLiveNodes(bytes32 clusterId) external view returns (string[] memory) {
+        return _listLiveNodes(clusters[clusterId]);
+    }
+
+    /**
+     * @notice Check whether a registered node has sent a heartbeat within nodeTimeout.
+     * @param mac The MAC address to query.
+     */
+    function isNodeAlive(string calldata mac) external view returns (bool) {
+        return _isNodeAlive(clusters[DEFAULT_CLUSTER], keccak256(bytes(mac)));
+    }
+
+    /// @notice isNodeAlive() for a specific cluster.
+    function isNodeAlive(bytes32 clusterId, string calldata mac) external view returns (bool) {
+        return _isNodeAlive(clusters[clusterId], keccak256(bytes(mac)));
+    }
+
+    /**
+     * @notice Check whether a MAC address is a registered member.
+     * @param mac The MAC address to query.
+     */
+    function isNodeRegistered(string calldata mac) external view returns (bool) {
+        return clusters[DEFAULT_CLUSTER].nodeIndex[keccak256(bytes(mac))] != 0;
+    }
+
+    /// @notice isNodeRegistered() for a specific cluster.
+    function isNodeRegistered(bytes32 clusterId, string calldata mac) external view returns (bool) {
+        return clusters[clusterId].nodeIndex[keccak256(bytes(mac))] != 0;
+    }
+
+    /**
+     * @notice Get the signing address bound to a MAC (address(0) means shared key).
+     * @param mac The MAC address to query.
+     */
+    function getNodeSigner(string calldata mac) external view returns (address) {
+        return clusters[DEFAULT_CLUSTER].nodeSigners[keccak256(bytes(mac))];
+    }
+
+    /// @notice getNodeSigner() for a specific cluster.
+    function getNodeSigner(bytes32 clusterId, string calldata mac) external view returns (address) {
+        return clusters[clusterId].nodeSigners[keccak256(bytes(mac))];
+    }
+
+    /**
+     * @notice Get the election priority of a MAC (0 unless set by the admin).
+     * @param mac The MAC address to query.
+     */
+    function getNodePriority(string calldata mac) external view returns (uint256) {
+        return clusters[DEFAULT_CLUSTER].priorities[keccak256(bytes(mac))];
+    }
+
+    /// @notice getNodePriority() for a specific cluster.
+    function getNodePriority(bytes32 clusterId, string calldata mac) external view returns (uint256) {
+        return clusters[clusterId].priorities[keccak256(bytes(mac))];
+    }
+
+    /// @notice Preemption grace period of the default cluster in seconds (0 = disabled).
+    function preemptionGrace() external view returns (uint256) {
+        return clusters[DEFAULT_CLUSTER].preemptionGrace;
+    }
+
+    /// @notice Preemption grace period of a cluster in seconds (0 = disabled).
+    function preemptionGrace(bytes32 clusterId) external view returns (uint256) {
+        return clusters[clusterId].preemptionGrace;
+    }
+
+    /**
+     * @notice Whether electMaster(mac) would replace the live master right now: preemption
+     *         is enabled, the node is live and has a higher priority than the master, and
+     *         the master has served for preemptionGrace.
+     * @param mac The MAC address that would preempt.
+     */
+    function canPreempt(string calldata mac) external view returns (bool) {
+        Cluster storage c = clusters[DEFAULT_CLUSTER];
+        return _getState(c) == State.Running && _canPreempt(c, keccak256(bytes(mac)));
+    }
+
+    /// @notice canPreempt() for a specific cluster.
+    function canPreempt(bytes32 clusterId, string calldata mac) external view returns (bool) {
+        Cluster storage c = clusters[clusterId];
+        return _getState(c) == State.Running && _canPreempt(c, keccak256(bytes(mac)));
+    }
+
+    /**
+     * @notice Next nonce a MAC must sign for heartbeatWithSig() / electWithSig() /
+     *         resignWithSig() / handoverWithSig().
+     * @param clusterId The cluster (DEFAULT_CLUSTER for the default one).
+     * @param mac The MAC address to query.
+     */
+    function nonces(bytes32 clusterId, string calldata mac) external view returns (uint256) {
+        return clusters[clusterId].nonces[keccak256(bytes(mac))];
+    }
+
+    /// @notice EIP-712 domain separator (name "ChainHeart", version "1") used for signed node calls.
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256("ChainHeart"), keccak256("1"), block.chainid, address(this))
+        );
     }
 
     /**
      * @notice Derive the current contract state from on-chain data.
      */
-    function getState() public view returns (State) {
-        if (currentMasterHash == bytes32(0)) return State.Idle;
-        if (block.timestamp - heartbeats[currentMasterHash] <= heartbeatTimeout)
-            return State.Running;
-        return State.Election;
+    function getState() external view returns (State) {
+        return _getState(clusters[DEFAULT_CLUSTER]);
+    }
+
+    /// @notice getState() for a specific cluster.
+    function getState(bytes32 clusterId) external view returns (State) {
+        return _getState(clusters[clusterId]);
     }
 
     /**
      * @notice Check whether the current master is still alive (within timeout).
      */
-    function isAlive() public view returns (bool) {
-        return getState() == State.Running;
+    function isAlive() external view returns (bool) {
+        return _getState(clusters[DEFAULT_CLUSTER]) == State.Running;
+    }
+
+    /// @notice isAlive() for a specific cluster.
+    function isAlive(bytes32 clusterId) external view returns (bool) {
+        return _getState(clusters[clusterId]) == State.Running;
     }
 
     /**
@@ -132,7 +718,12 @@ contract ChainHeart {
      * @param mac The MAC address to query.
      */
     function getNodeHeartbeat(string calldata mac) external view returns (uint256) {
-        return heartbeats[keccak256(bytes(mac))];
+        return clusters[DEFAULT_CLUSTER].heartbeats[keccak256(bytes(mac))];
+    }
+
+    /// @notice getNodeHeartbeat() for a specific cluster.
+    function getNodeHeartbeat(bytes32 clusterId, string calldata mac) external view returns (uint256) {
+        return clusters[clusterId].heartbeats[keccak256(bytes(mac))];
     }
 
     /**
@@ -140,14 +731,322 @@ contract ChainHeart {
      * @return mac The current master MAC address.
      * @return lastHeartbeat The last heartbeat timestamp of the master.
      * @return alive Whether the master is alive.
+     * @return masterEpoch The election epoch (fencing token) of the current master.
      */
     function getCurrentMaster()
         external
         view
-        returns (string memory mac, uint256 lastHeartbeat, bool alive)
+        returns (string memory mac, uint256 lastHeartbeat, bool alive, uint256 masterEpoch)
+    {
+        return _getCurrentMaster(clusters[DEFAULT_CLUSTER]);
+    }
+
+    /// @notice getCurrentMaster() for a specific cluster.
+    function getCurrentMaster(bytes32 clusterId)
+        external
+        view
+        returns (string memory mac, uint256 lastHeartbeat, bool alive, uint256 masterEpoch)
     {
-        mac = currentMasterMAC;
-        lastHeartbeat = heartbeats[currentMasterHash];
-        alive = isAlive();
+        return _getCurrentMaster(clusters[clusterId]);
+    }
+
+    // -------------------------------------------------------------------------
+    // Internals
+    // -------------------------------------------------------------------------
+
+    function _sendHeartbeat(bytes32 clusterId, string calldata mac, address sender) internal {
+        Cluster storage c = _cluster(clusterId);
+        bytes32 macHash = keccak256(bytes(mac));
+        _requireNodeSigner(c, macHash, sender);
+        if (c.nodeIndex[macHash] == 0) revert NodeNotRegistered();
+        if (c.masterHash == bytes32(0)) revert NoMasterElected();
+        if (macHash != c.masterHash) revert OnlyMasterCanHeartbeat();
+
+        c.heartbeats[macHash] = block.timestamp;
+        emit Heartbeat(clusterId, mac, c.epoch, block.timestamp, block.number);
+    }
+
+    function _sendNodeHeartbeat(bytes32 clusterId, string calldata mac, address sender) internal {
+        Cluster storage c = _cluster(clusterId);
+        bytes32 macHash = keccak256(bytes(mac));
+        _requireNodeSigner(c, macHash, sender);
+        if (c.nodeIndex[macHash] == 0) revert NodeNotRegistered();
+
+        c.heartbeats[macHash] = block.timestamp;
+        if (macHash == c.masterHash) {
+            emit Heartbeat(clusterId, mac, c.epoch, block.timestamp, block.number);
+        } else {
+            emit NodeHeartbeat(clusterId, mac, block.timestamp);
+        }
+    }
+
+    function _electMaster(bytes32 clusterId, string calldata mac, address sender) internal {
+        if (bytes(mac).length == 0) revert EmptyMAC();
+
+        Cluster storage c = _cluster(clusterId);
+        bytes32 macHash = keccak256(bytes(mac));
+        _requireNodeSigner(c, macHash, sender);
+        if (c.nodeIndex[macHash] == 0) revert NodeNotRegistered();
+
+        if (_getState(c) == State.Running) {
+            if (!_canPreempt(c, macHash)) revert MasterStillAlive();
+            emit MasterPreempted(clusterId, c.masterMAC, mac, c.epoch, block.timestamp);
+        }
+
+        _setMaster(c, clusterId, mac, macHash);
+    }
+
+    function _resign(bytes32 clusterId, string calldata mac, address sender) internal {
+        Cluster storage c = _cluster(clusterId);
+        bytes32 macHash = keccak256(bytes(mac));
+        _requireNodeSigner(c, macHash, sender);
+        _requireMaster(c, macHash);
+
+        delete c.masterMAC;
+        c.masterHash = bytes32(0);
+        emit MasterResigned(clusterId, mac, "", c.epoch, block.timestamp);
+    }
+
+    function _handover(bytes32 clusterId, string calldata fromMac, string calldata toMac, address sender) internal {
+        Cluster storage c = _cluster(clusterId);
+        bytes32 fromHash = keccak256(bytes(fromMac));
+        _requireNodeSigner(c, fromHash, sender);
+        _requireMaster(c, fromHash);
+        if (bytes(toMac).length == 0) revert EmptyMAC();
+
+        bytes32 toHash = keccak256(bytes(toMac));
+        if (toHash == c.masterHash) revert InvalidSuccessor();
+        if (c.nodeIndex[toHash] == 0) revert NodeNotRegistered();
+
+        emit MasterResigned(clusterId, fromMac, toMac, c.epoch, block.timestamp);
+        _setMaster(c, clusterId, toMac, toHash);
+    }
+
+    function _createCluster(bytes32 clusterId, uint256 _timeout) internal {
+        if (_timeout == 0) revert InvalidTimeout();
+        Cluster storage c = clusters[clusterId];
+        c.exists = true;
+        c.heartbeatTimeout = _timeout;
+        clusterIds.push(clusterId);
+        emit ClusterCreated(clusterId, _timeout);
+    }
+
+    function _setHeartbeatTimeout(bytes32 clusterId, uint256 _timeout) internal {
+        if (_timeout == 0) revert InvalidTimeout();
+        Cluster storage c = _cluster(clusterId);
+        uint256 oldTimeout = c.heartbeatTimeout;
+        c.heartbeatTimeout = _timeout;
+        emit HeartbeatTimeoutUpdated(clusterId, oldTimeout, _timeout);
+    }
+
+    function _setNodeTimeout(bytes32 clusterId, uint256 _timeout) internal {
+        Cluster storage c = _cluster(clusterId);
+        uint256 oldTimeout = c.nodeTimeout;
+        c.nodeTimeout = _timeout;
+        emit NodeTimeoutUpdated(clusterId, oldTimeout, _timeout);
+    }
+
+    function _addNode(bytes32 clusterId, string calldata mac) internal {
+        if (bytes(mac).length == 0) revert EmptyMAC();
+        Cluster storage c = _cluster(clusterId);
+        bytes32 macHash = keccak256(bytes(mac));
+        if (c.nodeIndex[macHash] != 0) revert NodeAlreadyRegistered();
+        _registerNode(c, clusterId, mac, macHash);
+    }
+
+    function _registerNode(Cluster storage c, bytes32 clusterId, string memory mac, bytes32 macHash) internal {
+        c.nodeList.push(mac);
+        c.nodeIndex[macHash] = c.nodeList.length;
+        emit NodeRegistered(clusterId, mac, block.timestamp);
+    }
+
+    function _removeNode(bytes32 clusterId, string calldata mac) internal {
+        Cluster storage c = _cluster(clusterId);
+        bytes32 macHash = keccak256(bytes(mac));
+        uint256 index = c.nodeIndex[macHash];
+        if (index == 0) revert NodeNotRegistered();
+
+        uint256 lastIndex = c.nodeList.length;
+        if (index != lastIndex) {
+            string memory lastMac = c.nodeList[lastIndex - 1];
+            c.nodeList[index - 1] = lastMac;
+            c.nodeIndex[keccak256(bytes(lastMac))] = index;
+        }
+        c.nodeList.pop();
+        delete c.nodeIndex[macHash];
+        emit NodeRemoved(clusterId, mac, block.timestamp);
+
+        address oldSigner = c.nodeSigners[macHash];
+        if (oldSigner != address(0)) {
+            delete c.nodeSigners[macHash];
+            emit NodeSignerUpdated(clusterId, mac, oldSigner, address(0));
+        }
+
+        uint256 oldPriority = c.priorities[macHash];
+        if (oldPriority != 0) {
+            delete c.priorities[macHash];
+            emit NodePriorityUpdated(clusterId, mac, oldPriority, 0);
+        }
+    }
+
+    function _setNodeSigner(bytes32 clusterId, string calldata mac, address signer) internal {
+        if (signer == address(0)) revert ZeroAddress();
+        Cluster storage c = _cluster(clusterId);
+        bytes32 macHash = keccak256(bytes(mac));
+        if (c.nodeIndex[macHash] == 0) revert NodeNotRegistered();
+
+        address oldSigner = c.nodeSigners[macHash];
+        c.nodeSigners[macHash] = signer;
+        emit NodeSignerUpdated(clusterId, mac, oldSigner, signer);
+    }
+
+    function _setNodePriority(bytes32 clusterId, string calldata mac, uint256 priority) internal {
+        Cluster storage c = _cluster(clusterId);
+        bytes32 macHash = keccak256(bytes(mac));
+        if (c.nodeIndex[macHash] == 0) revert NodeNotRegistered();
+
+        uint256 oldPriority = c.priorities[macHash];
+        c.priorities[macHash] = priority;
+        emit NodePriorityUpdated(clusterId, mac, oldPriority, priority);
+    }
+
+    function _setPreemptionGrace(bytes32 clusterId, uint256 _grace) internal {
+        Cluster storage c = _cluster(clusterId);
+        uint256 oldGrace = c.preemptionGrace;
+        c.preemptionGrace = _grace;
+        emit PreemptionGraceUpdated(clusterId, oldGrace, _grace);
+    }
+
+    function _revokeNodeSigner(bytes32 clusterId, string calldata mac) internal {
+        Cluster storage c = _cluster(clusterId);
+        bytes32 macHash = keccak256(bytes(mac));
+        address oldSigner = c.nodeSigners[macHash];
+        if (oldSigner == address(0)) revert NoNodeSigner();
+
+        delete c.nodeSigners[macHash];
+        emit NodeSignerUpdated(clusterId, mac, oldSigner, address(0));
+    }
+
+    function _getState(Cluster storage c) internal view returns (State) {
+        if (c.masterHash == bytes32(0)) return State.Idle;
+        if (block.timestamp - c.heartbeats[c.masterHash] <= c.heartbeatTimeout)
+            return State.Running;
+        return State.Election;
+    }
+
+    function _nodeTimeout(Cluster storage c) internal view returns (uint256) {
+        return c.nodeTimeout != 0 ? c.nodeTimeout : c.heartbeatTimeout;
+    }
+
+    function _isNodeAlive(Cluster storage c, bytes32 macHash) internal view returns (bool) {
+        if (c.nodeIndex[macHash] == 0) return false;
+        uint256 last = c.heartbeats[macHash];
+        return last != 0 && block.timestamp - last <= _nodeTimeout(c);
+    }
+
+    /// @dev Preemption rules, assuming the master is alive.
+    function _canPreempt(Cluster storage c, bytes32 macHash) internal view returns (bool) {
+        return c.preemptionGrace != 0
+            && macHash != c.masterHash
+            && c.priorities[macHash] > c.priorities[c.masterHash]
+            && _isNodeAlive(c, macHash)
+            && block.timestamp - c.electedAt >= c.preemptionGrace;
+    }
+
+    function _listLiveNodes(Cluster storage c) internal view returns (string[] memory live) {
+        uint256 total = c.nodeList.length;
+        bool[] memory alive = new bool[](total);
+        uint256 count = 0;
+        for (uint256 i = 0; i < total; i++) {
+            alive[i] = _isNodeAlive(c, keccak256(bytes(c.nodeList[i])));
+            if (alive[i]) count++;
+        }
+
+        live = new string[](count);
+        uint256 j = 0;
+        for (uint256 i = 0; i < total; i++) {
+            if (alive[i]) live[j++] = c.nodeList[i];
+        }
+    }
+
+    function _getCurrentMaster(Cluster storage c)
+        internal
+        view
+        returns (string memory mac, uint256 lastHeartbeat, bool alive, uint256 masterEpoch)
+    {
+        mac = c.masterMAC;
+        lastHeartbeat = c.heartbeats[c.masterHash];
+        alive = _getState(c) == State.Running;
+        masterEpoch = c.epoch;
+    }
+
+    function _cluster(bytes32 clusterId) internal view returns (Cluster storage c) {
+        c = clusters[clusterId];
+        if (!c.exists) revert ClusterNotFound();
+    }
+
+    /// @dev A MAC with a bound signer only accepts that signer; otherwise the shared key.
+    function _requireNodeSigner(Cluster storage c, bytes32 macHash, address sender) internal view {
+        address signer = c.nodeSigners[macHash];
+        if (signer == address(0)) signer = sharedKeyAddress;
+        if (signer == address(0) || sender != signer) revert Unauthorized();
+    }
+
+    /// @dev Check the deadline, consume the MAC's nonce and return the recovered signer.
+    function _useSignature(
+        bytes32 typehash,
+        bytes32 clusterId,
+        string calldata mac,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal returns (address) {
+        (bytes32 macHash, uint256 nonce) = _useNonce(clusterId, mac, deadline);
+        return _recoverTyped(keccak256(abi.encode(typehash, clusterId, macHash, nonce, deadline)), signature);
+    }
+
+    /// @dev Check the deadline and consume the MAC's nonce, returning the MAC's hash and the nonce.
+    function _useNonce(bytes32 clusterId, string calldata mac, uint256 deadline)
+        internal
+        returns (bytes32 macHash, uint256 nonce)
+    {
+        if (block.timestamp > deadline) revert ExpiredSignature();
+        Cluster storage c = _cluster(clusterId);
+        macHash = keccak256(bytes(mac));
+        nonce = c.nonces[macHash]++;
+    }
+
+    /// @dev Signer of an EIP-712 struct hash under this contract's domain.
+    function _recoverTyped(bytes32 structHash, bytes calldata signature) internal view returns (address) {
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        return _recover(digest, signature);
+    }
+
+    /// @dev ecrecover over a 65-byte (r, s, v) signature, rejecting malleable upper-half s values.
+    function _recover(bytes32 digest, bytes calldata signature) internal pure returns (address signer) {
+        if (signature.length != 65) revert InvalidSignature();
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0)
+            revert InvalidSignature();
+
+        signer = ecrecover(digest, v, r, s);
+        if (signer == address(0)) revert InvalidSignature();
+    }
+
+    /// @dev `macHash` is the master and still alive; a timed-out master has already lost the role.
+    function _requireMaster(Cluster storage c, bytes32 macHash) internal view {
+        if (c.masterHash == bytes32(0)) revert NoMasterElected();
+        if (macHash != c.masterHash) revert NotCurrentMaster();
+        if (_getState(c) != State.Running) revert MasterTimedOut();
+    }
+
+    function _setMaster(Cluster storage c, bytes32 clusterId, string calldata mac, bytes32 macHash) internal {
+        c.masterMAC = mac;
+        c.masterHash = macHash;
+        c.heartbeats[macHash] = block.timestamp;
+        c.electedAt = block.timestamp;
+        uint256 newEpoch = ++c.epoch;
+        emit MasterElected(clusterId, mac, newEpoch, block.timestamp);
     }
 }
@@ -1,15 +1,57 @@
 const hre = require("hardhat");
+const { DEFAULT_CLUSTER, toClusterId, formatClusterId } = require("../client/cluster");
 
 async function main() {
   const heartbeatTimeout = process.env.HEARTBEAT_TIMEOUT || 3600;
   const initialMasterMAC = process.env.INITIAL_MASTER_MAC || "";
+  // "name:timeout" pairs for extra clusters created next to the default one
+  const clusters = (process.env.CLUSTERS || "")
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [name, timeout] = pair.split(":").map((part) => part.trim());
+      if (!name) throw new Error(`Invalid CLUSTERS entry: "${pair}" (expected name:timeout)`);
+      return { clusterId: toClusterId(name), timeout: timeout || heartbeatTimeout };
+    });
+  // NODE_MACS and NODE_SIGNERS are applied to CLUSTER_ID (default cluster if empty)
+  const clusterId = toClusterId(process.env.CLUSTER_ID);
+  const nodeMACs = (process.env.NODE_MACS || "")
+    .split(",")
+    .map((mac) => mac.trim())
+    .filter((mac) => mac && !(clusterId === DEFAULT_CLUSTER && mac === initialMasterMAC));
+  // "MAC=0xAddress" pairs binding a node to its own signing key
+  const nodeSigners = (process.env.NODE_SIGNERS || "")
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [mac, signer] = pair.split("=").map((part) => part.trim());
+      if (!mac || !signer) throw new Error(`Invalid NODE_SIGNERS entry: "${pair}" (expected MAC=0xAddress)`);
+      return { mac, signer };
+    });
+
+  // "MAC=priority" pairs; higher is preferred as master
+  const nodePriorities = (process.env.NODE_PRIORITIES || "")
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [mac, priority] = pair.split("=").map((part) => part.trim());
+      if (!mac || !/^\d+$/.test(priority || "")) throw new Error(`Invalid NODE_PRIORITIES entry: "${pair}" (expected MAC=priority)`);
+      return { mac, priority };
+    });
+  const preemptionGrace = parseInt(process.env.PREEMPTION_GRACE || "0", 10);
 
   const [deployer] = await hre.ethers.getSigners();
 
   console.log("Deploying ChainHeart...");
-  console.log(`  Deployer / shared key: ${deployer.address}`);
+  console.log(`  Deployer / shared key / admin: ${deployer.address}`);
   console.log(`  Heartbeat timeout: ${heartbeatTimeout}s`);
   console.log(`  Initial master MAC: ${initialMasterMAC || "(none)"}`);
+  console.log(`  Extra clusters: ${clusters.length > 0 ? clusters.map((c) => `${formatClusterId(c.clusterId)} (${c.timeout}s)`).join(", ") : "(none)"}`);
+  console.log(`  Node cluster: ${formatClusterId(clusterId)}`);
+  console.log(`  Registered nodes: ${nodeMACs.length > 0 ? nodeMACs.join(", ") : "(none)"}`);
 
   const ChainHeart = await hre.ethers.getContractFactory("ChainHeart");
   const heart = await ChainHeart.deploy(
@@ -35,6 +77,35 @@ async function main() {
   }
 
   console.log(`  Contract deployed to: ${address}`);
+
+  const deployed = await hre.ethers.getContractAt("ChainHeart", address);
+  for (const cluster of clusters) {
+    const tx = await deployed.createCluster(cluster.clusterId, cluster.timeout);
+    await tx.wait();
+    console.log(`  Created cluster: ${formatClusterId(cluster.clusterId)} (${cluster.clusterId})`);
+  }
+
+  // The initial master is registered by the constructor; register the rest.
+  for (const mac of nodeMACs) {
+    const tx = await deployed["registerNode(bytes32,string)"](clusterId, mac);
+    await tx.wait();
+    console.log(`  Registered node: ${mac}`);
+  }
+  for (const { mac, signer } of nodeSigners) {
+    const tx = await deployed["setNodeSigner(bytes32,string,address)"](clusterId, mac, signer);
+    await tx.wait();
+    console.log(`  Bound signer: ${mac} => ${signer}`);
+  }
+  for (const { mac, priority } of nodePriorities) {
+    const tx = await deployed["setNodePriority(bytes32,string,uint256)"](clusterId, mac, priority);
+    await tx.wait();
+    console.log(`  Priority: ${mac} => ${priority}`);
+  }
+  if (preemptionGrace > 0) {
+    const tx = await deployed["setPreemptionGrace(bytes32,uint256)"](clusterId, preemptionGrace);
+    await tx.wait();
+    console.log(`  Preemption grace: ${preemptionGrace}s`);
+  }
   console.log("\nDone. Set CONTRACT_ADDRESS in .env to:", address);
 }
 
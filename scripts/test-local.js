@@ -38,10 +38,10 @@ function step(n, desc) {
 }
 
 async function printState(contract) {
-  const [mac, lastHB, alive] = await contract.getCurrentMaster();
+  const [mac, lastHB, alive, epoch] = await contract.getCurrentMaster();
   const state = await contract.getState();
   const stateName = STATE_NAMES[Number(state)];
-  console.log(`  >> State: ${stateName} | Master: ${mac || "(none)"} | alive: ${alive} | lastHB: ${lastHB}`);
+  console.log(`  >> State: ${stateName} | Master: ${mac || "(none)"} | alive: ${alive} | lastHB: ${lastHB} | epoch: ${epoch}`);
 }
 
 async function mineTime(seconds) {
@@ -103,6 +103,10 @@ async function main() {
   await contract.waitForDeployment();
   const addr = await contract.getAddress();
   console.log(`  Contract deployed at: ${addr}`);
+  for (const mac of [MAC_A, MAC_B, MAC_C]) {
+    await (await contract.registerNode(mac)).wait();
+  }
+  console.log(`  Registered nodes: ${(await contract.listNodes()).join(", ")}`);
   await printState(contract);
 
   // ---- Step 1: A wins initial election ----
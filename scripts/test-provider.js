@@ -11,10 +11,14 @@
 const path = require("path");
 require("dotenv").config({ path: path.resolve(__dirname, "../.env") });
 
+const { ethers } = require("ethers");
 const { createProvider } = require("../client/providers");
+const { loadConfig } = require("../client");
 
-// Same factory used in client/index.js main()
-const provider = createProvider();
+// Same factory used in client/index.js main(); the wallet pays for pay402 servers.
+const config = loadConfig();
+const wallet = config.privateKey ? new ethers.Wallet(config.privateKey, new ethers.JsonRpcProvider(config.rpcUrl)) : undefined;
+const provider = createProvider({ wallet, mac: config.mac });
 
 if (!provider) {
   console.error("CLOUD_PROVIDER is not set in .env");
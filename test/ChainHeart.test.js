@@ -4,6 +4,7 @@ const {
   loadFixture,
   time,
 } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("ChainHeart", function () {
   const TIMEOUT = 3600;
@@ -15,17 +16,34 @@ describe("ChainHeart", function () {
   const STATE_RUNNING = 1;
   const STATE_ELECTION = 2;
 
+  const DEFAULT_CLUSTER = ethers.ZeroHash;
+
+  async function deployRegistered(timeout, initialMAC = "") {
+    const [shared] = await ethers.getSigners();
+    const ChainHeart = await ethers.getContractFactory("ChainHeart");
+    const heart = await ChainHeart.deploy(timeout, shared.address, initialMAC);
+    for (const mac of [MAC_A, MAC_B, MAC_C]) {
+      if (mac !== initialMAC) await heart.registerNode(mac);
+    }
+    return heart;
+  }
+
   async function deployFixture() {
     const [shared, stranger] = await ethers.getSigners();
-    const ChainHeart = await ethers.getContractFactory("ChainHeart");
-    const heart = await ChainHeart.deploy(TIMEOUT, shared.address, "");
+    const heart = await deployRegistered(TIMEOUT);
     return { heart, shared, stranger };
   }
 
   async function deployWithMasterFixture() {
+    const [shared, stranger] = await ethers.getSigners();
+    const heart = await deployRegistered(TIMEOUT, MAC_A);
+    return { heart, shared, stranger };
+  }
+
+  async function deployUnregisteredFixture() {
     const [shared, stranger] = await ethers.getSigners();
     const ChainHeart = await ethers.getContractFactory("ChainHeart");
-    const heart = await ChainHeart.deploy(TIMEOUT, shared.address, MAC_A);
+    const heart = await ChainHeart.deploy(TIMEOUT, shared.address, "");
     return { heart, shared, stranger };
   }
 
@@ -83,7 +101,9 @@ describe("ChainHeart", function () {
     });
 
     it("should record initial master heartbeat in mapping", async function () {
-      const { heart } = await loadFixture(deployWithMasterFixture);
+      const [shared] = await ethers.getSigners();
+      const ChainHeart = await ethers.getContractFactory("ChainHeart");
+      const heart = await ChainHeart.deploy(TIMEOUT, shared.address, MAC_A);
       const ts = await time.latest();
       expect(await heart.getNodeHeartbeat(MAC_A)).to.equal(ts);
     });
@@ -295,6 +315,1070 @@ describe("ChainHeart", function () {
     });
   });
 
+  // ---------------------------------------------------------------------------
+  // Node liveness
+  // ---------------------------------------------------------------------------
+  describe("Node liveness", function () {
+    it("should record a slave heartbeat and emit NodeHeartbeat", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      const tx = await heart.sendNodeHeartbeat(MAC_B);
+      const ts = await time.latest();
+      await expect(tx)
+        .to.emit(heart, "NodeHeartbeat")
+        .withArgs(DEFAULT_CLUSTER, MAC_B, ts);
+      expect(await heart.getNodeHeartbeat(MAC_B)).to.equal(ts);
+    });
+
+    it("should not change the master or epoch on a slave heartbeat", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await heart.sendNodeHeartbeat(MAC_B);
+      const [mac, , alive, epoch] = await heart.getCurrentMaster();
+      expect(mac).to.equal(MAC_A);
+      expect(alive).to.equal(true);
+      expect(epoch).to.equal(1);
+    });
+
+    it("should work while no master is elected", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await expect(heart.sendNodeHeartbeat(MAC_A))
+        .to.emit(heart, "NodeHeartbeat");
+      expect(await heart.getState()).to.equal(STATE_IDLE);
+    });
+
+    it("should renew the master lease and emit Heartbeat when sent for the master", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await time.increase(TIMEOUT - 10);
+      const tx = await heart.sendNodeHeartbeat(MAC_A);
+      const ts = await time.latest();
+      await expect(tx)
+        .to.emit(heart, "Heartbeat")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, 1, ts, await ethers.provider.getBlockNumber());
+      await expect(tx).not.to.emit(heart, "NodeHeartbeat");
+
+      await time.increase(20);
+      expect(await heart.isAlive()).to.equal(true);
+    });
+
+    it("should record a batch of heartbeats in one transaction", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      const tx = await heart["sendNodeHeartbeats(string[])"]([MAC_A, MAC_B, MAC_C]);
+      const ts = await time.latest();
+      await expect(tx).to.emit(heart, "NodeHeartbeat").withArgs(DEFAULT_CLUSTER, MAC_C, ts);
+      for (const mac of [MAC_A, MAC_B, MAC_C]) {
+        expect(await heart.getNodeHeartbeat(mac)).to.equal(ts);
+      }
+    });
+
+    it("should reject unregistered MACs, including inside a batch", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await expect(heart.sendNodeHeartbeat("AA:BB:CC:DD:EE:99"))
+        .to.be.revertedWithCustomError(heart, "NodeNotRegistered");
+      await expect(heart["sendNodeHeartbeats(string[])"]([MAC_A, "AA:BB:CC:DD:EE:99"]))
+        .to.be.revertedWithCustomError(heart, "NodeNotRegistered");
+      expect(await heart.getNodeHeartbeat(MAC_A)).to.equal(0);
+    });
+
+    it("should require the node's signer for every MAC", async function () {
+      const { heart, stranger } = await loadFixture(deployFixture);
+      const [, , keyA] = await ethers.getSigners();
+      await heart.setNodeSigner(MAC_A, keyA.address);
+
+      await expect(heart.connect(stranger).sendNodeHeartbeat(MAC_B))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart["sendNodeHeartbeats(string[])"]([MAC_A, MAC_B]))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart.connect(keyA).sendNodeHeartbeat(MAC_A))
+        .to.emit(heart, "NodeHeartbeat");
+    });
+
+    it("should list only nodes seen within nodeTimeout", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      expect(await heart.listLiveNodes()).to.deep.equal([MAC_A]);
+
+      await time.increase(TIMEOUT / 2);
+      await heart.sendNodeHeartbeat(MAC_B);
+      expect([...await heart.listLiveNodes()]).to.have.members([MAC_A, MAC_B]);
+      expect(await heart.isNodeAlive(MAC_C)).to.equal(false);
+
+      await time.increase(TIMEOUT / 2 + 1);
+      expect(await heart.listLiveNodes()).to.deep.equal([MAC_B]);
+      expect(await heart.isNodeAlive(MAC_A)).to.equal(false);
+      expect(await heart.isNodeAlive(MAC_B)).to.equal(true);
+    });
+
+    it("should drop removed nodes from the live list", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await heart["sendNodeHeartbeats(string[])"]([MAC_A, MAC_B]);
+      await heart.removeNode(MAC_A);
+      expect(await heart.listLiveNodes()).to.deep.equal([MAC_B]);
+      expect(await heart.isNodeAlive(MAC_A)).to.equal(false);
+    });
+
+    it("should default nodeTimeout to heartbeatTimeout and allow overriding it", async function () {
+      const { heart, stranger } = await loadFixture(deployFixture);
+      expect(await heart.nodeTimeout()).to.equal(TIMEOUT);
+
+      await expect(heart.setNodeTimeout(7200))
+        .to.emit(heart, "NodeTimeoutUpdated")
+        .withArgs(DEFAULT_CLUSTER, 0, 7200);
+      expect(await heart.nodeTimeout()).to.equal(7200);
+
+      await heart.sendNodeHeartbeat(MAC_B);
+      await time.increase(TIMEOUT + 1);
+      expect(await heart.isNodeAlive(MAC_B)).to.equal(true);
+
+      await heart.setNodeTimeout(0);
+      expect(await heart.nodeTimeout()).to.equal(TIMEOUT);
+      expect(await heart.isNodeAlive(MAC_B)).to.equal(false);
+
+      await expect(heart.connect(stranger).setNodeTimeout(60))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+
+    it("should track liveness per cluster", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      const API = ethers.encodeBytes32String("api");
+      await heart.createCluster(API, 60);
+      await heart["registerNode(bytes32,string)"](API, MAC_A);
+
+      await heart["sendNodeHeartbeat(bytes32,string)"](API, MAC_A);
+      expect(await heart["listLiveNodes(bytes32)"](API)).to.deep.equal([MAC_A]);
+      expect(await heart.listLiveNodes()).to.deep.equal([]);
+
+      await heart["setNodeTimeout(bytes32,uint256)"](API, 120);
+      await time.increase(100);
+      expect(await heart["isNodeAlive(bytes32,string)"](API, MAC_A)).to.equal(true);
+      expect(await heart["nodeTimeout(bytes32)"](API)).to.equal(120);
+      await expect(heart["sendNodeHeartbeats(bytes32,string[])"](API, [MAC_B]))
+        .to.be.revertedWithCustomError(heart, "NodeNotRegistered");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // resign
+  // ---------------------------------------------------------------------------
+  describe("resign", function () {
+    it("should return the contract to Idle when the master resigns", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await heart.resign(MAC_A);
+      expect(await heart.getState()).to.equal(STATE_IDLE);
+      const [mac, heartbeat, alive] = await heart.getCurrentMaster();
+      expect(mac).to.equal("");
+      expect(heartbeat).to.equal(0);
+      expect(alive).to.equal(false);
+    });
+
+    it("should emit MasterResigned with empty successor and current epoch", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      const tx = await heart.resign(MAC_A);
+      const ts = await time.latest();
+      await expect(tx)
+        .to.emit(heart, "MasterResigned")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, "", 1, ts);
+    });
+
+    it("should allow another node to be elected immediately after resign", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await heart.resign(MAC_A);
+      const tx = await heart.electMaster(MAC_B);
+      const ts = await time.latest();
+      await expect(tx)
+        .to.emit(heart, "MasterElected")
+        .withArgs(DEFAULT_CLUSTER, MAC_B, 2, ts);
+      const [mac, , alive] = await heart.getCurrentMaster();
+      expect(mac).to.equal(MAC_B);
+      expect(alive).to.equal(true);
+    });
+
+    it("should revert if no master is elected", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await expect(heart.resign(MAC_A))
+        .to.be.revertedWithCustomError(heart, "NoMasterElected");
+    });
+
+    it("should revert if MAC is not the current master", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await expect(heart.resign(MAC_B))
+        .to.be.revertedWithCustomError(heart, "NotCurrentMaster");
+    });
+
+    it("should revert if called by non-shared-key address", async function () {
+      const { heart, stranger } = await loadFixture(deployWithMasterFixture);
+      await expect(heart.connect(stranger).resign(MAC_A))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+
+    it("should revert once the master has timed out", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await time.increase(TIMEOUT + 1);
+      await expect(heart.resign(MAC_A))
+        .to.be.revertedWithCustomError(heart, "MasterTimedOut");
+      expect(await heart.getState()).to.equal(STATE_ELECTION);
+    });
+
+    it("should reject heartbeat from the resigned master", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await heart.resign(MAC_A);
+      await expect(heart.sendHeartbeat(MAC_A))
+        .to.be.revertedWithCustomError(heart, "NoMasterElected");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // handover
+  // ---------------------------------------------------------------------------
+  describe("handover", function () {
+    it("should make the successor master immediately", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await heart.handover(MAC_A, MAC_B);
+      const [mac, heartbeat, alive, epoch] = await heart.getCurrentMaster();
+      expect(mac).to.equal(MAC_B);
+      expect(heartbeat).to.equal(await time.latest());
+      expect(alive).to.equal(true);
+      expect(epoch).to.equal(2);
+      expect(await heart.getState()).to.equal(STATE_RUNNING);
+    });
+
+    it("should emit MasterResigned and MasterElected", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      const tx = await heart.handover(MAC_A, MAC_B);
+      const ts = await time.latest();
+      await expect(tx)
+        .to.emit(heart, "MasterResigned")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, MAC_B, 1, ts);
+      await expect(tx)
+        .to.emit(heart, "MasterElected")
+        .withArgs(DEFAULT_CLUSTER, MAC_B, 2, ts);
+    });
+
+    it("should let the successor heartbeat and reject the old master", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await heart.handover(MAC_A, MAC_B);
+      await expect(heart.sendHeartbeat(MAC_B)).to.emit(heart, "Heartbeat");
+      await expect(heart.sendHeartbeat(MAC_A))
+        .to.be.revertedWithCustomError(heart, "OnlyMasterCanHeartbeat");
+    });
+
+    it("should revert if caller MAC is not the current master", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await expect(heart.handover(MAC_B, MAC_C))
+        .to.be.revertedWithCustomError(heart, "NotCurrentMaster");
+    });
+
+    it("should revert if no master is elected", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await expect(heart.handover(MAC_A, MAC_B))
+        .to.be.revertedWithCustomError(heart, "NoMasterElected");
+    });
+
+    it("should revert once the master has timed out", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await time.increase(TIMEOUT + 1);
+      await expect(heart.handover(MAC_A, MAC_B))
+        .to.be.revertedWithCustomError(heart, "MasterTimedOut");
+      expect(await heart.currentMasterMAC()).to.equal(MAC_A);
+      expect(await heart.epoch()).to.equal(1);
+    });
+
+    it("should revert on empty successor MAC", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await expect(heart.handover(MAC_A, ""))
+        .to.be.revertedWithCustomError(heart, "EmptyMAC");
+    });
+
+    it("should revert when handing over to itself", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await expect(heart.handover(MAC_A, MAC_A))
+        .to.be.revertedWithCustomError(heart, "InvalidSuccessor");
+    });
+
+    it("should revert if called by non-shared-key address", async function () {
+      const { heart, stranger } = await loadFixture(deployWithMasterFixture);
+      await expect(heart.connect(stranger).handover(MAC_A, MAC_B))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Node membership
+  // ---------------------------------------------------------------------------
+  describe("Node membership", function () {
+    it("should start with an empty registry when no initial master", async function () {
+      const { heart } = await loadFixture(deployUnregisteredFixture);
+      expect(await heart.listNodes()).to.deep.equal([]);
+      expect(await heart.isNodeRegistered(MAC_A)).to.equal(false);
+    });
+
+    it("should auto-register the initial master from the constructor", async function () {
+      const [shared] = await ethers.getSigners();
+      const ChainHeart = await ethers.getContractFactory("ChainHeart");
+      const heart = await ChainHeart.deploy(TIMEOUT, shared.address, MAC_A);
+      expect(await heart.listNodes()).to.deep.equal([MAC_A]);
+      expect(await heart.isNodeRegistered(MAC_A)).to.equal(true);
+    });
+
+    it("should register a node and emit NodeRegistered", async function () {
+      const { heart } = await loadFixture(deployUnregisteredFixture);
+      const tx = await heart.registerNode(MAC_A);
+      const ts = await time.latest();
+      await expect(tx)
+        .to.emit(heart, "NodeRegistered")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, ts);
+      expect(await heart.isNodeRegistered(MAC_A)).to.equal(true);
+      expect(await heart.listNodes()).to.deep.equal([MAC_A]);
+    });
+
+    it("should reject registering the same node twice", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await expect(heart.registerNode(MAC_A))
+        .to.be.revertedWithCustomError(heart, "NodeAlreadyRegistered");
+    });
+
+    it("should reject registering an empty MAC", async function () {
+      const { heart } = await loadFixture(deployUnregisteredFixture);
+      await expect(heart.registerNode(""))
+        .to.be.revertedWithCustomError(heart, "EmptyMAC");
+    });
+
+    it("should remove a node and emit NodeRemoved", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      const tx = await heart.removeNode(MAC_A);
+      const ts = await time.latest();
+      await expect(tx)
+        .to.emit(heart, "NodeRemoved")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, ts);
+      expect(await heart.isNodeRegistered(MAC_A)).to.equal(false);
+      expect([...await heart.listNodes()]).to.have.members([MAC_B, MAC_C]);
+    });
+
+    it("should keep the registry consistent after removing from the middle and the end", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await heart.removeNode(MAC_B);
+      expect([...await heart.listNodes()]).to.have.members([MAC_A, MAC_C]);
+      await heart.removeNode(MAC_C);
+      expect(await heart.listNodes()).to.deep.equal([MAC_A]);
+      await heart.registerNode(MAC_B);
+      expect(await heart.listNodes()).to.deep.equal([MAC_A, MAC_B]);
+      expect(await heart.isNodeRegistered(MAC_C)).to.equal(false);
+    });
+
+    it("should reject removing an unregistered node", async function () {
+      const { heart } = await loadFixture(deployUnregisteredFixture);
+      await expect(heart.removeNode(MAC_A))
+        .to.be.revertedWithCustomError(heart, "NodeNotRegistered");
+    });
+
+    it("should reject election of an unregistered MAC", async function () {
+      const { heart } = await loadFixture(deployUnregisteredFixture);
+      await expect(heart.electMaster(MAC_A))
+        .to.be.revertedWithCustomError(heart, "NodeNotRegistered");
+    });
+
+    it("should reject heartbeat from a master removed from the registry", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await heart.removeNode(MAC_A);
+      await expect(heart.sendHeartbeat(MAC_A))
+        .to.be.revertedWithCustomError(heart, "NodeNotRegistered");
+
+      await time.increase(TIMEOUT + 1);
+      await heart.electMaster(MAC_B);
+      const [mac] = await heart.getCurrentMaster();
+      expect(mac).to.equal(MAC_B);
+    });
+
+    it("should reject handover to an unregistered MAC", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await expect(heart.handover(MAC_A, "AA:BB:CC:DD:EE:99"))
+        .to.be.revertedWithCustomError(heart, "NodeNotRegistered");
+    });
+
+    it("should reject registry changes from non-shared-key address", async function () {
+      const { heart, stranger } = await loadFixture(deployFixture);
+      await expect(heart.connect(stranger).registerNode("AA:BB:CC:DD:EE:99"))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart.connect(stranger).removeNode(MAC_A))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Per-node signers
+  // ---------------------------------------------------------------------------
+  describe("Per-node signers", function () {
+    async function signersFixture() {
+      const { heart, shared, stranger } = await deployFixture();
+      const [, , keyA, keyB, keyA2] = await ethers.getSigners();
+      await heart.setNodeSigner(MAC_A, keyA.address);
+      await heart.setNodeSigner(MAC_B, keyB.address);
+      return { heart, shared, stranger, keyA, keyB, keyA2 };
+    }
+
+    it("should bind a signer and emit NodeSignerUpdated", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      const [, , keyA] = await ethers.getSigners();
+      await expect(heart.setNodeSigner(MAC_A, keyA.address))
+        .to.emit(heart, "NodeSignerUpdated")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, ethers.ZeroAddress, keyA.address);
+      expect(await heart.getNodeSigner(MAC_A)).to.equal(keyA.address);
+    });
+
+    it("should let the bound signer elect and heartbeat for its MAC", async function () {
+      const { heart, keyA } = await loadFixture(signersFixture);
+      await expect(heart.connect(keyA).electMaster(MAC_A))
+        .to.emit(heart, "MasterElected");
+      await expect(heart.connect(keyA).sendHeartbeat(MAC_A))
+        .to.emit(heart, "Heartbeat");
+    });
+
+    it("should reject the shared key for a MAC with a bound signer", async function () {
+      const { heart } = await loadFixture(signersFixture);
+      await expect(heart.electMaster(MAC_A))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+
+    it("should reject another node's signer", async function () {
+      const { heart, keyA, keyB } = await loadFixture(signersFixture);
+      await heart.connect(keyA).electMaster(MAC_A);
+      await expect(heart.connect(keyB).sendHeartbeat(MAC_A))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart.connect(keyB).resign(MAC_A))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart.connect(keyB).handover(MAC_A, MAC_B))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+
+    it("should still accept the shared key for MACs without a signer", async function () {
+      const { heart } = await loadFixture(signersFixture);
+      await expect(heart.electMaster(MAC_C))
+        .to.emit(heart, "MasterElected");
+    });
+
+    it("should let the bound signer resign and hand over", async function () {
+      const { heart, keyA, keyB } = await loadFixture(signersFixture);
+      await heart.connect(keyA).electMaster(MAC_A);
+      await heart.connect(keyA).handover(MAC_A, MAC_B);
+      await heart.connect(keyB).resign(MAC_B);
+      expect(await heart.getState()).to.equal(STATE_IDLE);
+    });
+
+    it("should rotate a signer", async function () {
+      const { heart, keyA, keyA2 } = await loadFixture(signersFixture);
+      await expect(heart.setNodeSigner(MAC_A, keyA2.address))
+        .to.emit(heart, "NodeSignerUpdated")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, keyA.address, keyA2.address);
+      await expect(heart.connect(keyA).electMaster(MAC_A))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart.connect(keyA2).electMaster(MAC_A))
+        .to.emit(heart, "MasterElected");
+    });
+
+    it("should revoke a signer and fall back to the shared key", async function () {
+      const { heart, keyA } = await loadFixture(signersFixture);
+      await expect(heart.revokeNodeSigner(MAC_A))
+        .to.emit(heart, "NodeSignerUpdated")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, keyA.address, ethers.ZeroAddress);
+      expect(await heart.getNodeSigner(MAC_A)).to.equal(ethers.ZeroAddress);
+      await expect(heart.connect(keyA).electMaster(MAC_A))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart.electMaster(MAC_A))
+        .to.emit(heart, "MasterElected");
+    });
+
+    it("should revert revoking a MAC without a signer", async function () {
+      const { heart } = await loadFixture(signersFixture);
+      await expect(heart.revokeNodeSigner(MAC_C))
+        .to.be.revertedWithCustomError(heart, "NoNodeSigner");
+    });
+
+    it("should clear the signer when the node is removed", async function () {
+      const { heart, keyA } = await loadFixture(signersFixture);
+      await expect(heart.removeNode(MAC_A))
+        .to.emit(heart, "NodeSignerUpdated")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, keyA.address, ethers.ZeroAddress);
+      expect(await heart.getNodeSigner(MAC_A)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should reject binding an unregistered MAC or the zero address", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      const [, , keyA] = await ethers.getSigners();
+      await expect(heart.setNodeSigner("AA:BB:CC:DD:EE:99", keyA.address))
+        .to.be.revertedWithCustomError(heart, "NodeNotRegistered");
+      await expect(heart.setNodeSigner(MAC_A, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(heart, "ZeroAddress");
+    });
+
+    it("should reject signer management from non-admin address", async function () {
+      const { heart, stranger, keyA } = await loadFixture(signersFixture);
+      await expect(heart.connect(stranger).setNodeSigner(MAC_C, stranger.address))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart.connect(keyA).revokeNodeSigner(MAC_A))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Node priority and preemption
+  // ---------------------------------------------------------------------------
+  describe("Node priority and preemption", function () {
+    const GRACE = 600;
+
+    // A is master (priority 1), B is preferred (priority 5), preemption enabled.
+    async function preemptionFixture() {
+      const { heart, shared, stranger } = await deployFixture();
+      await heart.setNodePriority(MAC_A, 1);
+      await heart.setNodePriority(MAC_B, 5);
+      await heart.setPreemptionGrace(GRACE);
+      await heart.electMaster(MAC_A);
+      return { heart, shared, stranger };
+    }
+
+    it("should set a priority and emit NodePriorityUpdated", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      expect(await heart.getNodePriority(MAC_A)).to.equal(0);
+      await expect(heart.setNodePriority(MAC_A, 10))
+        .to.emit(heart, "NodePriorityUpdated")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, 0, 10);
+      expect(await heart.getNodePriority(MAC_A)).to.equal(10);
+    });
+
+    it("should only set priorities of registered nodes, as admin", async function () {
+      const { heart, stranger } = await loadFixture(deployFixture);
+      await expect(heart.setNodePriority("AA:BB:CC:DD:EE:99", 1))
+        .to.be.revertedWithCustomError(heart, "NodeNotRegistered");
+      await expect(heart.connect(stranger).setNodePriority(MAC_A, 1))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart.connect(stranger).setPreemptionGrace(GRACE))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+
+    it("should reset the priority of a removed node", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await heart.setNodePriority(MAC_A, 3);
+      await expect(heart.removeNode(MAC_A))
+        .to.emit(heart, "NodePriorityUpdated")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, 3, 0);
+      await heart.registerNode(MAC_A);
+      expect(await heart.getNodePriority(MAC_A)).to.equal(0);
+    });
+
+    it("should stay first-come-first-served while preemption is disabled", async function () {
+      const { heart } = await loadFixture(preemptionFixture);
+      await heart.setPreemptionGrace(0);
+      await heart.sendNodeHeartbeat(MAC_B);
+      await time.increase(GRACE);
+      expect(await heart.canPreempt(MAC_B)).to.equal(false);
+      await expect(heart.electMaster(MAC_B))
+        .to.be.revertedWithCustomError(heart, "MasterStillAlive");
+    });
+
+    it("should not let a higher-priority node preempt during the grace period", async function () {
+      const { heart } = await loadFixture(preemptionFixture);
+      await heart.sendNodeHeartbeat(MAC_B);
+      expect(await heart.canPreempt(MAC_B)).to.equal(false);
+      await expect(heart.electMaster(MAC_B))
+        .to.be.revertedWithCustomError(heart, "MasterStillAlive");
+    });
+
+    it("should let a live higher-priority node preempt the master after the grace period", async function () {
+      const { heart } = await loadFixture(preemptionFixture);
+      await time.increase(GRACE);
+      await heart.sendNodeHeartbeat(MAC_B);
+      expect(await heart.canPreempt(MAC_B)).to.equal(true);
+
+      const tx = await heart.electMaster(MAC_B);
+      const ts = await time.latest();
+      await expect(tx)
+        .to.emit(heart, "MasterPreempted")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, MAC_B, 1, ts);
+      await expect(tx)
+        .to.emit(heart, "MasterElected")
+        .withArgs(DEFAULT_CLUSTER, MAC_B, 2, ts);
+      expect(await heart.currentMasterMAC()).to.equal(MAC_B);
+      await expect(heart.sendHeartbeat(MAC_A))
+        .to.be.revertedWithCustomError(heart, "OnlyMasterCanHeartbeat");
+    });
+
+    it("should require the preempting node to be live", async function () {
+      const { heart } = await loadFixture(preemptionFixture);
+      await time.increase(GRACE);
+      expect(await heart.canPreempt(MAC_B)).to.equal(false);
+      await expect(heart.electMaster(MAC_B))
+        .to.be.revertedWithCustomError(heart, "MasterStillAlive");
+    });
+
+    it("should not let an equal or lower-priority node preempt", async function () {
+      const { heart } = await loadFixture(preemptionFixture);
+      await heart.setNodePriority(MAC_C, 1);
+      await time.increase(GRACE);
+      await heart.sendNodeHeartbeat(MAC_C);
+      await expect(heart.electMaster(MAC_C))
+        .to.be.revertedWithCustomError(heart, "MasterStillAlive");
+    });
+
+    it("should restart the grace period with each new master", async function () {
+      const { heart } = await loadFixture(preemptionFixture);
+      await heart.setNodePriority(MAC_C, 9);
+      await time.increase(GRACE);
+      await heart.sendNodeHeartbeat(MAC_B);
+      await heart.electMaster(MAC_B);
+
+      await heart.sendNodeHeartbeat(MAC_C);
+      await expect(heart.electMaster(MAC_C))
+        .to.be.revertedWithCustomError(heart, "MasterStillAlive");
+      await time.increase(GRACE);
+      await heart.sendHeartbeat(MAC_B);
+      await heart.sendNodeHeartbeat(MAC_C);
+      await expect(heart.electMaster(MAC_C))
+        .to.emit(heart, "MasterPreempted")
+        .withArgs(DEFAULT_CLUSTER, MAC_B, MAC_C, 2, anyValue);
+    });
+
+    it("should keep priorities and grace per cluster", async function () {
+      const { heart } = await loadFixture(preemptionFixture);
+      const API = ethers.encodeBytes32String("api");
+      await heart.createCluster(API, TIMEOUT);
+      await heart["registerNode(bytes32,string)"](API, MAC_B);
+      await expect(heart["setNodePriority(bytes32,string,uint256)"](API, MAC_B, 2))
+        .to.emit(heart, "NodePriorityUpdated")
+        .withArgs(API, MAC_B, 0, 2);
+      await expect(heart["setPreemptionGrace(bytes32,uint256)"](API, 60))
+        .to.emit(heart, "PreemptionGraceUpdated")
+        .withArgs(API, 0, 60);
+
+      expect(await heart["getNodePriority(bytes32,string)"](API, MAC_B)).to.equal(2);
+      expect(await heart["preemptionGrace(bytes32)"](API)).to.equal(60);
+      expect(await heart.getNodePriority(MAC_B)).to.equal(5);
+      expect(await heart.preemptionGrace()).to.equal(GRACE);
+      expect(await heart["canPreempt(bytes32,string)"](API, MAC_B)).to.equal(false);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Admin and shared key
+  // ---------------------------------------------------------------------------
+  describe("Admin and shared key", function () {
+    it("should default admin to the shared key address", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      expect(await heart.admin()).to.equal(shared.address);
+    });
+
+    it("should transfer admin and emit AdminTransferred", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployFixture);
+      await expect(heart.transferAdmin(stranger.address))
+        .to.emit(heart, "AdminTransferred")
+        .withArgs(shared.address, stranger.address);
+
+      await expect(heart.connect(stranger).setHeartbeatTimeout(7200))
+        .to.emit(heart, "HeartbeatTimeoutUpdated");
+      await expect(heart.setHeartbeatTimeout(7200))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+
+    it("should keep the shared key usable for node calls after admin transfer", async function () {
+      const { heart, stranger } = await loadFixture(deployFixture);
+      await heart.transferAdmin(stranger.address);
+      await expect(heart.electMaster(MAC_A))
+        .to.emit(heart, "MasterElected");
+    });
+
+    it("should reject transferring admin to the zero address", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await expect(heart.transferAdmin(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(heart, "ZeroAddress");
+    });
+
+    it("should rotate the shared key", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployFixture);
+      await expect(heart.setSharedKeyAddress(stranger.address))
+        .to.emit(heart, "SharedKeyUpdated")
+        .withArgs(shared.address, stranger.address);
+      await expect(heart.electMaster(MAC_A))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart.connect(stranger).electMaster(MAC_A))
+        .to.emit(heart, "MasterElected");
+    });
+
+    it("should disable shared-key mode when set to the zero address", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      const [, , keyA] = await ethers.getSigners();
+      await heart.setNodeSigner(MAC_A, keyA.address);
+      await heart.setSharedKeyAddress(ethers.ZeroAddress);
+
+      await expect(heart.electMaster(MAC_B))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart.connect(keyA).electMaster(MAC_A))
+        .to.emit(heart, "MasterElected");
+    });
+
+    it("should reject admin calls from non-admin address", async function () {
+      const { heart, stranger } = await loadFixture(deployFixture);
+      await expect(heart.connect(stranger).transferAdmin(stranger.address))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart.connect(stranger).setSharedKeyAddress(stranger.address))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Signed node calls (EIP-712)
+  // ---------------------------------------------------------------------------
+  describe("Signed node calls", function () {
+    const FIELDS = [
+      { name: "clusterId", type: "bytes32" },
+      { name: "mac", type: "string" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ];
+
+    async function signCall(heart, signer, type, mac, { nonce, deadline, clusterId = DEFAULT_CLUSTER } = {}) {
+      const domain = {
+        name: "ChainHeart",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await heart.getAddress(),
+      };
+      if (nonce === undefined) nonce = await heart.nonces(clusterId, mac);
+      if (deadline === undefined) deadline = (await time.latest()) + 600;
+      const signature = await signer.signTypedData(domain, { [type]: FIELDS }, { clusterId, mac, nonce, deadline });
+      return { deadline, signature };
+    }
+
+    it("should expose the EIP-712 domain separator", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      const expected = ethers.TypedDataEncoder.hashDomain({
+        name: "ChainHeart",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await heart.getAddress(),
+      });
+      expect(await heart.DOMAIN_SEPARATOR()).to.equal(expected);
+    });
+
+    it("should elect a master from a relayed signature", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployFixture);
+      const { deadline, signature } = await signCall(heart, shared, "ElectMaster", MAC_A);
+
+      const tx = await heart.connect(stranger).electWithSig(DEFAULT_CLUSTER, MAC_A, deadline, signature);
+      const ts = await time.latest();
+      await expect(tx)
+        .to.emit(heart, "MasterElected")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, 1, ts);
+      expect(await heart.currentMasterMAC()).to.equal(MAC_A);
+      expect(await heart.nonces(DEFAULT_CLUSTER, MAC_A)).to.equal(1);
+    });
+
+    it("should send a heartbeat from a relayed signature", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployWithMasterFixture);
+      await time.increase(100);
+      const { deadline, signature } = await signCall(heart, shared, "Heartbeat", MAC_A);
+
+      await expect(heart.connect(stranger).heartbeatWithSig(DEFAULT_CLUSTER, MAC_A, deadline, signature))
+        .to.emit(heart, "Heartbeat");
+      expect(await heart.getNodeHeartbeat(MAC_A)).to.equal(await time.latest());
+    });
+
+    it("should reject a replayed signature", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployWithMasterFixture);
+      const { deadline, signature } = await signCall(heart, shared, "Heartbeat", MAC_A);
+      await heart.connect(stranger).heartbeatWithSig(DEFAULT_CLUSTER, MAC_A, deadline, signature);
+
+      await expect(heart.connect(stranger).heartbeatWithSig(DEFAULT_CLUSTER, MAC_A, deadline, signature))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+
+    it("should reject an expired signature", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployFixture);
+      const deadline = (await time.latest()) + 10;
+      const { signature } = await signCall(heart, shared, "ElectMaster", MAC_A, { deadline });
+      await time.increase(20);
+
+      await expect(heart.connect(stranger).electWithSig(DEFAULT_CLUSTER, MAC_A, deadline, signature))
+        .to.be.revertedWithCustomError(heart, "ExpiredSignature");
+    });
+
+    it("should reject a signature from an unauthorized key", async function () {
+      const { heart, stranger } = await loadFixture(deployFixture);
+      const { deadline, signature } = await signCall(heart, stranger, "ElectMaster", MAC_A);
+
+      await expect(heart.connect(stranger).electWithSig(DEFAULT_CLUSTER, MAC_A, deadline, signature))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+
+    it("should reject a signature made for a different action", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployWithMasterFixture);
+      await time.increase(TIMEOUT + 1);
+      const { deadline, signature } = await signCall(heart, shared, "Heartbeat", MAC_B);
+
+      await expect(heart.connect(stranger).electWithSig(DEFAULT_CLUSTER, MAC_B, deadline, signature))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+
+    it("should reject malformed signatures", async function () {
+      const { heart, stranger } = await loadFixture(deployFixture);
+      const deadline = (await time.latest()) + 600;
+      await expect(heart.connect(stranger).electWithSig(DEFAULT_CLUSTER, MAC_A, deadline, "0x1234"))
+        .to.be.revertedWithCustomError(heart, "InvalidSignature");
+      await expect(heart.connect(stranger).electWithSig(DEFAULT_CLUSTER, MAC_A, deadline, "0x" + "00".repeat(65)))
+        .to.be.revertedWithCustomError(heart, "InvalidSignature");
+    });
+
+    it("should require the node's own key once a signer is bound", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployFixture);
+      const [, , keyA] = await ethers.getSigners();
+      await heart.setNodeSigner(MAC_A, keyA.address);
+
+      const byShared = await signCall(heart, shared, "ElectMaster", MAC_A);
+      await expect(heart.connect(stranger).electWithSig(DEFAULT_CLUSTER, MAC_A, byShared.deadline, byShared.signature))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+
+      const byNode = await signCall(heart, keyA, "ElectMaster", MAC_A);
+      await expect(heart.connect(stranger).electWithSig(DEFAULT_CLUSTER, MAC_A, byNode.deadline, byNode.signature))
+        .to.emit(heart, "MasterElected");
+    });
+
+    it("should not consume the nonce when the call reverts", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployWithMasterFixture);
+      const { deadline, signature } = await signCall(heart, shared, "ElectMaster", MAC_B);
+
+      await expect(heart.connect(stranger).electWithSig(DEFAULT_CLUSTER, MAC_B, deadline, signature))
+        .to.be.revertedWithCustomError(heart, "MasterStillAlive");
+      expect(await heart.nonces(DEFAULT_CLUSTER, MAC_B)).to.equal(0);
+
+      await time.increase(TIMEOUT + 1);
+      await expect(heart.connect(stranger).electWithSig(DEFAULT_CLUSTER, MAC_B, deadline + TIMEOUT, signature))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+
+    it("should resign from a relayed signature", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployWithMasterFixture);
+      const { deadline, signature } = await signCall(heart, shared, "Resign", MAC_A);
+
+      await expect(heart.connect(stranger).resignWithSig(DEFAULT_CLUSTER, MAC_A, deadline, signature))
+        .to.emit(heart, "MasterResigned")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, "", 1, anyValue);
+      expect(await heart.currentMasterMAC()).to.equal("");
+      expect(await heart.nonces(DEFAULT_CLUSTER, MAC_A)).to.equal(1);
+    });
+
+    it("should record a node heartbeat from a relayed signature", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployWithMasterFixture);
+      const { deadline, signature } = await signCall(heart, shared, "NodeHeartbeat", MAC_B);
+
+      // A Heartbeat-typed signature is not accepted as a NodeHeartbeat.
+      const wrongType = await signCall(heart, shared, "Heartbeat", MAC_B);
+      await expect(heart.connect(stranger).nodeHeartbeatWithSig(DEFAULT_CLUSTER, MAC_B, wrongType.deadline, wrongType.signature))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+
+      await expect(heart.connect(stranger).nodeHeartbeatWithSig(DEFAULT_CLUSTER, MAC_B, deadline, signature))
+        .to.emit(heart, "NodeHeartbeat")
+        .withArgs(DEFAULT_CLUSTER, MAC_B, anyValue);
+      expect(await heart.getNodeHeartbeat(MAC_B)).to.equal(await time.latest());
+      expect(await heart.nonces(DEFAULT_CLUSTER, MAC_B)).to.equal(1);
+    });
+
+    it("should hand over from a relayed signature that names the successor", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployWithMasterFixture);
+      const domain = {
+        name: "ChainHeart",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await heart.getAddress(),
+      };
+      const types = {
+        Handover: [
+          { name: "clusterId", type: "bytes32" },
+          { name: "fromMac", type: "string" },
+          { name: "toMac", type: "string" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const deadline = (await time.latest()) + 600;
+      const signature = await shared.signTypedData(domain, types, { clusterId: DEFAULT_CLUSTER, fromMac: MAC_A, toMac: MAC_B, nonce: 0, deadline });
+
+      await expect(heart.connect(stranger).handoverWithSig(DEFAULT_CLUSTER, MAC_A, MAC_C, deadline, signature))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart.connect(stranger).handoverWithSig(DEFAULT_CLUSTER, MAC_A, MAC_B, deadline, signature))
+        .to.emit(heart, "MasterElected")
+        .withArgs(DEFAULT_CLUSTER, MAC_B, 2, anyValue);
+      expect(await heart.nonces(DEFAULT_CLUSTER, MAC_A)).to.equal(1);
+    });
+
+    it("should keep nonces and signatures per cluster", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployFixture);
+      const API = ethers.encodeBytes32String("api");
+      await heart.createCluster(API, 600);
+      await heart["registerNode(bytes32,string)"](API, MAC_A);
+
+      const forDefault = await signCall(heart, shared, "ElectMaster", MAC_A);
+      await expect(heart.connect(stranger).electWithSig(API, MAC_A, forDefault.deadline, forDefault.signature))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+
+      const forApi = await signCall(heart, shared, "ElectMaster", MAC_A, { clusterId: API });
+      await expect(heart.connect(stranger).electWithSig(API, MAC_A, forApi.deadline, forApi.signature))
+        .to.emit(heart, "MasterElected");
+      expect(await heart.nonces(API, MAC_A)).to.equal(1);
+      expect(await heart.nonces(DEFAULT_CLUSTER, MAC_A)).to.equal(0);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Clusters
+  // ---------------------------------------------------------------------------
+  describe("Clusters", function () {
+    const API = ethers.encodeBytes32String("api");
+    const WORKER = ethers.encodeBytes32String("worker");
+
+    async function clustersFixture() {
+      const { heart, shared, stranger } = await deployFixture();
+      await heart.createCluster(API, 600);
+      await heart.createCluster(WORKER, 60);
+      for (const mac of [MAC_A, MAC_B]) {
+        await heart["registerNode(bytes32,string)"](API, mac);
+        await heart["registerNode(bytes32,string)"](WORKER, mac);
+      }
+      return { heart, shared, stranger };
+    }
+
+    it("should create the default cluster in the constructor", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      expect(await heart.DEFAULT_CLUSTER()).to.equal(DEFAULT_CLUSTER);
+      expect(await heart.clusterExists(DEFAULT_CLUSTER)).to.equal(true);
+      expect(await heart.listClusters()).to.deep.equal([DEFAULT_CLUSTER]);
+      expect(await heart["heartbeatTimeout(bytes32)"](DEFAULT_CLUSTER)).to.equal(TIMEOUT);
+    });
+
+    it("should create a cluster and emit ClusterCreated", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await expect(heart.createCluster(API, 600))
+        .to.emit(heart, "ClusterCreated")
+        .withArgs(API, 600);
+      expect(await heart.clusterExists(API)).to.equal(true);
+      expect(await heart["heartbeatTimeout(bytes32)"](API)).to.equal(600);
+      expect(await heart.listClusters()).to.deep.equal([DEFAULT_CLUSTER, API]);
+      expect(await heart["getState(bytes32)"](API)).to.equal(STATE_IDLE);
+    });
+
+    it("should reject creating an existing cluster or a zero timeout", async function () {
+      const { heart } = await loadFixture(clustersFixture);
+      await expect(heart.createCluster(API, 600))
+        .to.be.revertedWithCustomError(heart, "ClusterAlreadyExists");
+      await expect(heart.createCluster(DEFAULT_CLUSTER, 600))
+        .to.be.revertedWithCustomError(heart, "ClusterAlreadyExists");
+      await expect(heart.createCluster(ethers.encodeBytes32String("new"), 0))
+        .to.be.revertedWithCustomError(heart, "InvalidTimeout");
+    });
+
+    it("should reject cluster creation from non-admin address", async function () {
+      const { heart, stranger } = await loadFixture(deployFixture);
+      await expect(heart.connect(stranger).createCluster(API, 600))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+
+    it("should revert operations on an unknown cluster", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await expect(heart["registerNode(bytes32,string)"](API, MAC_A))
+        .to.be.revertedWithCustomError(heart, "ClusterNotFound");
+      await expect(heart["electMaster(bytes32,string)"](API, MAC_A))
+        .to.be.revertedWithCustomError(heart, "ClusterNotFound");
+      await expect(heart["setHeartbeatTimeout(bytes32,uint256)"](API, 60))
+        .to.be.revertedWithCustomError(heart, "ClusterNotFound");
+    });
+
+    it("should run independent elections per cluster", async function () {
+      const { heart } = await loadFixture(clustersFixture);
+      await heart["electMaster(bytes32,string)"](API, MAC_A);
+      await heart["electMaster(bytes32,string)"](WORKER, MAC_B);
+
+      const [apiMaster, , apiAlive, apiEpoch] = await heart["getCurrentMaster(bytes32)"](API);
+      const [workerMaster, , workerAlive, workerEpoch] = await heart["getCurrentMaster(bytes32)"](WORKER);
+      expect(apiMaster).to.equal(MAC_A);
+      expect(apiAlive).to.equal(true);
+      expect(apiEpoch).to.equal(1);
+      expect(workerMaster).to.equal(MAC_B);
+      expect(workerAlive).to.equal(true);
+      expect(workerEpoch).to.equal(1);
+
+      expect(await heart.getState()).to.equal(STATE_IDLE);
+    });
+
+    it("should time out each cluster with its own heartbeatTimeout", async function () {
+      const { heart } = await loadFixture(clustersFixture);
+      await heart["electMaster(bytes32,string)"](API, MAC_A);
+      await heart["electMaster(bytes32,string)"](WORKER, MAC_A);
+
+      await time.increase(61);
+      expect(await heart["getState(bytes32)"](WORKER)).to.equal(STATE_ELECTION);
+      expect(await heart["getState(bytes32)"](API)).to.equal(STATE_RUNNING);
+
+      const tx = await heart["electMaster(bytes32,string)"](WORKER, MAC_B);
+      const ts = await time.latest();
+      await expect(tx)
+        .to.emit(heart, "MasterElected")
+        .withArgs(WORKER, MAC_B, 2, ts);
+      await expect(heart["electMaster(bytes32,string)"](API, MAC_B))
+        .to.be.revertedWithCustomError(heart, "MasterStillAlive");
+    });
+
+    it("should keep heartbeats separate per cluster", async function () {
+      const { heart } = await loadFixture(clustersFixture);
+      await heart["electMaster(bytes32,string)"](API, MAC_A);
+      await expect(heart["sendHeartbeat(bytes32,string)"](API, MAC_A))
+        .to.emit(heart, "Heartbeat");
+      const ts = await time.latest();
+
+      expect(await heart["getNodeHeartbeat(bytes32,string)"](API, MAC_A)).to.equal(ts);
+      expect(await heart["getNodeHeartbeat(bytes32,string)"](WORKER, MAC_A)).to.equal(0);
+      expect(await heart.getNodeHeartbeat(MAC_A)).to.equal(0);
+      await expect(heart.sendHeartbeat(MAC_A))
+        .to.be.revertedWithCustomError(heart, "NoMasterElected");
+    });
+
+    it("should keep membership separate per cluster", async function () {
+      const { heart } = await loadFixture(clustersFixture);
+      expect(await heart["listNodes(bytes32)"](API)).to.deep.equal([MAC_A, MAC_B]);
+      expect(await heart["isNodeRegistered(bytes32,string)"](API, MAC_C)).to.equal(false);
+      expect(await heart.isNodeRegistered(MAC_C)).to.equal(true);
+      await expect(heart["electMaster(bytes32,string)"](API, MAC_C))
+        .to.be.revertedWithCustomError(heart, "NodeNotRegistered");
+
+      await heart["removeNode(bytes32,string)"](API, MAC_A);
+      expect(await heart["isNodeRegistered(bytes32,string)"](API, MAC_A)).to.equal(false);
+      expect(await heart["isNodeRegistered(bytes32,string)"](WORKER, MAC_A)).to.equal(true);
+    });
+
+    it("should keep signers separate per cluster", async function () {
+      const { heart } = await loadFixture(clustersFixture);
+      const [, , keyA] = await ethers.getSigners();
+      await heart["setNodeSigner(bytes32,string,address)"](API, MAC_A, keyA.address);
+
+      expect(await heart["getNodeSigner(bytes32,string)"](API, MAC_A)).to.equal(keyA.address);
+      expect(await heart["getNodeSigner(bytes32,string)"](WORKER, MAC_A)).to.equal(ethers.ZeroAddress);
+      await expect(heart["electMaster(bytes32,string)"](API, MAC_A))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart.connect(keyA)["electMaster(bytes32,string)"](API, MAC_A))
+        .to.emit(heart, "MasterElected");
+      await expect(heart["electMaster(bytes32,string)"](WORKER, MAC_A))
+        .to.emit(heart, "MasterElected");
+    });
+
+    it("should support resign, handover and timeout updates per cluster", async function () {
+      const { heart } = await loadFixture(clustersFixture);
+      await heart["electMaster(bytes32,string)"](API, MAC_A);
+      await expect(heart["handover(bytes32,string,string)"](API, MAC_A, MAC_B))
+        .to.emit(heart, "MasterResigned");
+      await expect(heart["resign(bytes32,string)"](API, MAC_B))
+        .to.emit(heart, "MasterResigned");
+      expect(await heart["getState(bytes32)"](API)).to.equal(STATE_IDLE);
+      expect(await heart["epoch(bytes32)"](API)).to.equal(2);
+
+      await expect(heart["setHeartbeatTimeout(bytes32,uint256)"](API, 1200))
+        .to.emit(heart, "HeartbeatTimeoutUpdated")
+        .withArgs(API, 600, 1200);
+      expect(await heart.heartbeatTimeout()).to.equal(TIMEOUT);
+    });
+  });
+
   // ---------------------------------------------------------------------------
   // isAlive
   // ---------------------------------------------------------------------------
@@ -404,6 +1488,77 @@ describe("ChainHeart", function () {
     });
   });
 
+  // ---------------------------------------------------------------------------
+  // Election epoch (fencing token)
+  // ---------------------------------------------------------------------------
+  describe("Election epoch", function () {
+    it("should start at epoch 0 with no master", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      expect(await heart.epoch()).to.equal(0);
+      const [, , , epoch] = await heart.getCurrentMaster();
+      expect(epoch).to.equal(0);
+    });
+
+    it("should start at epoch 1 with an initial master", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      expect(await heart.epoch()).to.equal(1);
+    });
+
+    it("should increment epoch on every successful election", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_A);
+      expect(await heart.epoch()).to.equal(1);
+
+      await time.increase(TIMEOUT + 1);
+      await heart.electMaster(MAC_B);
+      expect(await heart.epoch()).to.equal(2);
+
+      await time.increase(TIMEOUT + 1);
+      await heart.electMaster(MAC_B);
+      expect(await heart.epoch()).to.equal(3);
+    });
+
+    it("should not change epoch on heartbeat or failed election", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_A);
+      await heart.sendHeartbeat(MAC_A);
+      await expect(heart.electMaster(MAC_B))
+        .to.be.revertedWithCustomError(heart, "MasterStillAlive");
+      expect(await heart.epoch()).to.equal(1);
+    });
+
+    it("should include epoch in MasterElected event", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_A);
+      await time.increase(TIMEOUT + 1);
+      const tx = await heart.electMaster(MAC_B);
+      const ts = await time.latest();
+      await expect(tx)
+        .to.emit(heart, "MasterElected")
+        .withArgs(DEFAULT_CLUSTER, MAC_B, 2, ts);
+    });
+
+    it("should include epoch in Heartbeat event", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      const tx = await heart.sendHeartbeat(MAC_A);
+      const receipt = await tx.wait();
+      const ts = await time.latest();
+      await expect(tx)
+        .to.emit(heart, "Heartbeat")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, 1, ts, receipt.blockNumber);
+    });
+
+    it("should return epoch from getCurrentMaster after failover", async function () {
+      const { heart } = await loadFixture(deployWithMasterFixture);
+      await time.increase(TIMEOUT + 1);
+      await heart.electMaster(MAC_B);
+      const [mac, , alive, epoch] = await heart.getCurrentMaster();
+      expect(mac).to.equal(MAC_B);
+      expect(alive).to.equal(true);
+      expect(epoch).to.equal(2);
+    });
+  });
+
   // ---------------------------------------------------------------------------
   // setHeartbeatTimeout
   // ---------------------------------------------------------------------------
@@ -418,7 +1573,7 @@ describe("ChainHeart", function () {
       const { heart } = await loadFixture(deployFixture);
       await expect(heart.setHeartbeatTimeout(7200))
         .to.emit(heart, "HeartbeatTimeoutUpdated")
-        .withArgs(TIMEOUT, 7200);
+        .withArgs(DEFAULT_CLUSTER, TIMEOUT, 7200);
     });
 
     it("should revert if timeout is zero", async function () {
@@ -471,6 +1626,14 @@ describe("ChainHeart", function () {
         .to.be.revertedWithCustomError(heart, "Unauthorized");
     });
 
+    it("should reject resign and handover from unauthorized address", async function () {
+      const { heart, stranger } = await loadFixture(deployWithMasterFixture);
+      await expect(heart.connect(stranger).resign(MAC_A))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+      await expect(heart.connect(stranger).handover(MAC_A, MAC_B))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+
     it("should reject setHeartbeatTimeout from unauthorized address", async function () {
       const { heart, stranger } = await loadFixture(deployFixture);
       await expect(heart.connect(stranger).setHeartbeatTimeout(100))
@@ -608,15 +1771,14 @@ describe("ChainHeart", function () {
     it("should handle very long MAC address strings", async function () {
       const { heart } = await loadFixture(deployFixture);
       const longMAC = "AA:BB:CC:DD:EE:FF:00:11:22:33:44:55:66:77:88:99";
+      await heart.registerNode(longMAC);
       await heart.electMaster(longMAC);
       const [mac] = await heart.getCurrentMaster();
       expect(mac).to.equal(longMAC);
     });
 
     it("should handle heartbeat timeout of 1 second", async function () {
-      const [shared] = await ethers.getSigners();
-      const ChainHeart = await ethers.getContractFactory("ChainHeart");
-      const heart = await ChainHeart.deploy(1, shared.address, "");
+      const heart = await deployRegistered(1);
 
       await heart.electMaster(MAC_A);
       expect(await heart.isAlive()).to.equal(true);
@@ -626,9 +1788,7 @@ describe("ChainHeart", function () {
     });
 
     it("should handle rapid sequential elections after timeouts", async function () {
-      const [shared] = await ethers.getSigners();
-      const ChainHeart = await ethers.getContractFactory("ChainHeart");
-      const heart = await ChainHeart.deploy(5, shared.address, "");
+      const heart = await deployRegistered(5);
 
       await heart.electMaster(MAC_A);
       await time.increase(6);
@@ -666,9 +1826,7 @@ describe("ChainHeart", function () {
     });
 
     it("should correctly track state through multiple full cycles", async function () {
-      const [shared] = await ethers.getSigners();
-      const ChainHeart = await ethers.getContractFactory("ChainHeart");
-      const heart = await ChainHeart.deploy(10, shared.address, "");
+      const heart = await deployRegistered(10);
 
       expect(await heart.getState()).to.equal(STATE_IDLE);
 
@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { ChainHeartNode } = require("../client/node");
+const { BalanceMonitor } = require("../client/balance");
+
+describe("BalanceMonitor", function () {
+  const MAC_A = "AA:BB:CC:DD:EE:01";
+  const CHECK_INTERVAL = 30 * 1000;
+
+  async function deployFixture() {
+    const [shared] = await ethers.getSigners();
+    const ChainHeart = await ethers.getContractFactory("ChainHeart");
+    const heart = await ChainHeart.deploy(3600, shared.address, "");
+    await heart.registerNode(MAC_A);
+    return { heart, shared };
+  }
+
+  const nodes = [];
+  const monitors = [];
+  afterEach(async function () {
+    while (monitors.length > 0) monitors.pop().stop();
+    while (nodes.length > 0) await nodes.pop().stop({ resign: false });
+  });
+
+  async function createMonitor(heart, wallet, options = {}) {
+    const node = new ChainHeartNode({ contractAddress: await heart.getAddress(), wallet, mac: MAC_A, checkInterval: CHECK_INTERVAL });
+    nodes.push(node);
+    const lines = [];
+    const monitor = new BalanceMonitor(node, { warnHeartbeats: 1000, criticalHeartbeats: 100, ...options, log: (level, msg) => lines.push(`[${level}] ${msg}`) });
+    monitors.push(monitor);
+    const events = [];
+    monitor.on("low", (info) => events.push({ name: "low", ...info }));
+    monitor.on("recovered", (info) => events.push({ name: "recovered", ...info }));
+    return { node, monitor, lines, events };
+  }
+
+  /** Give `address` enough for exactly `heartbeats` heartbeats at the node's current fees. */
+  async function fund(node, address, heartbeats, gas = 60000n) {
+    const fees = await node.txManager.getFees();
+    const balance = BigInt(heartbeats) * gas * (fees.maxFeePerGas ?? fees.gasPrice);
+    await ethers.provider.send("hardhat_setBalance", [address, ethers.toQuantity(balance)]);
+  }
+
+  it("should estimate how many heartbeats the wallet can pay for", async function () {
+    const { heart } = await loadFixture(deployFixture);
+    const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    const { node, monitor, events } = await createMonitor(heart, wallet);
+    await fund(node, wallet.address, 1500);
+
+    const estimate = await monitor.check();
+
+    expect(estimate.address).to.equal(wallet.address);
+    expect(estimate.heartbeatsLeft).to.equal(1500);
+    expect(estimate.secondsLeft).to.equal(1500 * 30);
+    expect(estimate.costPerHeartbeat).to.equal(60000n * estimate.gasPrice);
+    expect(monitor.level).to.equal("ok");
+    expect(events).to.deep.equal([]);
+  });
+
+  it("should emit low once per worse level and recovered after a top-up", async function () {
+    const { heart } = await loadFixture(deployFixture);
+    const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    const { node, monitor, events, lines } = await createMonitor(heart, wallet);
+
+    await fund(node, wallet.address, 500);
+    await monitor.check();
+    await monitor.check();
+    await fund(node, wallet.address, 50);
+    await monitor.check();
+    await fund(node, wallet.address, 0);
+    await monitor.check();
+    await fund(node, wallet.address, 5000);
+    await monitor.check();
+
+    expect(events.map((e) => [e.name, e.level ?? e.previous])).to.deep.equal([
+      ["low", "warn"],
+      ["low", "critical"],
+      ["low", "empty"],
+      ["recovered", "empty"],
+    ]);
+    expect(events[0]).to.include({ previous: "ok", heartbeatsLeft: 500 });
+    expect(lines.some((line) => line.startsWith(`[WARN] Wallet ${wallet.address} balance is warn:`))).to.equal(true);
+    expect(lines.some((line) => line.startsWith(`[ERROR] Wallet ${wallet.address} cannot pay for a heartbeat`))).to.equal(true);
+  });
+
+  it("should price heartbeats at the gas the last one used", async function () {
+    const { heart, shared } = await loadFixture(deployFixture);
+    const { node, monitor } = await createMonitor(heart, shared);
+    await node.start();
+    await node.tick();
+
+    const estimate = await monitor.check();
+
+    const receipt = await ethers.provider.getTransactionReceipt(node.getStatus().lastTx.hash);
+    expect(estimate.costPerHeartbeat).to.equal(receipt.gasUsed * estimate.gasPrice);
+  });
+
+  it("should re-check as soon as a tx fails", async function () {
+    const { heart, shared } = await loadFixture(deployFixture);
+    const { node, monitor, events } = await createMonitor(heart, shared, { interval: 3600 * 1000 });
+    await monitor.start();
+    expect(events).to.deep.equal([]);
+
+    await ethers.provider.send("hardhat_setBalance", [shared.address, "0x0"]);
+    await node.start().catch(() => {});
+
+    const until = Date.now() + 5000;
+    while (events.length === 0 && Date.now() < until) await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(events[0]).to.include({ name: "low", level: "empty", heartbeatsLeft: 0 });
+  });
+
+  it("should reject a critical threshold above the warning one", async function () {
+    const { heart, shared } = await loadFixture(deployFixture);
+    try {
+      await createMonitor(heart, shared, { warnHeartbeats: 10, criticalHeartbeats: 20 });
+      expect.fail("should have thrown");
+    } catch (err) {
+      expect(err.message).to.include("criticalHeartbeats must not exceed warnHeartbeats");
+    }
+  });
+});
@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+
+const BaseProvider = require("../client/providers/base");
+const TencentLighthouseProvider = require("../client/providers/tencent-lighthouse");
+const BaseChannel = require("../client/notifiers/base");
+const { notifier } = require("../client/notifiers");
+const { onElectedMaster, onDemoted, onMasterChanged, onLowBalance } = require("../client");
+
+class StubProvider extends BaseProvider {
+  constructor({ failDestroy = false } = {}) {
+    super();
+    this.name = "stub";
+    this.failDestroy = failDestroy;
+    this.created = [];
+    this.destroyed = [];
+  }
+
+  async createServer() {
+    const server = { instanceId: `i-${this.created.length + 1}` };
+    this.created.push(server.instanceId);
+    return server;
+  }
+
+  async destroyServer(instanceId) {
+    if (this.failDestroy) throw new Error("boom");
+    this.destroyed.push(instanceId);
+  }
+}
+
+class RecordingChannel extends BaseChannel {
+  constructor() {
+    super();
+    this.name = "recording";
+    this.alerts = [];
+  }
+
+  async send(alert) {
+    this.alerts.push(alert);
+  }
+}
+
+describe("Client hooks", function () {
+  const MAC_A = "AA:BB:CC:DD:EE:01";
+  const MAC_B = "AA:BB:CC:DD:EE:02";
+
+  // The hooks log to stdout; keep test output readable.
+  let originalLog;
+  beforeEach(function () {
+    originalLog = console.log;
+    console.log = () => {};
+  });
+  afterEach(function () {
+    console.log = originalLog;
+  });
+
+  /** Point the shared notifier at a recording channel for one test. */
+  function recordAlerts() {
+    const channel = new RecordingChannel();
+    notifier.configure({ channels: [channel], mac: MAC_A });
+    return channel;
+  }
+  afterEach(function () {
+    notifier.configure();
+  });
+
+  // ---------------------------------------------------------------------------
+  // onElectedMaster
+  // ---------------------------------------------------------------------------
+  describe("onElectedMaster", function () {
+    it("should return the provisioned server", async function () {
+      const provider = new StubProvider();
+      expect(await onElectedMaster(MAC_A, provider, 1n)).to.deep.equal({ instanceId: "i-1" });
+    });
+
+    it("should return null without a cloud provider", async function () {
+      expect(await onElectedMaster(MAC_A, null, 1n)).to.equal(null);
+    });
+
+    it("should alert on provisioning success and failure", async function () {
+      const channel = recordAlerts();
+      const failing = new StubProvider();
+      failing.createServer = async () => {
+        throw new Error("quota exceeded");
+      };
+
+      await onElectedMaster(MAC_A, new StubProvider(), 1n);
+      await onElectedMaster(MAC_A, failing, 2n);
+      await notifier.flush();
+
+      expect(channel.alerts.map((a) => [a.event, a.severity])).to.deep.equal([
+        ["provision.succeeded", "info"],
+        ["provision.failed", "critical"],
+      ]);
+      expect(channel.alerts[0].data).to.deep.equal({ provider: "stub", epoch: 1n, server: { instanceId: "i-1" } });
+      expect(channel.alerts[1].text).to.include("quota exceeded");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // onDemoted
+  // ---------------------------------------------------------------------------
+  describe("onDemoted", function () {
+    const server = { instanceId: "i-1" };
+
+    it("should destroy the provisioned server when enabled", async function () {
+      const provider = new StubProvider();
+      const destroyed = await onDemoted(MAC_A, provider, { epoch: 2n, master: MAC_B, reason: "replaced", server, destroyServer: true });
+      expect(destroyed).to.equal(true);
+      expect(provider.destroyed).to.deep.equal(["i-1"]);
+    });
+
+    it("should keep the server when teardown is disabled", async function () {
+      const provider = new StubProvider();
+      const destroyed = await onDemoted(MAC_A, provider, { epoch: 2n, master: MAC_B, reason: "replaced", server });
+      expect(destroyed).to.equal(false);
+      expect(provider.destroyed).to.deep.equal([]);
+    });
+
+    it("should do nothing when no server was provisioned", async function () {
+      const provider = new StubProvider();
+      expect(await onDemoted(MAC_A, provider, { reason: "timeout", destroyServer: true })).to.equal(false);
+      expect(await onDemoted(MAC_A, null, { reason: "timeout", server, destroyServer: true })).to.equal(false);
+    });
+
+    it("should destroy a server provisioned by a real provider", async function () {
+      // The real class around a stubbed Lighthouse client (the constructor
+      // loads the SDK), so the hook sees createServer()'s actual return shape.
+      const provider = Object.create(TencentLighthouseProvider.prototype);
+      Object.assign(provider, { name: "tencent-lighthouse", config: { bundleId: "b", blueprintId: "bp", log: () => {} }, purchaseMonths: 1 });
+      const terminated = [];
+      provider.client = {
+        CreateInstances: async () => ({ InstanceIdSet: ["lhins-1"], RequestId: "req-1" }),
+        TerminateInstances: async ({ InstanceIds }) => {
+          terminated.push(...InstanceIds);
+          return { RequestId: "req-2" };
+        },
+      };
+      provider._waitForRunning = async () => {};
+
+      const created = await onElectedMaster(MAC_A, provider, 1n);
+      const destroyed = await onDemoted(MAC_A, provider, { reason: "replaced", server: created, destroyServer: true });
+      expect(destroyed).to.equal(true);
+      expect(terminated).to.deep.equal(["lhins-1"]);
+    });
+
+    it("should swallow teardown failures", async function () {
+      const provider = new StubProvider({ failDestroy: true });
+      const destroyed = await onDemoted(MAC_A, provider, { reason: "resigned", server, destroyServer: true });
+      expect(destroyed).to.equal(false);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // onMasterChanged
+  // ---------------------------------------------------------------------------
+  describe("onMasterChanged", function () {
+    it("should accept a resigned master with no successor", async function () {
+      const lines = [];
+      console.log = (line) => lines.push(line);
+      await onMasterChanged("", MAC_A, 3n);
+      expect(lines[0]).to.include(`${MAC_A} -> (none)`);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // onLowBalance
+  // ---------------------------------------------------------------------------
+  describe("onLowBalance", function () {
+    it("should report the level, balance and time left", async function () {
+      const lines = [];
+      console.log = (line) => lines.push(line);
+      await onLowBalance(MAC_A, { level: "critical", address: "0x01", balance: 10n ** 15n, heartbeatsLeft: 42, secondsLeft: 42 * 300 });
+      expect(lines[0]).to.include("level: critical | wallet: 0x01 | balance: 0.001 | heartbeats left: 42 (3.5h)");
+    });
+
+    it("should send a balance.low alert with the level as severity", async function () {
+      const channel = recordAlerts();
+      await onLowBalance(MAC_A, { level: "warn", address: "0x01", balance: 10n ** 16n, heartbeatsLeft: 420, secondsLeft: 420 * 300 });
+      await onLowBalance(MAC_A, { level: "empty", address: "0x01", balance: 0n, heartbeatsLeft: 0, secondsLeft: 0 });
+      await notifier.flush();
+
+      expect(channel.alerts.map((a) => [a.event, a.severity])).to.deep.equal([
+        ["balance.low", "warning"],
+        ["balance.low", "critical"],
+      ]);
+      expect(channel.alerts[0].data).to.deep.equal({ level: "warn", address: "0x01", balance: "0.01", heartbeatsLeft: 420 });
+      expect(channel.alerts[1].title).to.equal("Wallet 0x01 cannot pay for a heartbeat");
+    });
+  });
+});
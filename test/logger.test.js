@@ -0,0 +1,184 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+
+const { createLogger, loggerOptions, fileSink } = require("../client/logger");
+const BaseProvider = require("../client/providers/base");
+
+describe("Logger", function () {
+  // Hardhat account #0
+  const PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+  function capture(options = {}) {
+    const records = [];
+    const lines = [];
+    const log = createLogger({
+      ...options,
+      sinks: [(line, record) => {
+        lines.push(line);
+        records.push(record);
+      }],
+    });
+    return { log, records, lines };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Records
+  // ---------------------------------------------------------------------------
+  describe("records", function () {
+    it("should write one JSON object per line with context and fields", function () {
+      const { log, lines } = capture({ context: { mac: "AA:BB:CC:DD:EE:01" } });
+
+      log.child({ state: "Running" })("INFO", "heartbeat tx sent", { txHash: "0xabc", nonce: 7n });
+
+      const record = JSON.parse(lines[0]);
+      expect(record).to.include({ level: "INFO", msg: "heartbeat tx sent", mac: "AA:BB:CC:DD:EE:01", state: "Running", txHash: "0xabc", nonce: "7" });
+      expect(new Date(record.time).toISOString()).to.equal(record.time);
+    });
+
+    it("should drop records below the configured level", function () {
+      const { log, records } = capture({ level: "warn" });
+
+      log("DEBUG", "noise");
+      log("INFO", "progress");
+      log("HOOK", "hook ran");
+      log("WARN", "careful");
+      log("ERROR", "broken");
+
+      expect(records.map((r) => r.level)).to.deep.equal(["WARN", "ERROR"]);
+    });
+
+    it("should format text lines with key=value fields", function () {
+      const { log, lines } = capture({ format: "text" });
+
+      log("WARN", "Instance not found", { provider: "aws", requestId: "req 1", instance: { id: "i-1" } });
+
+      expect(lines[0]).to.match(/^\[\S+Z\] \[WARN\] Instance not found provider=aws requestId="req 1" instance="\{\\"id\\":\\"i-1\\"\}"$/);
+    });
+
+    it("should leave out empty fields, keep its own keys and serialize errors", function () {
+      const { log, records } = capture();
+
+      log("ERROR", "failed", { requestId: undefined, master: null, level: "warn", error: Object.assign(new Error("boom"), { code: "E1" }) });
+
+      expect(records[0]).to.not.have.any.keys("requestId", "master");
+      expect(records[0].level).to.equal("ERROR");
+      expect(records[0].error).to.deep.equal({ message: "boom", code: "E1" });
+    });
+
+    it("should reject an unknown level or format", function () {
+      expect(() => createLogger({ level: "verbose" })).to.throw('unknown level "verbose"');
+      expect(() => createLogger({ format: "xml" })).to.throw('unknown format "xml"');
+    });
+
+    it("should apply configure() to loggers already handed out", function () {
+      const { log, records } = capture();
+      const child = log.child({ provider: "aws" });
+
+      log.configure({ level: "ERROR", sinks: [(_line, record) => records.push(record)] });
+      child("INFO", "hidden");
+      child("ERROR", "shown");
+
+      expect(records.map((r) => r.msg)).to.deep.equal(["shown"]);
+      expect(records[0].provider).to.equal("aws");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Redaction
+  // ---------------------------------------------------------------------------
+  describe("redaction", function () {
+    it("should redact secret values with and without the 0x prefix", function () {
+      const { secrets } = loggerOptions({ PRIVATE_KEY, TENCENT_SECRET_KEY: "tencent-secret-value" });
+      const { log, lines } = capture({ secrets });
+
+      log("ERROR", `bad key ${PRIVATE_KEY}`, { raw: PRIVATE_KEY.slice(2), detail: "auth tencent-secret-value failed" });
+
+      const output = lines.join("\n");
+      expect(output).to.not.include(PRIVATE_KEY.slice(2));
+      expect(output).to.not.include("tencent-secret-value");
+      expect(JSON.parse(lines[0])).to.include({ msg: "bad key [REDACTED]", raw: "[REDACTED]", detail: "auth [REDACTED] failed" });
+    });
+
+    it("should redact fields with secret-looking names", function () {
+      const { log, records } = capture();
+
+      log("INFO", "config", { config: { region: "ap-guangzhou", secretKey: "abc", accessKeySecret: "def", token: "ghi" } });
+
+      expect(records[0].config).to.deep.equal({ region: "ap-guangzhou", secretKey: "[REDACTED]", accessKeySecret: "[REDACTED]", token: "[REDACTED]" });
+    });
+
+    it("should not break when a secret matches part of a number or key", function () {
+      const { log, lines, records } = capture({ secrets: ["20240101"] });
+
+      log("INFO", "tick 20240101", { timestamp: 1720240101999, by20240101: "x" });
+
+      expect(records[0]).to.include({ msg: "tick [REDACTED]", timestamp: 1720240101999, "by[REDACTED]": "x" });
+      expect(JSON.parse(lines[0])).to.deep.equal(records[0]);
+    });
+
+    it("should never throw on fields it cannot serialize", function () {
+      const { log, lines } = capture();
+      const circular = {};
+      circular.self = circular;
+
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        log("INFO", "loop", { circular });
+      } finally {
+        console.error = originalError;
+      }
+      expect(lines).to.deep.equal([]);
+    });
+
+    it("should tag provider logs with the provider name", function () {
+      class StubProvider extends BaseProvider {}
+      const { log, records } = capture();
+      const provider = new StubProvider({ log, secretKey: "abc" });
+      provider.name = "stub";
+
+      provider.log("INFO", "Instance i-1 terminated", { requestId: "req-1" });
+
+      expect(records[0]).to.include({ provider: "stub", requestId: "req-1", msg: "Instance i-1 terminated" });
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // File sink
+  // ---------------------------------------------------------------------------
+  describe("fileSink", function () {
+    let dir;
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "chainheart-log-"));
+    });
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should rotate the file once it reaches maxSize, keeping maxFiles old files", function () {
+      const file = path.join(dir, "node.log");
+      const sink = fileSink(file, { maxSize: 20, maxFiles: 2 });
+
+      for (const line of ["line-1 ....", "line-2 ....", "line-3 ....", "line-4 ...."]) sink(line);
+
+      expect(fs.readFileSync(file, "utf8")).to.equal("line-4 ....\n");
+      expect(fs.readFileSync(`${file}.1`, "utf8")).to.equal("line-3 ....\n");
+      expect(fs.readFileSync(`${file}.2`, "utf8")).to.equal("line-2 ....\n");
+      expect(fs.existsSync(`${file}.3`)).to.equal(false);
+    });
+
+    it("should be enabled by LOG_FILE", function () {
+      const file = path.join(dir, "node.log");
+      const options = loggerOptions({ LOG_FILE: file, LOG_LEVEL: "debug" });
+      expect(options.sinks).to.have.length(2);
+      // File sink only, to keep the test output clean
+      const log = createLogger({ ...options, sinks: options.sinks.slice(1) });
+
+      log("DEBUG", "to file");
+
+      expect(JSON.parse(fs.readFileSync(file, "utf8"))).to.include({ level: "DEBUG", msg: "to file" });
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { ChainHeartNode } = require("../client/node");
+const { NodeMetrics } = require("../client/metrics");
+const { createStatusServer } = require("../client/status");
+const { BalanceMonitor } = require("../client/balance");
+
+describe("NodeMetrics", function () {
+  const TIMEOUT = 3600;
+  const MAC_A = "AA:BB:CC:DD:EE:01";
+  const MAC_B = "AA:BB:CC:DD:EE:02";
+
+  async function deployFixture() {
+    const [shared] = await ethers.getSigners();
+    const ChainHeart = await ethers.getContractFactory("ChainHeart");
+    const heart = await ChainHeart.deploy(TIMEOUT, shared.address, "");
+    await heart.registerNode(MAC_A);
+    await heart.registerNode(MAC_B);
+    return { heart, shared };
+  }
+
+  const nodes = [];
+  afterEach(async function () {
+    while (nodes.length > 0) await nodes.pop().stop({ resign: false });
+  });
+
+  async function createNode(heart, wallet, mac) {
+    const node = new ChainHeartNode({ contractAddress: await heart.getAddress(), wallet, mac, checkInterval: 3600 * 1000 });
+    nodes.push(node);
+    return { node, metrics: new NodeMetrics(node, { provider: "aws" }) };
+  }
+
+  /** Sample values by series, e.g. `chainheart_state{state="Running"}` -> 1. */
+  function parse(text) {
+    const samples = {};
+    for (const line of text.split("\n")) {
+      if (line === "" || line.startsWith("#")) continue;
+      const at = line.lastIndexOf(" ");
+      samples[line.slice(0, at)] = Number(line.slice(at + 1));
+    }
+    return samples;
+  }
+
+  it("should count elections, heartbeats and gas", async function () {
+    const { heart, shared } = await loadFixture(deployFixture);
+    const { node, metrics } = await createNode(heart, shared, MAC_A);
+    await node.start();
+    await node.tick();
+
+    const samples = parse(await metrics.render());
+
+    expect(samples).to.include({
+      'chainheart_info{mac="AA:BB:CC:DD:EE:01",cluster="(default)",provider="aws"}': 1,
+      "chainheart_running": 1,
+      'chainheart_state{state="Running"}': 1,
+      'chainheart_state{state="Idle"}': 0,
+      "chainheart_is_master": 1,
+      "chainheart_epoch": 1,
+      "chainheart_election_attempts_total": 1,
+      "chainheart_elections_won_total": 1,
+      'chainheart_heartbeats_total{result="success"}': 1,
+      'chainheart_heartbeats_total{result="failure"}': 0,
+      'chainheart_txs_total{action="elect",status="confirmed"}': 1,
+      'chainheart_txs_total{action="heartbeat",status="confirmed"}': 1,
+    });
+    expect(samples.chainheart_gas_used_total).to.be.greaterThan(0);
+    expect(samples.chainheart_gas_spent_total).to.be.greaterThan(0);
+    expect(samples[`chainheart_wallet_balance{address="${shared.address}"}`]).to.be.greaterThan(0);
+    expect(samples['chainheart_rpc_healthy{endpoint="provider"}']).to.equal(1);
+    expect(samples['chainheart_rpc_latency_seconds{endpoint="provider"}']).to.be.at.least(0);
+  });
+
+  it("should report the age of the master's last heartbeat", async function () {
+    const { heart, shared } = await loadFixture(deployFixture);
+    await heart.electMaster(MAC_B);
+    const { node, metrics } = await createNode(heart, shared, MAC_A);
+    await node.start();
+
+    await time.increase(120);
+
+    const samples = parse(await metrics.render());
+
+    const [, lastHeartbeat] = await heart.getCurrentMaster();
+    expect(samples.chainheart_master_heartbeat_age_seconds).to.equal((await time.latest()) - Number(lastHeartbeat));
+    expect(samples.chainheart_is_master).to.equal(0);
+    expect(samples).to.not.have.property("chainheart_lease_remaining_seconds");
+  });
+
+  it("should count a lost election as an attempt but not a win", async function () {
+    const { heart, shared } = await loadFixture(deployFixture);
+    await heart.electMaster(MAC_B);
+    const { node, metrics } = await createNode(heart, shared, MAC_A);
+    await node.start();
+
+    await time.increase(TIMEOUT + 1);
+    await heart.electMaster(MAC_B); // MAC_B wins the race, so MAC_A's estimate reverts
+    await node._elect().catch(() => {});
+
+    const samples = parse(await metrics.render());
+    expect(samples).to.include({
+      "chainheart_election_attempts_total": 1,
+      "chainheart_elections_won_total": 0,
+      'chainheart_txs_total{action="elect",status="failed"}': 1,
+    });
+  });
+
+  it("should report the heartbeats left from a BalanceMonitor", async function () {
+    const { heart, shared } = await loadFixture(deployFixture);
+    const node = new ChainHeartNode({ contractAddress: await heart.getAddress(), wallet: shared, mac: MAC_A, checkInterval: 3600 * 1000 });
+    nodes.push(node);
+    const balance = new BalanceMonitor(node);
+    const metrics = new NodeMetrics(node, { balance });
+
+    expect(parse(await metrics.render())).to.not.have.property("chainheart_wallet_heartbeats_remaining");
+    const { heartbeatsLeft } = await balance.check();
+    expect(parse(await metrics.render()).chainheart_wallet_heartbeats_remaining).to.equal(heartbeatsLeft);
+  });
+
+  it("should be served as /metrics by the status server", async function () {
+    const { heart, shared } = await loadFixture(deployFixture);
+    const { node, metrics } = await createNode(heart, shared, MAC_A);
+    await node.start();
+    const server = createStatusServer(node, { metrics });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/metrics`);
+      expect(res.status).to.equal(200);
+      expect(res.headers.get("content-type")).to.include("text/plain; version=0.0.4");
+      const text = await res.text();
+      expect(text).to.include("# TYPE chainheart_heartbeats_total counter\n");
+      expect(text).to.include("chainheart_is_master 1\n");
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it("should serve only numeric samples before the node has started", async function () {
+    const { heart, shared } = await loadFixture(deployFixture);
+    const { node, metrics } = await createNode(heart, shared, MAC_A);
+    const server = createStatusServer(node, { metrics });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/metrics`);
+      expect(res.status).to.equal(200);
+      const samples = parse(await res.text());
+      for (const [series, value] of Object.entries(samples)) {
+        expect(Number.isFinite(value), series).to.equal(true);
+      }
+      expect(samples).to.not.have.property("chainheart_epoch");
+      expect(samples.chainheart_running).to.equal(0);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,727 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { ChainHeartNode } = require("../client/node");
+const { createRelayServer } = require("../client/relayer");
+
+describe("ChainHeartNode", function () {
+  const TIMEOUT = 3600;
+  const MAC_A = "AA:BB:CC:DD:EE:01";
+  const MAC_B = "AA:BB:CC:DD:EE:02";
+
+  async function deployFixture() {
+    const [shared, stranger] = await ethers.getSigners();
+    const ChainHeart = await ethers.getContractFactory("ChainHeart");
+    const heart = await ChainHeart.deploy(TIMEOUT, shared.address, "");
+    await heart.registerNode(MAC_A);
+    await heart.registerNode(MAC_B);
+    return { heart, shared, stranger };
+  }
+
+  /** A node whose loop never fires on its own; tests drive it with tick(). */
+  async function createNode(heart, wallet, mac, options = {}) {
+    return new ChainHeartNode({
+      contractAddress: await heart.getAddress(),
+      wallet,
+      mac,
+      checkInterval: 3600 * 1000,
+      ...options,
+    });
+  }
+
+  function record(node) {
+    const events = [];
+    for (const name of ["elected", "demoted", "masterChanged", "stateChanged"]) {
+      node.on(name, (payload) => events.push({ name, ...payload }));
+    }
+    return events;
+  }
+
+  async function waitFor(predicate, ms = 5000) {
+    const until = Date.now() + ms;
+    while (!(await predicate())) {
+      if (Date.now() > until) throw new Error("timed out waiting for condition");
+      await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+  }
+
+  const nodes = [];
+  afterEach(async function () {
+    while (nodes.length > 0) await nodes.pop().stop({ resign: false });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Construction
+  // ---------------------------------------------------------------------------
+  describe("constructor", function () {
+    it("should require contractAddress, mac and a key", function () {
+      expect(() => new ChainHeartNode({})).to.throw("missing config: contractAddress, mac, privateKey");
+    });
+
+    it("should start with no observed state", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A);
+      expect(node.isMaster()).to.equal(false);
+      expect(node.isRunning()).to.equal(false);
+      expect(node.getStatus()).to.include({ mac: MAC_A, clusterId: ethers.ZeroHash, state: null, master: null });
+    });
+
+    it("should reject an unknown mode", function () {
+      expect(() => new ChainHeartNode({ contractAddress: ethers.ZeroAddress, mac: MAC_A, privateKey: ethers.ZeroHash.slice(0, -1) + "1", mode: "push" }))
+        .to.throw('unknown mode "push"');
+    });
+
+    it("should encode a cluster name into its clusterId", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A, { clusterId: "api" });
+      expect(node.clusterId).to.equal(ethers.encodeBytes32String("api"));
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // start()
+  // ---------------------------------------------------------------------------
+  describe("start", function () {
+    it("should elect itself in an Idle cluster and emit elected", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A);
+      const events = record(node);
+      nodes.push(node);
+
+      await node.start();
+
+      expect(node.isRunning()).to.equal(true);
+      expect(node.isMaster()).to.equal(true);
+      expect(await heart.currentMasterMAC()).to.equal(MAC_A);
+      expect(events.map((e) => e.name)).to.deep.equal(["stateChanged", "stateChanged", "masterChanged", "elected"]);
+      const elected = events.find((e) => e.name === "elected");
+      expect(elected.mac).to.equal(MAC_A);
+      expect(elected.epoch).to.equal(1n);
+    });
+
+    it("should pass its MAC, state and tx hashes to the logger as fields", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const records = [];
+      const node = await createNode(heart, shared, MAC_A, { log: (level, msg, fields) => records.push({ level, msg, ...fields }) });
+      nodes.push(node);
+
+      await node.start();
+
+      const sent = records.find((r) => r.msg.startsWith("elect tx") && r.msg.includes("confirmed"));
+      expect(sent).to.include({ mac: MAC_A, state: "Idle" });
+      expect(sent.txHash).to.equal(node.getStatus().lastTx.hash);
+      expect(records[records.length - 1]).to.include({ mac: MAC_A, state: "Running" });
+    });
+
+    it("should refuse to start for an unregistered MAC", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, "AA:BB:CC:DD:EE:99");
+      try {
+        await node.start();
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.include("is not registered");
+      }
+      expect(node.isRunning()).to.equal(false);
+    });
+
+    it("should refuse to start with a key not authorized for the MAC", async function () {
+      const { heart, stranger } = await loadFixture(deployFixture);
+      const node = await createNode(heart, stranger, MAC_A);
+      try {
+        await node.start();
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.include("is not authorized for MAC");
+      }
+    });
+
+    it("should refuse to start in an unknown cluster", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A, { clusterId: "missing" });
+      try {
+        await node.start();
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.include("does not exist");
+      }
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // tick()
+  // ---------------------------------------------------------------------------
+  describe("tick", function () {
+    it("should send heartbeats while master", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A);
+      nodes.push(node);
+      await node.start();
+
+      await time.increase(100);
+      await node.tick();
+      expect(await heart.getNodeHeartbeat(MAC_A)).to.equal(await time.latest());
+    });
+
+    it("should not overlap ticks when one outlasts checkInterval", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A, { checkInterval: 50 });
+      nodes.push(node);
+
+      // Each tx takes several intervals, like a slow confirmation.
+      let inFlight = 0;
+      let maxInFlight = 0;
+      let sent = 0;
+      const send = node._sendNodeTx.bind(node);
+      node._sendNodeTx = async (...args) => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        try {
+          await new Promise((resolve) => setTimeout(resolve, 200));
+          return await send(...args);
+        } finally {
+          inFlight--;
+          sent++;
+        }
+      };
+      const nonce = await ethers.provider.getTransactionCount(shared.address);
+      await node.start();
+
+      await waitFor(() => sent >= 3);
+      await node.stop({ resign: false });
+      await waitFor(() => inFlight === 0);
+      expect(maxInFlight).to.equal(1);
+      // One election, then one heartbeat per tick; no duplicates.
+      expect(await ethers.provider.getTransactionCount(shared.address)).to.equal(nonce + sent);
+    });
+
+    it("should monitor as a slave while another master is alive", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_B);
+      const node = await createNode(heart, shared, MAC_A);
+      const events = record(node);
+      nodes.push(node);
+
+      await node.start();
+
+      expect(node.isMaster()).to.equal(false);
+      expect(node.getStatus()).to.include({ state: "Running", master: MAC_B });
+      expect(events.map((e) => e.name)).to.deep.equal(["stateChanged", "masterChanged"]);
+    });
+
+    it("should take over after the master times out", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_B);
+      const node = await createNode(heart, shared, MAC_A);
+      nodes.push(node);
+      await node.start();
+
+      await time.increase(TIMEOUT + 1);
+      const events = record(node);
+      await node.tick();
+
+      expect(node.isMaster()).to.equal(true);
+      expect(await heart.currentMasterMAC()).to.equal(MAC_A);
+      const changed = events.find((e) => e.name === "masterChanged");
+      expect(changed).to.include({ master: MAC_A, previous: MAC_B });
+      expect(events.find((e) => e.name === "elected").epoch).to.equal(2n);
+    });
+
+    it("should emit demoted when another node replaces it", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A);
+      nodes.push(node);
+      await node.start();
+
+      await heart.handover(MAC_A, MAC_B);
+      const events = record(node);
+      await node.tick();
+
+      expect(node.isMaster()).to.equal(false);
+      const demoted = events.find((e) => e.name === "demoted");
+      expect(demoted).to.include({ mac: MAC_A, master: MAC_B, reason: "replaced" });
+      expect(demoted.epoch).to.equal(2n);
+    });
+
+    it("should emit error events instead of throwing", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A);
+      nodes.push(node);
+      await node.start();
+
+      const errors = [];
+      node.on("error", (err) => errors.push(err));
+      await heart.removeNode(MAC_A);
+      await node.tick();
+
+      expect(errors).to.have.length(1);
+      expect(errors[0].message).to.include("NodeNotRegistered");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Local lease
+  // ---------------------------------------------------------------------------
+  describe("local lease", function () {
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    it("should hold a lease of heartbeatTimeout minus 10% by default", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A);
+      nodes.push(node);
+      await node.start();
+
+      const remaining = node.leaseRemaining();
+      expect(remaining).to.be.within(TIMEOUT * 900 - 5000, TIMEOUT * 900);
+      expect(node.getStatus().leaseRemaining).to.be.a("number");
+    });
+
+    it("should step down when the lease runs out without a heartbeat", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A, { leaseMargin: TIMEOUT * 1000 - 300 });
+      const events = record(node);
+      nodes.push(node);
+      await node.start();
+      expect(node.isMaster()).to.equal(true);
+
+      await sleep(400);
+
+      expect(node.isMaster()).to.equal(false);
+      expect(node.leaseRemaining()).to.equal(null);
+      expect(events.at(-1)).to.include({ name: "demoted", mac: MAC_A, master: MAC_A, reason: "lease-expired" });
+      // Still master on-chain: fencing is local only.
+      expect(await heart.currentMasterMAC()).to.equal(MAC_A);
+    });
+
+    it("should restore the role once a heartbeat is confirmed again", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A, { leaseMargin: TIMEOUT * 1000 - 300 });
+      const events = record(node);
+      nodes.push(node);
+      await node.start();
+      await sleep(400);
+
+      await node.tick();
+
+      expect(node.isMaster()).to.equal(true);
+      const elected = events.at(-1);
+      expect(elected).to.include({ name: "elected", mac: MAC_A, resumed: true });
+      expect(elected.epoch).to.equal(1n);
+    });
+
+    it("should not act as master when the election confirms after the lease", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A, { leaseMargin: TIMEOUT * 1000 });
+      const events = record(node);
+      nodes.push(node);
+      await node.start();
+
+      expect(await heart.currentMasterMAC()).to.equal(MAC_A);
+      expect(node.isMaster()).to.equal(false);
+      expect(events.map((e) => e.name)).to.not.include("elected");
+    });
+
+    it("should resume silently after a restart while still master on-chain", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_A);
+      const node = await createNode(heart, shared, MAC_A);
+      const events = record(node);
+      nodes.push(node);
+      await node.start();
+
+      expect(node.isMaster()).to.equal(true);
+      expect(events.map((e) => e.name)).to.not.include("elected");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Event-driven mode
+  // ---------------------------------------------------------------------------
+  describe("event-driven mode", function () {
+    const FAST = ethers.encodeBytes32String("fast");
+
+    async function waitFor(predicate, ms = 5000) {
+      const until = Date.now() + ms;
+      while (!(await predicate())) {
+        if (Date.now() > until) throw new Error("timed out waiting for condition");
+        await new Promise((resolve) => setTimeout(resolve, 25));
+      }
+    }
+
+    it("should elect itself as soon as the master resigns", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_B);
+      const node = await createNode(heart, shared, MAC_A, { mode: "events" });
+      nodes.push(node);
+      await node.start();
+      expect(node.isMaster()).to.equal(false);
+
+      await heart.resign(MAC_B);
+
+      await waitFor(() => node.isMaster());
+      expect(await heart.currentMasterMAC()).to.equal(MAC_A);
+    });
+
+    it("should move the master's deadline on each Heartbeat log", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_B);
+      const node = await createNode(heart, shared, MAC_A, { mode: "events" });
+      nodes.push(node);
+      await node.start();
+      expect(node.getStatus().masterExpiresAt).to.equal((await time.latest()) + TIMEOUT);
+
+      await time.increase(100);
+      await heart.sendHeartbeat(MAC_B);
+      const expected = (await time.latest()) + TIMEOUT;
+
+      await waitFor(() => node.getStatus().masterExpiresAt === expected);
+    });
+
+    it("should attempt the election when the master's timeout is reached", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      await heart.createCluster(FAST, 2);
+      await heart["registerNode(bytes32,string)"](FAST, MAC_A);
+      await heart["registerNode(bytes32,string)"](FAST, MAC_B);
+      await heart["electMaster(bytes32,string)"](FAST, MAC_B);
+      const node = await createNode(heart, shared, MAC_A, { mode: "events", clusterId: FAST });
+      const events = record(node);
+      nodes.push(node);
+      await node.start();
+      expect(node.isMaster()).to.equal(false);
+
+      // Keep producing blocks like a live chain; calls only see time move with them.
+      const miner = setInterval(() => ethers.provider.send("evm_mine", []), 250);
+      try {
+        await waitFor(() => node.isMaster(), 8000);
+      } finally {
+        clearInterval(miner);
+      }
+      const changed = events.find((e) => e.name === "masterChanged" && e.master === MAC_A);
+      expect(changed).to.include({ previous: MAC_B });
+      expect((await heart["getCurrentMaster(bytes32)"](FAST))[0]).to.equal(MAC_A);
+    });
+
+    it("should fall back to polling while no blocks arrive", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_B);
+      const lines = [];
+      const node = await createNode(heart, shared, MAC_A, {
+        mode: "events",
+        staleAfter: 100,
+        log: (level, msg) => lines.push(`[${level}] ${msg}`),
+      });
+      nodes.push(node);
+      await node.start();
+
+      await waitFor(() => lines.some((line) => line.includes("Subscription looks down")));
+      await heart.registerNode("AA:BB:CC:DD:EE:03");
+      await waitFor(() => lines.some((line) => line.includes("Subscription restored")));
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Finality
+  // ---------------------------------------------------------------------------
+  describe("finality", function () {
+    it("should reject an invalid finality", function () {
+      const options = { contractAddress: ethers.ZeroAddress, mac: MAC_A, privateKey: ethers.ZeroHash.slice(0, -1) + "1" };
+      expect(() => new ChainHeartNode({ ...options, finality: 0 })).to.throw("invalid finality 0");
+      expect(() => new ChainHeartNode({ ...options, finality: "latest" })).to.throw('invalid finality "latest"');
+    });
+
+    it("should only emit elected once the election has enough confirmations", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A, { finality: 4 });
+      const events = record(node);
+      nodes.push(node);
+      await node.start();
+
+      expect(await heart.currentMasterMAC()).to.equal(MAC_A);
+      expect(node.isMaster()).to.equal(false);
+      expect(node.getStatus().pendingElection).to.include({ epoch: 1n });
+      expect(events.map((e) => e.name)).to.not.include("elected");
+
+      // Heartbeats keep the term alive while pending: 2 + 1 confirmations so far.
+      await mine(1);
+      await node.tick();
+      expect(node.isMaster()).to.equal(false);
+
+      await mine(1);
+      await waitFor(() => node.isMaster());
+      expect(events.filter((e) => e.name === "elected")).to.have.length(1);
+      expect(events.at(-1)).to.include({ name: "elected", epoch: 1n, resumed: false });
+      expect(node.getStatus().pendingElection).to.equal(null);
+    });
+
+    it("should keep heartbeating in events mode while the election is pending", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const lines = [];
+      const node = await createNode(heart, shared, MAC_A, {
+        mode: "events",
+        finality: 100,
+        checkInterval: 100,
+        log: (level, msg) => lines.push(msg),
+      });
+      nodes.push(node);
+      await node.start();
+      expect(node.getStatus().pendingElection).to.not.equal(null);
+
+      await waitFor(() => lines.filter((line) => line === "Heartbeat sent.").length >= 3);
+      expect(node.getStatus().pendingElection).to.not.equal(null);
+      expect(node.isMaster()).to.equal(false);
+    });
+
+    it("should accept the finalized block tag", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A, { finality: "finalized" });
+      nodes.push(node);
+      await node.start();
+      expect(node.getStatus().pendingElection).to.not.equal(null);
+
+      // Hardhat reports the latest block as finalized.
+      await node.tick();
+      expect(node.isMaster()).to.equal(true);
+    });
+
+    it("should drop the election when a reorg removes it and another node wins", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      const lines = [];
+      const node = await createNode(heart, shared, MAC_A, {
+        finality: 3,
+        log: (level, msg) => lines.push(`[${level}] ${msg}`),
+      });
+      const events = record(node);
+      nodes.push(node);
+      await node.start();
+      expect(node.getStatus().pendingElection).to.not.equal(null);
+
+      // The block with A's election is replaced by one where B wins.
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await heart.electMaster(MAC_B);
+      await mine(3);
+
+      await waitFor(() => node.getStatus().pendingElection === null);
+      expect(node.isMaster()).to.equal(false);
+      expect(events.map((e) => e.name)).to.not.include("elected");
+      expect(lines.some((line) => line.includes("was removed by a reorg"))).to.equal(true);
+      expect(lines.some((line) => line.includes("Lost the election of epoch 1 before it was final"))).to.equal(true);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Election contention
+  // ---------------------------------------------------------------------------
+  describe("election contention", function () {
+    function withLines(options) {
+      const lines = [];
+      return { lines, options: { ...options, log: (level, msg) => lines.push(`[${level}] ${msg}`) } };
+    }
+
+    afterEach(async function () {
+      await ethers.provider.send("evm_setAutomine", [true]);
+    });
+
+    it("should reject an unknown electionBackoff", function () {
+      expect(() => new ChainHeartNode({ contractAddress: ethers.ZeroAddress, mac: MAC_A, privateKey: ethers.ZeroHash.slice(0, -1) + "1", electionBackoff: "fifo" }))
+        .to.throw('unknown electionBackoff "fifo"');
+    });
+
+    it("should let the first MAC in rank order elect while the others skip sending", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const a = withLines({ electionBackoff: "rank", electionDelay: 300 });
+      const b = withLines({ electionBackoff: "rank", electionDelay: 300 });
+      const nodeA = await createNode(heart, shared, MAC_A, a.options);
+      const nodeB = await createNode(heart, shared, MAC_B, b.options);
+      const nonce = await ethers.provider.getTransactionCount(shared.address);
+
+      await Promise.all([nodeA.tick(), nodeB.tick()]);
+
+      expect(nodeA.isMaster()).to.equal(true);
+      expect(nodeB.isMaster()).to.equal(false);
+      expect(a.lines.join("\n")).to.not.include("Waiting");
+      expect(b.lines).to.include("[INFO] Waiting 300ms before the election attempt (rank back-off)...");
+      expect(b.lines).to.include(`[INFO] Not electing: ${MAC_A} was elected meanwhile.`);
+      expect(await ethers.provider.getTransactionCount(shared.address)).to.equal(nonce + 1);
+    });
+
+    it("should rank among live members only", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      await heart["sendNodeHeartbeat(string)"](MAC_B);
+      const b = withLines({ electionBackoff: "rank", electionDelay: 300 });
+      const node = await createNode(heart, shared, MAC_B, b.options);
+
+      await node.tick();
+
+      expect(node.isMaster()).to.equal(true);
+      expect(b.lines.join("\n")).to.not.include("Waiting");
+    });
+
+    it("should skip sending while a competing election is pending, backing off further each time", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const b = withLines({ electionBackoff: "rank", electionDelay: 50 });
+      const node = await createNode(heart, shared, MAC_B, b.options);
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      const competing = await heart.electMaster(MAC_A);
+      await node.tick();
+      await node.tick();
+
+      expect(b.lines.filter((line) => line.includes("Waiting"))).to.deep.equal([
+        "[INFO] Waiting 50ms before the election attempt (rank back-off)...",
+        "[INFO] Waiting 100ms before the election attempt (rank back-off)...",
+      ]);
+      expect(b.lines).to.include(`[INFO] Not electing: election tx ${competing.hash} for ${MAC_A} is pending.`);
+      expect(await ethers.provider.getTransactionCount(shared.address, "pending")).to.equal(competing.nonce + 1);
+
+      await mine(1);
+      await node.tick();
+      expect(node.getStatus().master).to.equal(MAC_A);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Priority and preemption
+  // ---------------------------------------------------------------------------
+  describe("priority and preemption", function () {
+    const GRACE = 600;
+
+    it("should preempt a lower-priority master once the grace period has passed", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      await heart.setNodePriority(MAC_B, 5);
+      await heart.setPreemptionGrace(GRACE);
+      await heart.electMaster(MAC_A);
+      const lines = [];
+      const node = await createNode(heart, shared, MAC_B, {
+        nodeHeartbeatInterval: 3600 * 1000,
+        log: (level, msg) => lines.push(`[${level}] ${msg}`),
+      });
+      const events = record(node);
+      nodes.push(node);
+
+      await node.start();
+      expect(node.priority).to.equal(5);
+      expect(node.isMaster()).to.equal(false);
+      expect(lines).to.include(`[INFO] Outranking master ${MAC_A} (priority 5 > 0). Will preempt once it has served ${GRACE}s.`);
+
+      await time.increase(GRACE);
+      await node.tick();
+
+      expect(node.isMaster()).to.equal(true);
+      expect(await heart.currentMasterMAC()).to.equal(MAC_B);
+      expect(events.find((e) => e.name === "elected")).to.include({ mac: MAC_B, epoch: 2n });
+    });
+
+    it("should heartbeat and preempt through the relayer without spending its own gas", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployFixture);
+      await heart.setNodePriority(MAC_B, 5);
+      await heart.setPreemptionGrace(GRACE);
+      await heart.electMaster(MAC_A);
+      const relay = createRelayServer(heart.connect(stranger));
+      await new Promise((resolve) => relay.listen(0, "127.0.0.1", resolve));
+      try {
+        const relayerUrl = `http://127.0.0.1:${relay.address().port}`;
+        const node = await createNode(heart, shared, MAC_B, { relayerUrl, nodeHeartbeatInterval: 3600 * 1000 });
+        nodes.push(node);
+        const sent = await ethers.provider.getTransactionCount(shared.address);
+
+        await node.start();
+        expect(await heart["listLiveNodes()"]()).to.include(MAC_B);
+
+        await time.increase(GRACE);
+        await node.tick();
+
+        expect(await heart.currentMasterMAC()).to.equal(MAC_B);
+        expect(await ethers.provider.getTransactionCount(shared.address)).to.equal(sent);
+      } finally {
+        await new Promise((resolve) => relay.close(resolve));
+      }
+    });
+
+    it("should step down as soon as it sees it was preempted", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A);
+      const events = record(node);
+      nodes.push(node);
+      await node.start();
+
+      await heart.setNodePriority(MAC_B, 5);
+      await heart.setPreemptionGrace(GRACE);
+      await heart.sendNodeHeartbeat(MAC_B);
+      await time.increase(GRACE);
+      await heart.electMaster(MAC_B);
+
+      await waitFor(() => !node.isMaster());
+      expect(events.find((e) => e.name === "demoted")).to.include({ master: MAC_B, reason: "replaced" });
+    });
+
+    it("should let the highest priority go first in rank back-off", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      await heart.setNodePriority(MAC_B, 5);
+      const options = { electionBackoff: "rank", electionDelay: 300 };
+      const nodeA = await createNode(heart, shared, MAC_A, options);
+      const nodeB = await createNode(heart, shared, MAC_B, options);
+
+      await Promise.all([nodeA.tick(), nodeB.tick()]);
+
+      expect(nodeB.isMaster()).to.equal(true);
+      expect(nodeA.isMaster()).to.equal(false);
+      expect(await heart.currentMasterMAC()).to.equal(MAC_B);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // stop()
+  // ---------------------------------------------------------------------------
+  describe("stop", function () {
+    it("should resign when stopping as master", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A);
+      const events = record(node);
+      await node.start();
+
+      await node.stop();
+
+      expect(node.isRunning()).to.equal(false);
+      expect(node.isMaster()).to.equal(false);
+      expect(await heart.currentMasterMAC()).to.equal("");
+      expect(events.at(-1)).to.include({ name: "demoted", reason: "resigned" });
+    });
+
+    it("should hand over to handoverMAC when configured", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A, { handoverMAC: MAC_B });
+      await node.start();
+
+      await node.stop();
+      expect(await heart.currentMasterMAC()).to.equal(MAC_B);
+    });
+
+    it("should send the resign / handover through the relayer in relayer mode", async function () {
+      const { heart, shared, stranger } = await loadFixture(deployFixture);
+      const relay = createRelayServer(heart.connect(stranger));
+      await new Promise((resolve) => relay.listen(0, "127.0.0.1", resolve));
+      try {
+        const relayerUrl = `http://127.0.0.1:${relay.address().port}`;
+        const node = await createNode(heart, shared, MAC_A, { relayerUrl, handoverMAC: MAC_B });
+        const sent = await ethers.provider.getTransactionCount(shared.address);
+        await node.start();
+
+        await node.stop();
+        expect(await heart.currentMasterMAC()).to.equal(MAC_B);
+        expect(await ethers.provider.getTransactionCount(shared.address)).to.equal(sent);
+      } finally {
+        await new Promise((resolve) => relay.close(resolve));
+      }
+    });
+
+    it("should keep leadership when resign is false", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const node = await createNode(heart, shared, MAC_A);
+      await node.start();
+
+      await node.stop({ resign: false });
+      expect(await heart.currentMasterMAC()).to.equal(MAC_A);
+    });
+  });
+});
@@ -0,0 +1,366 @@
+const { expect } = require("chai");
+const http = require("http");
+const net = require("net");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { ChainHeartNode } = require("../client/node");
+const BaseChannel = require("../client/notifiers/base");
+const WebhookChannel = require("../client/notifiers/webhook");
+const SlackChannel = require("../client/notifiers/slack");
+const SmtpChannel = require("../client/notifiers/smtp");
+const { Notifier, notifierOptions } = require("../client/notifiers");
+
+class StubChannel extends BaseChannel {
+  constructor({ name = "stub", fail = false } = {}) {
+    super();
+    this.name = name;
+    this.fail = fail;
+    this.alerts = [];
+  }
+
+  async send(alert) {
+    if (this.fail) throw new Error("boom");
+    this.alerts.push(alert);
+  }
+}
+
+/** A local HTTP server that records POSTs and answers with `status`. */
+async function startHttpServer(status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(status);
+      res.end(status === 200 ? "ok" : "nope");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+/**
+ * A minimal SMTP server: offers `auth` mechanisms, accepts everything and records
+ * the commands and the raw DATA.
+ */
+async function startSmtpServer({ auth = "PLAIN LOGIN" } = {}) {
+  const commands = [];
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let data = null;
+    socket.write("220 localhost ESMTP test\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let newline;
+      while ((newline = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        if (data !== null) {
+          if (line === ".") {
+            messages.push(data.join("\r\n"));
+            data = null;
+            socket.write("250 queued\r\n");
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        commands.push(line);
+        const verb = line.split(" ")[0].toUpperCase();
+        if (verb === "EHLO") socket.write(`250-localhost\r\n250-AUTH ${auth}\r\n250 8BITMIME\r\n`);
+        else if (verb === "AUTH") socket.write("235 ok\r\n");
+        else if (verb === "DATA") {
+          data = [];
+          socket.write("354 go ahead\r\n");
+        } else if (verb === "QUIT") socket.end("221 bye\r\n");
+        else socket.write("250 ok\r\n");
+      }
+    });
+    socket.on("error", () => {});
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, commands, messages, port: server.address().port };
+}
+
+function alert(overrides = {}) {
+  return {
+    event: "master.elected",
+    severity: "info",
+    title: "AA:BB:CC:DD:EE:01 is now master (epoch 2)",
+    text: "AA:BB:CC:DD:EE:01 is now master (epoch 2)",
+    cluster: "(default)",
+    mac: "AA:BB:CC:DD:EE:01",
+    time: "2026-01-01T00:00:00.000Z",
+    data: { epoch: 2n },
+    ...overrides,
+  };
+}
+
+describe("Notifications", function () {
+  const MAC_A = "AA:BB:CC:DD:EE:01";
+  const MAC_B = "AA:BB:CC:DD:EE:02";
+
+  const servers = [];
+  afterEach(async function () {
+    while (servers.length > 0) {
+      const server = servers.pop();
+      server.closeAllConnections?.();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // Channels
+  // ---------------------------------------------------------------------------
+  describe("WebhookChannel", function () {
+    it("should POST the alert with a verifiable HMAC signature", async function () {
+      const { server, requests, url } = await startHttpServer();
+      servers.push(server);
+
+      await new WebhookChannel({ url, secret: "s3cret" }).send(alert());
+
+      const [{ headers, body }] = requests;
+      expect(JSON.parse(body)).to.include({ event: "master.elected", mac: MAC_A });
+      expect(JSON.parse(body).data).to.deep.equal({ epoch: "2" });
+      expect(headers["x-chainheart-signature"]).to.match(/^sha256=[0-9a-f]{64}$/);
+      const timestamp = headers["x-chainheart-timestamp"];
+      const signature = headers["x-chainheart-signature"];
+      expect(WebhookChannel.verifySignature("s3cret", body, timestamp, signature)).to.equal(true);
+      expect(WebhookChannel.verifySignature("other", body, timestamp, signature)).to.equal(false);
+      expect(WebhookChannel.verifySignature("s3cret", `${body} `, timestamp, signature)).to.equal(false);
+      expect(WebhookChannel.verifySignature("s3cret", body, String(Number(timestamp) - 600), signature)).to.equal(false);
+    });
+
+    it("should send unsigned without a secret and reject non-2xx answers", async function () {
+      const ok = await startHttpServer();
+      const failing = await startHttpServer(500);
+      servers.push(ok.server, failing.server);
+
+      await new WebhookChannel({ url: ok.url }).send(alert());
+      expect(ok.requests[0].headers).to.not.have.property("x-chainheart-signature");
+
+      try {
+        await new WebhookChannel({ url: failing.url }).send(alert());
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.equal("webhook: HTTP 500 nope");
+      }
+    });
+
+    it("should require a URL", function () {
+      expect(() => new WebhookChannel({})).to.throw("webhook: missing config: url");
+    });
+  });
+
+  describe("SlackChannel", function () {
+    it("should POST a Slack-style message coloured by severity", async function () {
+      const { server, requests, url } = await startHttpServer();
+      servers.push(server);
+
+      await new SlackChannel({ url }).send(alert({ severity: "critical", data: { epoch: 2n, server: { instanceId: "i-1" } } }));
+
+      const payload = JSON.parse(requests[0].body);
+      expect(payload.text).to.equal(`*${MAC_A} is now master (epoch 2)*`);
+      const [attachment] = payload.attachments;
+      expect(attachment.color).to.equal("#a30200");
+      expect(attachment.fields).to.deep.equal([
+        { title: "epoch", value: "2", short: true },
+        { title: "server", value: '{"instanceId":"i-1"}', short: true },
+      ]);
+      expect(attachment.footer).to.equal(`ChainHeart | cluster (default) | ${MAC_A} | master.elected`);
+      expect(attachment.ts).to.equal(Date.parse("2026-01-01T00:00:00.000Z") / 1000);
+    });
+  });
+
+  describe("SmtpChannel", function () {
+    it("should authenticate and deliver the alert to every recipient", async function () {
+      const { server, commands, messages, port } = await startSmtpServer();
+      servers.push(server);
+      const channel = new SmtpChannel({
+        host: "127.0.0.1",
+        port,
+        user: "alerts",
+        pass: "pw",
+        from: "ChainHeart <alerts@example.com>",
+        to: ["ops@example.com", "oncall@example.com"],
+      });
+
+      await channel.send(alert({ text: "line one\n.leading dot" }));
+
+      expect(commands.slice(1, 5)).to.deep.equal([
+        `AUTH PLAIN ${Buffer.from("\0alerts\0pw").toString("base64")}`,
+        "MAIL FROM:<alerts@example.com>",
+        "RCPT TO:<ops@example.com>",
+        "RCPT TO:<oncall@example.com>",
+      ]);
+      const [message] = messages;
+      expect(message).to.include(`Subject: [ChainHeart] ${MAC_A} is now master (epoch 2)`);
+      expect(message).to.include("To: ops@example.com, oncall@example.com");
+      expect(message).to.include("\r\n..leading dot\r\n");
+      expect(message).to.include("Event:    master.elected (info)");
+      expect(message).to.include("  epoch: 2");
+    });
+
+    it("should fail when the server does not offer AUTH PLAIN", async function () {
+      const { server, commands, port } = await startSmtpServer({ auth: "LOGIN" });
+      servers.push(server);
+      const channel = new SmtpChannel({ host: "127.0.0.1", port, user: "alerts", from: "a@example.com", to: "b@example.com" });
+
+      try {
+        await channel.send(alert());
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.equal("smtp: 127.0.0.1 does not offer AUTH PLAIN");
+      }
+      expect(commands.some((c) => c.startsWith("MAIL"))).to.equal(false);
+    });
+
+    it("should require a host, sender and recipients", function () {
+      expect(() => new SmtpChannel({ host: "127.0.0.1", from: "a@example.com" })).to.throw("smtp: missing config: to");
+      expect(() => new SmtpChannel({ to: [] })).to.throw("smtp: missing config: host, from, to");
+    });
+
+    it("should reject when the server is unreachable", async function () {
+      const { server, port } = await startSmtpServer();
+      await new Promise((resolve) => server.close(resolve));
+      const channel = new SmtpChannel({ host: "127.0.0.1", port, from: "a@example.com", to: "b@example.com", timeout: 2000 });
+
+      try {
+        await channel.send(alert());
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.match(/^smtp: /);
+      }
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Notifier
+  // ---------------------------------------------------------------------------
+  describe("Notifier", function () {
+    it("should send to every channel even when one fails", async function () {
+      const good = new StubChannel({ name: "good" });
+      const bad = new StubChannel({ name: "bad", fail: true });
+      const lines = [];
+      const notifier = new Notifier({ channels: [bad, good], mac: MAC_A, log: (level, msg) => lines.push(`[${level}] ${msg}`) });
+
+      const sent = await notifier.notify("provision.failed", { title: "no server", data: { provider: "stub" } });
+
+      expect(sent).to.deep.equal(["good"]);
+      expect(good.alerts[0]).to.include({ event: "provision.failed", severity: "critical", title: "no server", text: "no server", mac: MAC_A, cluster: "(default)" });
+      expect(lines).to.deep.equal(["[WARN] Notification provision.failed via bad failed: boom"]);
+    });
+
+    it("should only send the configured events", async function () {
+      const channel = new StubChannel();
+      const notifier = new Notifier({ channels: [channel], events: ["balance.low"] });
+
+      expect(await notifier.notify("master.elected", { title: "x" })).to.deep.equal([]);
+      expect(await notifier.notify("balance.low", { title: "y", severity: "critical" })).to.deep.equal(["stub"]);
+      expect(channel.alerts.map((a) => [a.event, a.severity])).to.deep.equal([["balance.low", "critical"]]);
+      expect(() => new Notifier({ events: ["nope"] })).to.throw("Notifier: unknown events: nope");
+    });
+
+    it("should wait for alerts in flight on flush()", async function () {
+      let release;
+      const channel = new StubChannel();
+      channel.send = () => new Promise((resolve) => (release = resolve));
+      const notifier = new Notifier({ channels: [channel] });
+
+      notifier.notify("master.elected", { title: "x" });
+      let flushed = false;
+      const flushing = notifier.flush().then(() => (flushed = true));
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(flushed).to.equal(false);
+      release();
+      await flushing;
+      expect(flushed).to.equal(true);
+    });
+
+    it("should build channels from NOTIFY_* env vars", function () {
+      const options = notifierOptions({
+        NOTIFY_WEBHOOK_URL: "http://localhost/hook",
+        NOTIFY_SMTP_HOST: "smtp.example.com",
+        NOTIFY_EMAIL_FROM: "alerts@example.com",
+        NOTIFY_EMAIL_TO: "a@example.com, b@example.com",
+        NOTIFY_EVENTS: "master.timeout, balance.low",
+        NOTIFY_HEARTBEAT_FAILURES: "5",
+      });
+
+      expect(options.channels.map((c) => c.name)).to.deep.equal(["webhook", "smtp"]);
+      expect(options.channels[1].to).to.deep.equal(["a@example.com", "b@example.com"]);
+      expect(options.channels[1].port).to.equal(587);
+      expect(options.events).to.deep.equal(["master.timeout", "balance.low"]);
+      expect(options.heartbeatFailures).to.equal(5);
+      expect(notifierOptions({})).to.deep.equal({ channels: [], events: null, heartbeatFailures: 3 });
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // watch()
+  // ---------------------------------------------------------------------------
+  describe("watch", function () {
+    const TIMEOUT = 3600;
+
+    async function deployFixture() {
+      const [shared] = await ethers.getSigners();
+      const ChainHeart = await ethers.getContractFactory("ChainHeart");
+      const heart = await ChainHeart.deploy(TIMEOUT, shared.address, "");
+      await heart.registerNode(MAC_A);
+      await heart.registerNode(MAC_B);
+      return { heart, shared };
+    }
+
+    const nodes = [];
+    afterEach(async function () {
+      while (nodes.length > 0) await nodes.pop().stop({ resign: false });
+    });
+
+    async function watchedNode(heart, wallet, options = {}) {
+      const node = new ChainHeartNode({ contractAddress: await heart.getAddress(), wallet, mac: MAC_A, checkInterval: 3600 * 1000 });
+      nodes.push(node);
+      const channel = new StubChannel();
+      const notifier = new Notifier({ channels: [channel], mac: MAC_A, ...options });
+      notifier.watch(node);
+      return { node, channel, notifier };
+    }
+
+    it("should alert when the master times out and this node takes over", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_B);
+      const { node, channel, notifier } = await watchedNode(heart, shared);
+      await node.start();
+
+      await time.increase(TIMEOUT + 1);
+      await node.tick();
+      await notifier.flush();
+
+      expect(channel.alerts.map((a) => a.event)).to.deep.equal(["master.timeout", "master.elected"]);
+      expect(channel.alerts[0].data).to.include({ master: MAC_B });
+      expect(channel.alerts[1].data.epoch).to.equal(2n);
+    });
+
+    it("should alert on a heartbeat failure streak and its recovery", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      const { node, channel, notifier } = await watchedNode(heart, shared, { heartbeatFailures: 2 });
+
+      node.emit("tx", { label: "heartbeat", status: "timeout", hash: "0x01" });
+      node.emit("tx", { label: "elect", status: "failed", hash: null });
+      node.emit("tx", { label: "relayed heartbeat", status: "failed", hash: null });
+      node.emit("tx", { label: "heartbeat", status: "reverted", hash: "0x02" });
+      node.emit("tx", { label: "heartbeat", status: "confirmed", hash: "0x03" });
+      node.emit("tx", { label: "heartbeat", status: "confirmed", hash: "0x04" });
+      await notifier.flush();
+
+      expect(channel.alerts.map((a) => [a.event, a.severity])).to.deep.equal([
+        ["heartbeat.failing", "critical"],
+        ["heartbeat.recovered", "info"],
+      ]);
+      expect(channel.alerts[0].data).to.deep.equal({ failures: 2, status: "failed", txHash: null });
+      expect(channel.alerts[1].title).to.equal("Heartbeats are going through again after 3 failures");
+    });
+  });
+});
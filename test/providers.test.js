@@ -1,12 +1,27 @@
 const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
 
 const BaseProvider = require("../client/providers/base");
 const TencentLighthouseProvider = require("../client/providers/tencent-lighthouse");
 const AliyunProvider = require("../client/providers/aliyun");
 const AwsProvider = require("../client/providers/aws");
 const Pay402Provider = require("../client/providers/pay402");
+const WebhookProvider = require("../client/providers/webhook");
+const ExecProvider = require("../client/providers/exec");
 const { createProvider, PROVIDERS } = require("../client/providers");
 
+/** A provider that implements nothing, to exercise BaseProvider's defaults. */
+class EmptyProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = "empty";
+  }
+}
+
 describe("Cloud Providers", function () {
 
   // ---------------------------------------------------------------------------
@@ -18,7 +33,7 @@ describe("Cloud Providers", function () {
     });
 
     it("should throw on unimplemented createServer", async function () {
-      const provider = new AliyunProvider();
+      const provider = new EmptyProvider();
       try {
         await provider.createServer();
         expect.fail("should have thrown");
@@ -28,7 +43,7 @@ describe("Cloud Providers", function () {
     });
 
     it("should throw on unimplemented getServer", async function () {
-      const provider = new AliyunProvider();
+      const provider = new EmptyProvider();
       try {
         await provider.getServer("i-123");
         expect.fail("should have thrown");
@@ -38,7 +53,7 @@ describe("Cloud Providers", function () {
     });
 
     it("should throw on unimplemented destroyServer", async function () {
-      const provider = new AliyunProvider();
+      const provider = new EmptyProvider();
       try {
         await provider.destroyServer("i-123");
         expect.fail("should have thrown");
@@ -112,22 +127,744 @@ describe("Cloud Providers", function () {
   });
 
   // ---------------------------------------------------------------------------
-  // Placeholder providers
+  // AwsProvider
+  // ---------------------------------------------------------------------------
+  describe("AwsProvider", function () {
+    const validConfig = {
+      accessKeyId: "AKIATEST",
+      secretAccessKey: "test-secret",
+      region: "us-east-1",
+      imageId: "ami-0123456789abcdef0",
+    };
+
+    /**
+     * A local stand-in for the EC2 Query API. Records each request's
+     * parameters; instances report `pending` for the first `pendingPolls`
+     * DescribeInstances calls, then `finalState`.
+     */
+    async function startEc2({ pendingPolls = 1, finalState = "running", failRun = false } = {}) {
+      const requests = [];
+      const polls = {};
+      const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          const params = Object.fromEntries(new URLSearchParams(body));
+          requests.push(params);
+          const reply = (status, xml) => {
+            const requestId = /<(?:requestId|RequestID)>([^<]+)</.exec(xml)[1];
+            res.writeHead(status, { "Content-Type": "text/xml", "x-amzn-RequestId": requestId });
+            res.end(`<?xml version="1.0" encoding="UTF-8"?>\n${xml}`);
+          };
+          const ns = 'xmlns="http://ec2.amazonaws.com/doc/2016-11-15/"';
+          const error = (code, message) => reply(400,
+            `<Response><Errors><Error><Code>${code}</Code><Message>${message}</Message></Error></Errors><RequestID>req-err</RequestID></Response>`);
+
+          switch (params.Action) {
+            case "RunInstances":
+              if (failRun) return error("InsufficientInstanceCapacity", "No capacity");
+              return reply(200, `<RunInstancesResponse ${ns}><requestId>req-run</requestId><reservationId>r-1</reservationId>` +
+                "<instancesSet><item><instanceId>i-0abc</instanceId><instanceState><code>0</code><name>pending</name></instanceState></item></instancesSet>" +
+                "</RunInstancesResponse>");
+            case "DescribeInstances": {
+              const id = params["InstanceId.1"];
+              if (id !== "i-0abc") return error("InvalidInstanceID.NotFound", `The instance ID '${id}' does not exist`);
+              polls[id] = (polls[id] || 0) + 1;
+              const state = polls[id] > pendingPolls ? finalState : "pending";
+              const ip = state === "running" ? "<ipAddress>203.0.113.7</ipAddress>" : "";
+              const reason = state === "terminated"
+                ? "<stateReason><code>Server.InsufficientInstanceCapacity</code><message>Server.InsufficientInstanceCapacity: Insufficient capacity.</message></stateReason>"
+                : "";
+              return reply(200, `<DescribeInstancesResponse ${ns}><requestId>req-describe</requestId><reservationSet><item><instancesSet><item>` +
+                `<instanceId>${id}</instanceId><imageId>ami-0123456789abcdef0</imageId><instanceType>t3.micro</instanceType>` +
+                `<instanceState><code>16</code><name>${state}</name></instanceState>${reason}${ip}<privateIpAddress>10.0.0.5</privateIpAddress>` +
+                "<placement><availabilityZone>us-east-1a</availabilityZone></placement><launchTime>2026-01-01T00:00:00.000Z</launchTime>" +
+                "<tagSet><item><key>Name</key><value>ChainHeart-Node</value></item></tagSet>" +
+                "</item></instancesSet></item></reservationSet></DescribeInstancesResponse>");
+            }
+            case "TerminateInstances":
+              return reply(200, `<TerminateInstancesResponse ${ns}><requestId>req-terminate</requestId><instancesSet><item>` +
+                `<instanceId>${params["InstanceId.1"]}</instanceId><currentState><code>32</code><name>shutting-down</name></currentState>` +
+                "<previousState><code>16</code><name>running</name></previousState></item></instancesSet></TerminateInstancesResponse>");
+            default:
+              return error("InvalidAction", params.Action);
+          }
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      return { server, requests, endpoint: `http://127.0.0.1:${server.address().port}` };
+    }
+
+    let ec2;
+    afterEach(async function () {
+      if (ec2) await new Promise((resolve) => ec2.server.close(resolve));
+      ec2 = null;
+    });
+
+    function createAws(options = {}) {
+      return new AwsProvider({ ...validConfig, endpoint: ec2.endpoint, waitInterval: 10, log: () => {}, ...options });
+    }
+
+    it("should throw listing all missing fields at once", function () {
+      expect(() => new AwsProvider({})).to.throw("aws: missing config: region, imageId");
+      expect(() => new AwsProvider({ ...validConfig, secretAccessKey: undefined })).to.throw(/secretAccessKey/);
+      expect(() => new AwsProvider({ ...validConfig, tags: "team" })).to.throw('aws: invalid tag "team"');
+    });
+
+    it("should launch an instance and wait for it to run", async function () {
+      ec2 = await startEc2({ pendingPolls: 2 });
+      const provider = createAws({
+        instanceType: "t3.small",
+        keyName: "ops",
+        securityGroupIds: "sg-1, sg-2",
+        subnetId: "subnet-9",
+        instanceName: "heart-1",
+        tags: "team=ops,env=prod",
+        userData: "#!/bin/sh\necho hi",
+      });
+
+      const server = await provider.createServer();
+
+      expect(server).to.deep.equal({
+        instanceId: "i-0abc",
+        instanceIds: ["i-0abc"],
+        requestId: "req-run",
+        status: "running",
+        publicIp: "203.0.113.7",
+        privateIp: "10.0.0.5",
+      });
+      expect(ec2.requests.map((r) => r.Action)).to.deep.equal(["RunInstances", "DescribeInstances", "DescribeInstances", "DescribeInstances"]);
+      expect(ec2.requests[0]).to.include({
+        ImageId: "ami-0123456789abcdef0",
+        InstanceType: "t3.small",
+        MinCount: "1",
+        MaxCount: "1",
+        KeyName: "ops",
+        "SecurityGroupId.1": "sg-1",
+        "SecurityGroupId.2": "sg-2",
+        SubnetId: "subnet-9",
+        UserData: Buffer.from("#!/bin/sh\necho hi").toString("base64"),
+        "TagSpecification.1.ResourceType": "instance",
+        "TagSpecification.1.Tag.1.Key": "Name",
+        "TagSpecification.1.Tag.1.Value": "heart-1",
+        "TagSpecification.1.Tag.2.Key": "team",
+        "TagSpecification.1.Tag.3.Value": "prod",
+      });
+    });
+
+    it("should fail after the configured polls without reaching running", async function () {
+      ec2 = await startEc2({ pendingPolls: 10 });
+      try {
+        await createAws({ waitRetries: 3 }).createServer();
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.equal("aws: instance i-0abc did not reach running within 0.03s");
+        expect(err.instanceId).to.equal("i-0abc");
+      }
+      expect(ec2.requests.filter((r) => r.Action === "DescribeInstances")).to.have.length(3);
+      // The instance that never came up is not left running.
+      expect(ec2.requests.at(-1)).to.include({ Action: "TerminateInstances", "InstanceId.1": "i-0abc" });
+    });
+
+    it("should fail when the instance is terminated while booting", async function () {
+      ec2 = await startEc2({ pendingPolls: 1, finalState: "terminated" });
+      try {
+        await createAws().createServer();
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.equal("aws: instance i-0abc is terminated: Server.InsufficientInstanceCapacity: Insufficient capacity.");
+      }
+      expect(ec2.requests.filter((r) => r.Action === "DescribeInstances")).to.have.length(2);
+    });
+
+    it("should surface RunInstances errors", async function () {
+      ec2 = await startEc2({ failRun: true });
+      try {
+        await createAws().createServer();
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.name).to.equal("InsufficientInstanceCapacity");
+        expect(err.message).to.equal("No capacity");
+      }
+    });
+
+    it("should describe an instance, or return null when it does not exist", async function () {
+      ec2 = await startEc2({ pendingPolls: 0 });
+      const provider = createAws();
+
+      expect(await provider.getServer("i-0abc")).to.deep.include({
+        instanceId: "i-0abc",
+        instanceName: "ChainHeart-Node",
+        status: "running",
+        publicIp: "203.0.113.7",
+        privateIp: "10.0.0.5",
+        region: "us-east-1",
+        zone: "us-east-1a",
+        imageId: "ami-0123456789abcdef0",
+        instanceType: "t3.micro",
+      });
+      expect(await provider.getServer("i-missing")).to.equal(null);
+    });
+
+    it("should terminate an instance", async function () {
+      ec2 = await startEc2();
+      const result = await createAws().destroyServer("i-0abc");
+
+      expect(result).to.deep.equal({ requestId: "req-terminate", status: "shutting-down" });
+      expect(ec2.requests[0]).to.include({ Action: "TerminateInstances", "InstanceId.1": "i-0abc" });
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // AliyunProvider
+  // ---------------------------------------------------------------------------
+  describe("AliyunProvider", function () {
+    const validConfig = {
+      accessKeyId: "test-key-id",
+      accessKeySecret: "test-key-secret",
+      region: "cn-hangzhou",
+      imageId: "m-test",
+      instanceType: "ecs.t6-c1m1.large",
+      securityGroupId: "sg-test",
+      vSwitchId: "vsw-test",
+    };
+
+    /** ECS answers: a Pending instance for the first `pendingPolls` polls, then Running. */
+    function stubClient({ pendingPolls = 1, found = true } = {}) {
+      const calls = [];
+      let polls = 0;
+      return {
+        calls,
+        async runInstances(request) {
+          calls.push({ action: "RunInstances", request });
+          return { body: { requestId: "req-run", instanceIdSets: { instanceIdSet: ["i-bp1"] } } };
+        },
+        async describeInstances(request) {
+          calls.push({ action: "DescribeInstances", request });
+          if (!found) return { body: { requestId: "req-describe", instances: { instance: [] } } };
+          polls++;
+          const running = polls > pendingPolls;
+          return {
+            body: {
+              requestId: "req-describe",
+              instances: {
+                instance: [{
+                  instanceId: "i-bp1",
+                  instanceName: "ChainHeart-Node",
+                  status: running ? "Running" : "Pending",
+                  publicIpAddress: { ipAddress: running ? ["47.0.0.1"] : [] },
+                  vpcAttributes: { privateIpAddress: { ipAddress: ["172.16.0.5"] } },
+                  regionId: "cn-hangzhou",
+                  zoneId: "cn-hangzhou-i",
+                  imageId: "m-test",
+                  instanceType: "ecs.t6-c1m1.large",
+                  instanceChargeType: "PostPaid",
+                  creationTime: "2026-01-01T00:00Z",
+                }],
+              },
+            },
+          };
+        },
+        async deleteInstance(request) {
+          calls.push({ action: "DeleteInstance", request });
+          return { body: { requestId: "req-delete" } };
+        },
+      };
+    }
+
+    function createAliyun(client, options = {}) {
+      const provider = new AliyunProvider({ ...validConfig, waitInterval: 1, log: () => {}, ...options });
+      provider.client = client;
+      return provider;
+    }
+
+    it("should instantiate with valid config", function () {
+      const provider = new AliyunProvider({ ...validConfig, log: () => {} });
+      expect(provider.name).to.equal("aliyun");
+      expect(provider.client.runInstances).to.be.a("function");
+    });
+
+    it("should throw listing all missing fields at once", function () {
+      expect(() => new AliyunProvider({}))
+        .to.throw("aliyun: missing config: accessKeyId, accessKeySecret, region, imageId, instanceType, securityGroupId, vSwitchId");
+    });
+
+    it("should throw if vSwitchId is missing", function () {
+      const config = { ...validConfig, vSwitchId: undefined };
+      expect(() => new AliyunProvider(config)).to.throw(/vSwitchId/);
+    });
+
+    it("should reject an unknown charge type", function () {
+      const config = { ...validConfig, chargeType: "Monthly" };
+      expect(() => new AliyunProvider(config)).to.throw('aliyun: invalid chargeType "Monthly", expected PostPaid or PrePaid');
+    });
+
+    it("should run a pay-as-you-go instance and wait for it to run", async function () {
+      const client = stubClient({ pendingPolls: 2 });
+      const provider = createAliyun(client, { zoneId: "cn-hangzhou-i", keyPairName: "ops", internetMaxBandwidthOut: "5" });
+
+      const server = await provider.createServer();
+
+      expect(server).to.deep.equal({
+        instanceId: "i-bp1",
+        instanceIds: ["i-bp1"],
+        requestId: "req-run",
+        status: "Running",
+        publicIp: "47.0.0.1",
+        privateIp: "172.16.0.5",
+      });
+      expect(client.calls.map((c) => c.action)).to.deep.equal(["RunInstances", "DescribeInstances", "DescribeInstances", "DescribeInstances"]);
+      const { request } = client.calls[0];
+      expect(request).to.be.instanceOf(provider.ecs.RunInstancesRequest);
+      expect(request).to.include({
+        regionId: "cn-hangzhou",
+        imageId: "m-test",
+        instanceType: "ecs.t6-c1m1.large",
+        securityGroupId: "sg-test",
+        vSwitchId: "vsw-test",
+        instanceName: "ChainHeart-Node",
+        instanceChargeType: "PostPaid",
+        zoneId: "cn-hangzhou-i",
+        keyPairName: "ops",
+        internetMaxBandwidthOut: 5,
+        amount: 1,
+      });
+      expect(request.period).to.equal(undefined);
+      expect(client.calls[1].request).to.include({ regionId: "cn-hangzhou", instanceIds: '["i-bp1"]' });
+    });
+
+    it("should buy a prepaid instance for the configured months", async function () {
+      const client = stubClient({ pendingPolls: 0 });
+      await createAliyun(client, { chargeType: "PrePaid", period: "3" }).createServer({ instanceName: "heart-1" });
+
+      expect(client.calls[0].request).to.include({
+        instanceChargeType: "PrePaid",
+        period: 3,
+        periodUnit: "Month",
+        autoRenew: false,
+        instanceName: "heart-1",
+      });
+    });
+
+    it("should surface RunInstances errors", async function () {
+      const client = stubClient();
+      client.runInstances = async () => {
+        throw Object.assign(new Error("code: 403, The specified instance type is out of stock."), { code: "OperationDenied.NoStock" });
+      };
+      try {
+        await createAliyun(client).createServer();
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.code).to.equal("OperationDenied.NoStock");
+      }
+    });
+
+    it("should fail when the instance does not reach Running in time", async function () {
+      const client = stubClient({ pendingPolls: 10 });
+      try {
+        await createAliyun(client, { waitRetries: 3, waitInterval: 10 }).createServer();
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.equal("aliyun: instance i-bp1 did not reach Running within 0.03s");
+        expect(err.instanceId).to.equal("i-bp1");
+      }
+      expect(client.calls.filter((c) => c.action === "DescribeInstances")).to.have.length(3);
+      // The instance that never came up is not left behind.
+      expect(client.calls.at(-1).action).to.equal("DeleteInstance");
+      expect(client.calls.at(-1).request).to.include({ instanceId: "i-bp1", force: true });
+    });
+
+    it("should describe an instance, or return null when it does not exist", async function () {
+      expect(await createAliyun(stubClient({ pendingPolls: 0 })).getServer("i-bp1")).to.deep.include({
+        instanceId: "i-bp1",
+        status: "Running",
+        publicIp: "47.0.0.1",
+        privateIp: "172.16.0.5",
+        zone: "cn-hangzhou-i",
+        chargeType: "PostPaid",
+      });
+      expect(await createAliyun(stubClient({ found: false })).getServer("i-gone")).to.equal(null);
+    });
+
+    it("should force-delete an instance", async function () {
+      const client = stubClient();
+      expect(await createAliyun(client).destroyServer("i-bp1")).to.deep.equal({ requestId: "req-delete" });
+      expect(client.calls[0].request).to.include({ instanceId: "i-bp1", force: true });
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Pay402Provider
+  // ---------------------------------------------------------------------------
+  describe("Pay402Provider", function () {
+    const PAY_TO = "0x000000000000000000000000000000000000dEaD";
+    const ASSET = "0x0000000000000000000000000000000000000123";
+    const PRICE = 50000n;
+
+    /**
+     * A local 402 provisioning API: POST /servers demands an "exact" payment of
+     * PRICE on `network`, checks the signed authorization and creates srv-1,
+     * which reports "provisioning" for the first `pendingPolls` GETs, then
+     * `finalState`.
+     */
+    async function start402({ network = "eip155:31337", pendingPolls = 1, finalState = "running" } = {}) {
+      const requests = [];
+      const payments = [];
+      let polls = 0;
+      const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+          const reply = (status, json, headers = {}) => {
+            res.writeHead(status, { "Content-Type": "application/json", ...headers });
+            res.end(json === undefined ? "" : JSON.stringify(json));
+          };
+          const requirement = {
+            scheme: "exact",
+            network,
+            maxAmountRequired: PRICE.toString(),
+            resource: `http://${req.headers.host}/servers`,
+            payTo: PAY_TO,
+            maxTimeoutSeconds: 60,
+            asset: ASSET,
+            extra: { name: "USD Coin", version: "2" },
+          };
+
+          if (req.method === "POST" && req.url === "/servers") {
+            const header = req.headers["x-payment"];
+            if (!header) return reply(402, { x402Version: 1, error: "X-PAYMENT header is required", accepts: [requirement] });
+
+            const payment = JSON.parse(Buffer.from(header, "base64").toString("utf8"));
+            const { signature, authorization } = payment.payload;
+            const signer = ethers.verifyTypedData(
+              { name: "USD Coin", version: "2", chainId: 31337, verifyingContract: ASSET },
+              { TransferWithAuthorization: [
+                { name: "from", type: "address" },
+                { name: "to", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "validAfter", type: "uint256" },
+                { name: "validBefore", type: "uint256" },
+                { name: "nonce", type: "bytes32" },
+              ] },
+              authorization,
+              signature,
+            );
+            if (signer !== authorization.from || authorization.to !== PAY_TO || BigInt(authorization.value) < PRICE) {
+              return reply(402, { x402Version: 1, error: "invalid payment", accepts: [requirement] });
+            }
+            payments.push(payment);
+            const settlement = Buffer.from(JSON.stringify({ success: true, transaction: "0xfeed", network, payer: signer })).toString("base64");
+            return reply(201, { instanceId: "srv-1", status: "provisioning" }, { "X-PAYMENT-RESPONSE": settlement });
+          }
+          if (req.url === "/servers/srv-1") {
+            if (req.method === "DELETE") return reply(204);
+            polls++;
+            const status = polls > pendingPolls ? finalState : "provisioning";
+            return reply(200, { instanceId: "srv-1", status, publicIp: status === "running" ? "198.51.100.4" : null });
+          }
+          return reply(404, { error: "not found" });
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      return { server, requests, payments, endpoint: `http://127.0.0.1:${server.address().port}/` };
+    }
+
+    let api;
+    afterEach(async function () {
+      if (api) await new Promise((resolve) => api.server.close(resolve));
+      api = null;
+    });
+
+    function createPay402(options = {}) {
+      const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+      const provider = new Pay402Provider({
+        endpoint: api.endpoint,
+        maxAmount: "100000",
+        wallet,
+        waitInterval: 1,
+        log: () => {},
+        ...options,
+      });
+      return { provider, wallet };
+    }
+
+    it("should throw listing all missing fields at once", function () {
+      expect(() => new Pay402Provider({})).to.throw("pay402: missing config: endpoint, maxAmount, wallet");
+    });
+
+    it("should pay the 402 challenge with the node's wallet and wait for the server", async function () {
+      api = await start402({ pendingPolls: 2 });
+      const { provider, wallet } = createPay402({ token: "api-token", instanceName: "heart-1" });
+
+      const server = await provider.createServer();
+
+      expect(server).to.deep.equal({
+        instanceId: "srv-1",
+        status: "running",
+        publicIp: "198.51.100.4",
+        payment: { transaction: "0xfeed", network: "eip155:31337", payer: wallet.address },
+      });
+      expect(api.requests.map((r) => `${r.method} ${r.url}`)).to.deep.equal([
+        "POST /servers",
+        "POST /servers",
+        "GET /servers/srv-1",
+        "GET /servers/srv-1",
+        "GET /servers/srv-1",
+      ]);
+      expect(api.requests.every((r) => r.headers.authorization === "Bearer api-token")).to.equal(true);
+      expect(JSON.parse(api.requests[1].body)).to.deep.equal({ name: "heart-1" });
+
+      const [payment] = api.payments;
+      expect(payment).to.include({ x402Version: 1, scheme: "exact", network: "eip155:31337" });
+      expect(payment.payload.authorization).to.include({ from: wallet.address, to: PAY_TO, value: PRICE.toString() });
+      expect(payment.payload.authorization.nonce).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("should fail when the paid server fails or never runs", async function () {
+      const cases = [
+        [{ pendingPolls: 1, finalState: "failed" }, {}, "pay402: instance srv-1 is failed"],
+        [{ pendingPolls: 10 }, { waitRetries: 3, waitInterval: 10 }, "pay402: instance srv-1 did not reach running within 0.03s"],
+      ];
+      for (const [api402, options, message] of cases) {
+        api = await start402(api402);
+        try {
+          const { provider, wallet } = createPay402(options);
+          try {
+            await provider.createServer();
+            expect.fail("should have thrown");
+          } catch (err) {
+            expect(err.message).to.equal(message);
+            expect(err.instanceId).to.equal("srv-1");
+            expect(err.payment).to.deep.equal({ transaction: "0xfeed", network: "eip155:31337", payer: wallet.address });
+          }
+          // The paid server that never came up is not left behind.
+          expect(api.requests.at(-1)).to.include({ method: "DELETE", url: "/servers/srv-1" });
+        } finally {
+          await new Promise((resolve) => api.server.close(resolve));
+          api = null;
+        }
+      }
+    });
+
+    it("should refuse to pay more than maxAmount", async function () {
+      api = await start402();
+      const { provider } = createPay402({ maxAmount: "49999" });
+      try {
+        await provider.createServer();
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.equal("pay402: server asks 50000, above maxAmount 49999");
+      }
+      expect(api.requests).to.have.length(1);
+    });
+
+    it("should refuse to pay on another chain", async function () {
+      api = await start402({ network: "base" });
+      const { provider } = createPay402();
+      try {
+        await provider.createServer();
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.equal("pay402: no payment option for chain 31337 (offered: exact/base)");
+      }
+      expect(api.requests).to.have.length(1);
+    });
+
+    it("should describe and delete servers", async function () {
+      api = await start402({ pendingPolls: 0 });
+      const { provider } = createPay402();
+
+      expect(await provider.getServer("srv-1")).to.deep.equal({ instanceId: "srv-1", status: "running", publicIp: "198.51.100.4" });
+      expect(await provider.getServer("srv-gone")).to.equal(null);
+      expect(await provider.destroyServer("srv-1")).to.deep.equal({ instanceId: "srv-1" });
+      expect(api.requests.at(-1)).to.include({ method: "DELETE", url: "/servers/srv-1" });
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // WebhookProvider
+  // ---------------------------------------------------------------------------
+  describe("WebhookProvider", function () {
+    const MAC = "AA:BB:CC:DD:EE:01";
+
+    /** A local provisioning API that records requests and answers from `routes`. */
+    async function startApi(routes) {
+      const requests = [];
+      const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+          const [status, json] = routes[req.url] || [404, { error: "not found" }];
+          res.writeHead(status, { "Content-Type": "application/json" });
+          res.end(JSON.stringify(json));
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      return { server, requests, base: `http://127.0.0.1:${server.address().port}` };
+    }
+
+    let api;
+    afterEach(async function () {
+      if (api) await new Promise((resolve) => api.server.close(resolve));
+      api = null;
+    });
+
+    it("should require a create URL and valid JSON templates", function () {
+      expect(() => new WebhookProvider({})).to.throw("webhook: missing config: createUrl");
+      expect(() => new WebhookProvider({ createUrl: "http://x", createBody: "{mac}" })).to.throw(/createBody is not valid JSON/);
+      expect(() => new WebhookProvider({ createUrl: "http://x", headers: "[1]" })).to.throw("webhook: headers must be a JSON object");
+    });
+
+    it("should POST templated bodies with auth headers", async function () {
+      api = await startApi({
+        "/create": [201, { id: 42, ip: "192.0.2.10" }],
+        "/servers/42/status": [200, { instanceId: "42", status: "up" }],
+        "/servers/42/delete": [200, { deleted: true }],
+      });
+      const provider = new WebhookProvider({
+        createUrl: `${api.base}/create`,
+        getUrl: `${api.base}/servers/{{instanceId}}/status`,
+        destroyUrl: `${api.base}/servers/{{ instanceId }}/delete`,
+        createBody: '{"node":"{{mac}}","size":"{{size}}","count":1,"tags":["chainheart","{{mac}}"]}',
+        token: "s3cret",
+        headers: '{"X-Team":"ops"}',
+        mac: MAC,
+        log: () => {},
+      });
+
+      expect(await provider.createServer({ size: "large" })).to.deep.equal({ id: 42, ip: "192.0.2.10", instanceId: "42" });
+      expect(await provider.getServer("42")).to.deep.equal({ instanceId: "42", status: "up" });
+      expect(await provider.destroyServer("42")).to.deep.equal({ instanceId: "42", deleted: true });
+
+      expect(api.requests.map((r) => r.body)).to.deep.equal([
+        { node: MAC, size: "large", count: 1, tags: ["chainheart", MAC] },
+        { mac: MAC, instanceId: "42" },
+        { mac: MAC, instanceId: "42" },
+      ]);
+      expect(api.requests[0].headers).to.include({ authorization: "Bearer s3cret", "x-team": "ops", "content-type": "application/json" });
+    });
+
+    it("should URL-encode values in URLs and report failures", async function () {
+      api = await startApi({ "/create": [500, { error: "quota" }] });
+      const provider = new WebhookProvider({ createUrl: `${api.base}/create`, getUrl: `${api.base}/get/{{instanceId}}`, mac: MAC, log: () => {} });
+
+      expect(await provider.getServer("a b/c")).to.equal(null);
+      expect(api.requests[0].url).to.equal("/get/a%20b%2Fc");
+      try {
+        await provider.createServer();
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.equal('webhook: create failed: HTTP 500 {"error":"quota"}');
+      }
+      try {
+        await provider.destroyServer("42");
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.equal("webhook: destroyUrl is not configured");
+      }
+    });
+
+    it("should reject a create answer without an instance id", async function () {
+      api = await startApi({ "/create": [200, { ok: true }] });
+      const provider = new WebhookProvider({ createUrl: `${api.base}/create`, mac: MAC, log: () => {} });
+      try {
+        await provider.createServer();
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.equal("webhook: create response has no instanceId");
+      }
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // ExecProvider
   // ---------------------------------------------------------------------------
-  describe("Placeholder providers", function () {
-    it("AliyunProvider should have correct name", function () {
-      const p = new AliyunProvider();
-      expect(p.name).to.equal("aliyun");
+  describe("ExecProvider", function () {
+    const MAC = "AA:BB:CC:DD:EE:01";
+
+    function createExec(config) {
+      return new ExecProvider({ mac: MAC, log: () => {}, ...config });
+    }
+
+    it("should require a create command", function () {
+      expect(() => new ExecProvider({})).to.throw("exec: missing config: createCommand");
+    });
+
+    it("should pass the action, MAC and instance id in env and parse the last JSON line", async function () {
+      const provider = createExec({
+        createCommand: `echo "Applying..."; printf '{"instanceId":"vm-1","action":"%s","mac":"%s"}\\n' "$CHAINHEART_ACTION" "$CHAINHEART_MAC"`,
+        getCommand: `printf '{"instanceId":"%s","action":"%s"}' "$CHAINHEART_INSTANCE_ID" "$CHAINHEART_ACTION"`,
+        destroyCommand: "true",
+      });
+
+      expect(await provider.createServer()).to.deep.equal({ instanceId: "vm-1", action: "create", mac: MAC });
+      expect(await provider.getServer("vm-1")).to.deep.equal({ instanceId: "vm-1", action: "get" });
+      expect(await provider.destroyServer("vm-1")).to.deep.equal({ instanceId: "vm-1" });
+    });
+
+    it("should fail on a non-zero exit, missing JSON or a missing instance id", async function () {
+      const cases = [
+        [{ createCommand: "echo 'no capacity' >&2; exit 3" }, "exec: exited with 3: no capacity"],
+        [{ createCommand: "echo done" }, "exec: create command printed no JSON: done"],
+        [{ createCommand: "echo '{}'" }, "exec: create command printed no instanceId"],
+      ];
+      for (const [config, message] of cases) {
+        try {
+          await createExec(config).createServer();
+          expect.fail("should have thrown");
+        } catch (err) {
+          expect(err.message).to.equal(message);
+        }
+      }
+      expect(await createExec({ createCommand: "true", getCommand: "true" }).getServer("vm-gone")).to.equal(null);
     });
 
-    it("AwsProvider should have correct name", function () {
-      const p = new AwsProvider();
-      expect(p.name).to.equal("aws");
+    it("should kill a command that runs past the timeout", async function () {
+      const provider = createExec({ createCommand: "sleep 5; echo late" });
+      provider.timeout = 200;
+      try {
+        await provider.createServer();
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.equal("exec: timed out after 0.2s");
+      }
     });
 
-    it("Pay402Provider should have correct name", function () {
-      const p = new Pay402Provider();
-      expect(p.name).to.equal("pay402");
+    it("should fail on time and SIGKILL a command that ignores SIGTERM", async function () {
+      const pidFile = path.join(os.tmpdir(), `chainheart-exec-${process.pid}.pid`);
+      const provider = createExec({ createCommand: `trap '' TERM; echo $$ > "${pidFile}"; sleep 5; echo late` });
+      provider.timeout = 200;
+      provider.killGrace = 100;
+      const started = Date.now();
+      try {
+        await provider.createServer();
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.equal("exec: timed out after 0.2s");
+      }
+      expect(Date.now() - started).to.be.below(2000);
+
+      const pid = parseInt(fs.readFileSync(pidFile, "utf8"), 10);
+      fs.unlinkSync(pidFile);
+      const alive = () => {
+        try {
+          process.kill(pid, 0);
+          return true;
+        } catch {
+          return false;
+        }
+      };
+      const until = Date.now() + 2000;
+      while (alive() && Date.now() < until) await new Promise((resolve) => setTimeout(resolve, 25));
+      expect(alive()).to.equal(false);
+    });
+
+    it("should keep only the end of a large output", async function () {
+      const provider = createExec({ createCommand: `head -c 100000 /dev/zero | tr '\\0' x; echo; echo '{"instanceId":"vm-big"}'` });
+      provider.maxOutput = 1000;
+      expect(await provider.createServer()).to.deep.equal({ instanceId: "vm-big" });
     });
   });
 
@@ -164,9 +901,51 @@ describe("Cloud Providers", function () {
       expect(provider.name).to.equal("tencent-lighthouse");
     });
 
+    it("should create AwsProvider from AWS_* env vars", function () {
+      process.env.CLOUD_PROVIDER = "aws";
+      process.env.AWS_REGION = "eu-west-1";
+      process.env.AWS_AMI_ID = "ami-1";
+      process.env.AWS_SECURITY_GROUP_IDS = "sg-1,sg-2";
+      process.env.AWS_TAGS = "team=ops";
+
+      const provider = createProvider({ log: () => {} });
+      expect(provider).to.be.instanceOf(AwsProvider);
+      expect(provider.config).to.include({ region: "eu-west-1", imageId: "ami-1" });
+      expect(provider.securityGroupIds).to.deep.equal(["sg-1", "sg-2"]);
+      expect(provider.tags).to.deep.equal({ team: "ops" });
+    });
+
+    it("should give Pay402Provider the node's wallet", function () {
+      process.env.CLOUD_PROVIDER = "pay402";
+      process.env.PAY402_ENDPOINT = "http://localhost:8402";
+      process.env.PAY402_MAX_AMOUNT = "1000000";
+      const wallet = ethers.Wallet.createRandom();
+
+      const provider = createProvider({ wallet, log: () => {} });
+      expect(provider).to.be.instanceOf(Pay402Provider);
+      expect(provider.config.wallet).to.equal(wallet);
+      expect(provider.maxAmount).to.equal(1000000n);
+    });
+
+    it("should give the webhook and exec providers the node's MAC", function () {
+      process.env.CLOUD_PROVIDER = "webhook";
+      process.env.WEBHOOK_CREATE_URL = "http://localhost/create";
+      process.env.WEBHOOK_TIMEOUT = "5";
+      const webhook = createProvider({ mac: "AA:BB:CC:DD:EE:01", log: () => {} });
+      expect(webhook).to.be.instanceOf(WebhookProvider);
+      expect(webhook.config.mac).to.equal("AA:BB:CC:DD:EE:01");
+      expect(webhook.timeout).to.equal(5000);
+
+      process.env.CLOUD_PROVIDER = "exec";
+      process.env.EXEC_CREATE_COMMAND = "./provision.sh";
+      const exec = createProvider({ mac: "AA:BB:CC:DD:EE:01", log: () => {} });
+      expect(exec).to.be.instanceOf(ExecProvider);
+      expect(exec.config).to.include({ createCommand: "./provision.sh", mac: "AA:BB:CC:DD:EE:01" });
+    });
+
     it("should list all supported providers", function () {
       expect(PROVIDERS).to.have.all.keys(
-        "tencent-lighthouse", "aliyun", "aws", "pay402"
+        "tencent-lighthouse", "aliyun", "aws", "pay402", "webhook", "exec"
       );
     });
   });
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const {
+  signRelayRequest,
+  submitRelayRequest,
+  createRelayServer,
+  sendToRelayer,
+} = require("../client/relayer");
+
+describe("Relayer", function () {
+  const TIMEOUT = 3600;
+  const MAC_A = "AA:BB:CC:DD:EE:01";
+  const MAC_B = "AA:BB:CC:DD:EE:02";
+  const DEFAULT_CLUSTER = ethers.ZeroHash;
+
+  async function deployFixture() {
+    const [shared, relayer] = await ethers.getSigners();
+    const ChainHeart = await ethers.getContractFactory("ChainHeart");
+    const heart = await ChainHeart.deploy(TIMEOUT, shared.address, "");
+    await heart.registerNode(MAC_A);
+    await heart.registerNode(MAC_B);
+    return { heart, shared, relayer };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Signing and submission
+  // ---------------------------------------------------------------------------
+  describe("signRelayRequest / submitRelayRequest", function () {
+    it("should sign an election that a funded relayer can submit", async function () {
+      const { heart, shared, relayer } = await loadFixture(deployFixture);
+      const request = await signRelayRequest(heart, shared, "elect", DEFAULT_CLUSTER, MAC_A);
+      expect(request.deadline).to.equal((await time.latest()) + 300);
+
+      await expect(submitRelayRequest(heart.connect(relayer), request))
+        .to.emit(heart, "MasterElected");
+      expect(await heart.currentMasterMAC()).to.equal(MAC_A);
+    });
+
+    it("should pick up the next nonce for each request", async function () {
+      const { heart, shared, relayer } = await loadFixture(deployFixture);
+      await submitRelayRequest(heart.connect(relayer), await signRelayRequest(heart, shared, "elect", DEFAULT_CLUSTER, MAC_A));
+      await submitRelayRequest(heart.connect(relayer), await signRelayRequest(heart, shared, "heartbeat", DEFAULT_CLUSTER, MAC_A));
+      expect(await heart.nonces(DEFAULT_CLUSTER, MAC_A)).to.equal(2);
+    });
+
+    it("should not broadcast a request that would revert", async function () {
+      const { heart, shared, relayer } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_A);
+      const request = await signRelayRequest(heart, shared, "elect", DEFAULT_CLUSTER, MAC_B);
+      const nonceBefore = await ethers.provider.getTransactionCount(relayer.address);
+
+      await expect(submitRelayRequest(heart.connect(relayer), request))
+        .to.be.revertedWithCustomError(heart, "MasterStillAlive");
+      expect(await ethers.provider.getTransactionCount(relayer.address)).to.equal(nonceBefore);
+    });
+
+    it("should sign a resign and a handover to a named successor", async function () {
+      const { heart, shared, relayer } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_A);
+
+      const handover = await signRelayRequest(heart, shared, "handover", DEFAULT_CLUSTER, MAC_A, 300, MAC_B);
+      expect(handover.toMac).to.equal(MAC_B);
+      await expect(submitRelayRequest(heart.connect(relayer), handover))
+        .to.emit(heart, "MasterResigned")
+        .withArgs(DEFAULT_CLUSTER, MAC_A, MAC_B, 1, anyValue);
+      expect(await heart.currentMasterMAC()).to.equal(MAC_B);
+
+      await submitRelayRequest(heart.connect(relayer), await signRelayRequest(heart, shared, "resign", DEFAULT_CLUSTER, MAC_B));
+      expect(await heart.currentMasterMAC()).to.equal("");
+    });
+
+    it("should sign a node liveness heartbeat", async function () {
+      const { heart, shared, relayer } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_A);
+      const request = await signRelayRequest(heart, shared, "nodeHeartbeat", DEFAULT_CLUSTER, MAC_B);
+
+      await expect(submitRelayRequest(heart.connect(relayer), request))
+        .to.emit(heart, "NodeHeartbeat")
+        .withArgs(DEFAULT_CLUSTER, MAC_B, anyValue);
+      expect(await heart["listLiveNodes()"]()).to.include(MAC_B);
+    });
+
+    it("should not accept a handover signature for another successor", async function () {
+      const { heart, shared, relayer } = await loadFixture(deployFixture);
+      await heart.registerNode("AA:BB:CC:DD:EE:03");
+      await heart.electMaster(MAC_A);
+      const request = await signRelayRequest(heart, shared, "handover", DEFAULT_CLUSTER, MAC_A, 300, MAC_B);
+
+      await expect(submitRelayRequest(heart.connect(relayer), { ...request, toMac: "AA:BB:CC:DD:EE:03" }))
+        .to.be.revertedWithCustomError(heart, "Unauthorized");
+    });
+
+    it("should reject unknown actions and a handover without a successor", async function () {
+      const { heart, shared } = await loadFixture(deployFixture);
+      try {
+        await signRelayRequest(heart, shared, "register", DEFAULT_CLUSTER, MAC_A);
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.include('Unknown relay action: "register"');
+      }
+      try {
+        await signRelayRequest(heart, shared, "handover", DEFAULT_CLUSTER, MAC_A);
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.include("needs the successor's MAC");
+      }
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // HTTP relay server
+  // ---------------------------------------------------------------------------
+  describe("createRelayServer / sendToRelayer", function () {
+    let server;
+    let url;
+
+    async function startServer(contract) {
+      server = createRelayServer(contract);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      url = `http://127.0.0.1:${server.address().port}`;
+    }
+
+    afterEach(async function () {
+      if (server) await new Promise((resolve) => server.close(resolve));
+      server = null;
+    });
+
+    it("should relay a signed heartbeat and return its tx hash", async function () {
+      const { heart, shared, relayer } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_A);
+      await startServer(heart.connect(relayer));
+
+      const request = await signRelayRequest(heart, shared, "heartbeat", DEFAULT_CLUSTER, MAC_A);
+      const txHash = await sendToRelayer(url, request);
+      const receipt = await ethers.provider.getTransactionReceipt(txHash);
+
+      expect(receipt.status).to.equal(1);
+      expect(receipt.from).to.equal(relayer.address);
+      expect(await heart.getNodeHeartbeat(MAC_A)).to.equal(await time.latest());
+    });
+
+    it("should report the revert reason when a request is rejected", async function () {
+      const { heart, shared, relayer } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_A);
+      await startServer(heart.connect(relayer));
+
+      const request = await signRelayRequest(heart, shared, "elect", DEFAULT_CLUSTER, MAC_B);
+      try {
+        await sendToRelayer(url, request);
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.include("Relayer rejected elect");
+        expect(err.message).to.include("MasterStillAlive");
+      }
+    });
+
+    it("should reject malformed bodies and unknown routes", async function () {
+      const { heart, relayer } = await loadFixture(deployFixture);
+      await startServer(heart.connect(relayer));
+
+      const bad = await fetch(`${url}/relay`, { method: "POST", body: "{not json" });
+      expect(bad.status).to.equal(400);
+      expect((await bad.json()).error).to.include("Invalid request");
+
+      const missing = await fetch(`${url}/other`);
+      expect(missing.status).to.equal(404);
+    });
+  });
+});
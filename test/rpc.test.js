@@ -0,0 +1,204 @@
+const http = require("http");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { RpcPool, endpointLabel } = require("../client/rpc");
+const { ChainHeartNode } = require("../client/node");
+
+describe("RpcPool", function () {
+  const TIMEOUT = 3600;
+  const MAC_A = "AA:BB:CC:DD:EE:01";
+  const MAC_B = "AA:BB:CC:DD:EE:02";
+  // Hardhat account #0, the shared key in the fixture
+  const SHARED_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+  async function deployFixture() {
+    const [shared] = await ethers.getSigners();
+    const ChainHeart = await ethers.getContractFactory("ChainHeart");
+    const heart = await ChainHeart.deploy(TIMEOUT, shared.address, "");
+    await heart.registerNode(MAC_A);
+    await heart.registerNode(MAC_B);
+    return { heart, shared };
+  }
+
+  /**
+   * A JSON-RPC endpoint in front of the Hardhat network. `set()` makes it slow
+   * (`delay` ms), stale (`pinBlock`: block number and calls frozen at that
+   * block) or `down` (connections dropped).
+   */
+  async function startEndpoint(behaviour = {}) {
+    let state = { delay: 0, pinBlock: null, down: false, ...behaviour };
+
+    async function handle({ id, method, params = [] }) {
+      if (state.pinBlock !== null) {
+        if (method === "eth_blockNumber") return { jsonrpc: "2.0", id, result: ethers.toQuantity(state.pinBlock) };
+        if (method === "eth_call") params = [params[0], ethers.toQuantity(state.pinBlock)];
+      }
+      try {
+        return { jsonrpc: "2.0", id, result: await network.provider.send(method, params) };
+      } catch (err) {
+        return { jsonrpc: "2.0", id, error: { code: err.code ?? -32603, message: err.message, data: err.data } };
+      }
+    }
+
+    const server = http.createServer((req, res) => {
+      if (state.down) return req.socket.destroy();
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", async () => {
+        await new Promise((resolve) => setTimeout(resolve, state.delay));
+        const payload = JSON.parse(body);
+        const result = Array.isArray(payload) ? await Promise.all(payload.map(handle)) : await handle(payload);
+        res.setHeader("content-type", "application/json");
+        res.end(JSON.stringify(result));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    servers.push(server);
+
+    return {
+      url: `http://127.0.0.1:${server.address().port}/v1/secret-api-key`,
+      set: (changes) => (state = { ...state, ...changes }),
+    };
+  }
+
+  const servers = [];
+  const cleanups = [];
+  afterEach(async function () {
+    while (cleanups.length > 0) await cleanups.pop()();
+    while (servers.length > 0) {
+      const server = servers.pop();
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  function createPool(urls, options = {}) {
+    const lines = [];
+    const pool = new RpcPool(urls, { ...options, log: (level, msg) => lines.push(`[${level}] ${msg}`) });
+    cleanups.push(() => pool.stop());
+    return { pool, lines };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Health checks
+  // ---------------------------------------------------------------------------
+  describe("check", function () {
+    it("should route to the fastest endpoint that is not lagging", async function () {
+      await loadFixture(deployFixture);
+      const head = await ethers.provider.getBlockNumber();
+      const stale = await startEndpoint({ pinBlock: head - 2 });
+      const slow = await startEndpoint({ delay: 60 });
+      const fast = await startEndpoint();
+      const { pool } = createPool([stale.url, slow.url, fast.url], { maxLag: 1 });
+
+      const status = await pool.check();
+
+      expect(status.map((s) => s.label)).to.deep.equal([fast, slow, stale].map((e) => endpointLabel(e.url)));
+      expect(status[0]).to.include({ healthy: true, blockNumber: head, error: null });
+      expect(status[2]).to.include({ healthy: false, error: "2 blocks behind" });
+    });
+
+    it("should mark endpoints that do not answer as unhealthy", async function () {
+      const down = await startEndpoint({ down: true });
+      const up = await startEndpoint();
+      const { pool, lines } = createPool([down.url, up.url]);
+
+      await pool.check();
+
+      expect(pool.best().url).to.equal(up.url);
+      expect(pool.status()[1].healthy).to.equal(false);
+      expect(lines.some((line) => line.startsWith("[WARN] RPC 127.0.0.1"))).to.equal(true);
+    });
+
+    it("should log hosts only, never the URL path", async function () {
+      const endpoint = await startEndpoint();
+      const { pool, lines } = createPool([endpoint.url]);
+      await pool.check();
+      expect(lines.join("\n")).to.not.include("secret-api-key");
+    });
+
+    it("should require at least one URL", function () {
+      expect(() => new RpcPool([])).to.throw("at least one RPC URL is required");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Routing
+  // ---------------------------------------------------------------------------
+  describe("provider", function () {
+    it("should fail over when the best endpoint goes down", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      const first = await startEndpoint();
+      const second = await startEndpoint({ delay: 20 });
+      const { pool, lines } = createPool([first.url, second.url]);
+      await pool.check();
+      expect(pool.best().url).to.equal(first.url);
+
+      first.set({ down: true });
+      const contract = heart.connect(pool.provider);
+
+      expect(await contract.isNodeRegistered(MAC_A)).to.equal(true);
+      expect(pool.best().url).to.equal(second.url);
+      expect(lines.some((line) => line.includes("Routing RPC requests to"))).to.equal(true);
+    });
+
+    it("should pass reverts through without failing over", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      const first = await startEndpoint();
+      const second = await startEndpoint({ delay: 20 });
+      const { pool } = createPool([first.url, second.url]);
+      await pool.check();
+
+      const wallet = new ethers.Wallet(SHARED_KEY, pool.provider);
+      await expect(heart.connect(wallet).getFunction("sendHeartbeat(string)").staticCall(MAC_A))
+        .to.be.revertedWithCustomError(heart, "NoMasterElected");
+      expect(pool.best().url).to.equal(first.url);
+      expect(pool.status().every((s) => s.healthy)).to.equal(true);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Quorum
+  // ---------------------------------------------------------------------------
+  describe("ChainHeartNode with rpcQuorum", function () {
+    it("should not elect until a quorum of endpoints sees the master timed out", async function () {
+      const { heart } = await loadFixture(deployFixture);
+      await heart.electMaster(MAC_B);
+      const head = await ethers.provider.getBlockNumber();
+      const current = await startEndpoint();
+      // Slower, so the node reads through `current` and only the quorum check sees `stale`.
+      const stale = await startEndpoint({ pinBlock: head, delay: 30 });
+
+      const lines = [];
+      const node = new ChainHeartNode({
+        contractAddress: await heart.getAddress(),
+        privateKey: SHARED_KEY,
+        mac: MAC_A,
+        rpcUrls: [current.url, stale.url],
+        rpcQuorum: 2,
+        rpc: { maxLag: 100 },
+        checkInterval: 3600 * 1000,
+        log: (level, msg) => lines.push(`[${level}] ${msg}`),
+      });
+      cleanups.push(() => node.stop({ resign: false }));
+      await node.start();
+
+      await time.increase(TIMEOUT + 1);
+      await node.tick();
+      expect(node.isMaster()).to.equal(false);
+      expect(lines.some((line) => line.includes("Master timeout seen by 1/2 RPC endpoints, quorum is 2"))).to.equal(true);
+
+      stale.set({ pinBlock: null });
+      await node.tick();
+      expect(node.isMaster()).to.equal(true);
+      expect(await heart.currentMasterMAC()).to.equal(MAC_A);
+    });
+
+    it("should reject a quorum larger than the number of endpoints", function () {
+      expect(() => new ChainHeartNode({ contractAddress: ethers.ZeroAddress, privateKey: SHARED_KEY, mac: MAC_A, rpcUrls: ["http://127.0.0.1:1"], rpcQuorum: 2 }))
+        .to.throw("rpcQuorum 2 needs at least that many rpcUrls");
+    });
+  });
+});
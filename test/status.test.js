@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { ChainHeartNode } = require("../client/node");
+const { createStatusServer } = require("../client/status");
+
+describe("Status server", function () {
+  const MAC_A = "AA:BB:CC:DD:EE:01";
+  const MAC_B = "AA:BB:CC:DD:EE:02";
+
+  async function deployFixture() {
+    const [shared] = await ethers.getSigners();
+    const ChainHeart = await ethers.getContractFactory("ChainHeart");
+    const heart = await ChainHeart.deploy(3600, shared.address, "");
+    await heart.registerNode(MAC_A);
+    await heart.registerNode(MAC_B);
+    return { heart, shared };
+  }
+
+  const nodes = [];
+  const servers = [];
+  afterEach(async function () {
+    while (nodes.length > 0) await nodes.pop().stop({ resign: false });
+    while (servers.length > 0) {
+      const server = servers.pop();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  async function createNode(heart, wallet, mac) {
+    const node = new ChainHeartNode({ contractAddress: await heart.getAddress(), wallet, mac, checkInterval: 3600 * 1000 });
+    nodes.push(node);
+    return node;
+  }
+
+  async function serve(node, options) {
+    const server = createStatusServer(node, options);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    servers.push(server);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    return (path, init) => fetch(`${base}${path}`, init);
+  }
+
+  it("should report healthy only while the node is running", async function () {
+    const { heart, shared } = await loadFixture(deployFixture);
+    const node = await createNode(heart, shared, MAC_A);
+    const get = await serve(node);
+
+    expect((await get("/healthz")).status).to.equal(503);
+    await node.start();
+    const res = await get("/healthz");
+    expect(res.status).to.equal(200);
+    expect(await res.json()).to.deep.equal({ ok: true });
+  });
+
+  it("should be ready once the node knows the master", async function () {
+    const { heart, shared } = await loadFixture(deployFixture);
+    await heart.electMaster(MAC_B);
+    const node = await createNode(heart, shared, MAC_A);
+    const get = await serve(node);
+
+    expect((await get("/readyz")).status).to.equal(503);
+    await node.start();
+
+    const res = await get("/readyz");
+    expect(res.status).to.equal(200);
+    expect(await res.json()).to.deep.equal({ ready: true, role: "slave", master: MAC_B });
+  });
+
+  it("should only pass the master check on the master", async function () {
+    const { heart, shared } = await loadFixture(deployFixture);
+    const master = await createNode(heart, shared, MAC_A);
+    const slave = await createNode(heart, shared, MAC_B);
+    await master.start();
+    await slave.start();
+
+    expect((await (await serve(master))("/readyz?role=master")).status).to.equal(200);
+    expect((await (await serve(slave))("/readyz?role=master")).status).to.equal(503);
+  });
+
+  it("should describe the node in /status", async function () {
+    const { heart, shared } = await loadFixture(deployFixture);
+    const node = await createNode(heart, shared, MAC_A);
+    await node.start();
+    const get = await serve(node, { provider: "aws" });
+
+    const status = await (await get("/status")).json();
+
+    const [, lastHeartbeat] = await heart.getCurrentMaster();
+    expect(status).to.include({
+      mac: MAC_A,
+      cluster: "(default)",
+      role: "master",
+      state: "Running",
+      master: MAC_A,
+      lastHeartbeat: Number(lastHeartbeat),
+      epoch: 1,
+      running: true,
+      provider: "aws",
+      rpc: null,
+    });
+    expect(status.lastTx).to.include({ label: "elect", status: "confirmed" });
+    expect(status.lastTx.hash).to.match(/^0x[0-9a-f]{64}$/);
+  });
+
+  it("should reject other methods and paths", async function () {
+    const { heart, shared } = await loadFixture(deployFixture);
+    const get = await serve(await createNode(heart, shared, MAC_A));
+
+    expect((await get("/status", { method: "POST" })).status).to.equal(405);
+    expect((await get("/metrics")).status).to.equal(404);
+  });
+});
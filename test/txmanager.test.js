@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { TxManager } = require("../client/txmanager");
+
+describe("TxManager", function () {
+  const MAC_A = "AA:BB:CC:DD:EE:01";
+  const MAC_B = "AA:BB:CC:DD:EE:02";
+  const MAC_C = "AA:BB:CC:DD:EE:03";
+
+  async function deployFixture() {
+    const [admin] = await ethers.getSigners();
+    const ChainHeart = await ethers.getContractFactory("ChainHeart");
+    const heart = await ChainHeart.deploy(3600, admin.address, "");
+    return { heart, admin };
+  }
+
+  function createManager(wallet, options = {}) {
+    const lines = [];
+    const manager = new TxManager(wallet, { pollInterval: 20, ...options, log: (level, msg) => lines.push(`[${level}] ${msg}`) });
+    return { manager, lines };
+  }
+
+  async function waitFor(predicate, ms = 5000) {
+    const until = Date.now() + ms;
+    while (!(await predicate())) {
+      if (Date.now() > until) throw new Error("timed out waiting for condition");
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+
+  const mine = () => ethers.provider.send("evm_mine", []);
+
+  afterEach(async function () {
+    await ethers.provider.send("evm_setAutomine", [true]);
+  });
+
+  // ---------------------------------------------------------------------------
+  // Sending
+  // ---------------------------------------------------------------------------
+  describe("send", function () {
+    it("should send a tx and log its outcome", async function () {
+      const { heart, admin } = await loadFixture(deployFixture);
+      const { manager, lines } = createManager(admin);
+
+      const receipt = await manager.send(heart, "registerNode(string)", [MAC_A], "register");
+
+      expect(receipt.status).to.equal(1);
+      expect(await heart.isNodeRegistered(MAC_A)).to.equal(true);
+      expect(lines[0]).to.match(/^\[INFO\] register tx 0x[0-9a-f]+ sent \| nonce: \d+/);
+      expect(lines[1]).to.include(`confirmed in block ${receipt.blockNumber}`);
+    });
+
+    it("should not broadcast a call that would revert", async function () {
+      const { heart, admin } = await loadFixture(deployFixture);
+      await heart.registerNode(MAC_A);
+      await heart.electMaster(MAC_A);
+      const { manager } = createManager(admin);
+      const nonceBefore = await ethers.provider.getTransactionCount(admin.address);
+
+      try {
+        await manager.send(heart, "electMaster(string)", [MAC_A], "elect");
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.include("MasterStillAlive");
+      }
+      expect(await ethers.provider.getTransactionCount(admin.address)).to.equal(nonceBefore);
+    });
+
+    it("should report each outcome to onResult", async function () {
+      const { heart, admin } = await loadFixture(deployFixture);
+      const results = [];
+      const { manager } = createManager(admin, { onResult: (result) => results.push(result) });
+
+      const receipt = await manager.send(heart, "registerNode(string)", [MAC_A], "register");
+      await manager.send(heart, "registerNode(string)", [MAC_A], "register").catch(() => {});
+
+      expect(results).to.have.length(2);
+      expect(results[0]).to.include({ label: "register", status: "confirmed", hash: receipt.hash, receipt });
+      expect(results[1]).to.include({ label: "register", status: "failed", hash: null, receipt: null });
+    });
+
+    it("should assign consecutive nonces to concurrent sends", async function () {
+      const { heart, admin } = await loadFixture(deployFixture);
+      const { manager } = createManager(admin);
+      const first = await ethers.provider.getTransactionCount(admin.address);
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      const pending = Promise.all([
+        manager.send(heart, "registerNode(string)", [MAC_A]),
+        manager.send(heart, "registerNode(string)", [MAC_B]),
+      ]);
+      await waitFor(async () => (await ethers.provider.getTransactionCount(admin.address, "pending")) === first + 2);
+      await mine();
+      const receipts = await pending;
+
+      const txs = await Promise.all(receipts.map((r) => ethers.provider.getTransaction(r.hash)));
+      expect(txs.map((tx) => tx.nonce)).to.deep.equal([first, first + 1]);
+    });
+
+    it("should resync its nonce after another tx from the same key", async function () {
+      const { heart, admin } = await loadFixture(deployFixture);
+      const { manager, lines } = createManager(admin);
+      await manager.send(heart, "registerNode(string)", [MAC_A]);
+
+      // Another process sharing the key takes the next nonce.
+      await heart.registerNode(MAC_B);
+      const receipt = await manager.send(heart, "registerNode(string)", [MAC_C]);
+
+      expect(receipt.status).to.equal(1);
+      expect(lines.some((line) => line.includes("Resyncing and retrying"))).to.equal(true);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Gas strategy
+  // ---------------------------------------------------------------------------
+  describe("gas strategy", function () {
+    it("should send EIP-1559 txs by default on a London chain", async function () {
+      const { heart, admin } = await loadFixture(deployFixture);
+      const { manager } = createManager(admin);
+      const receipt = await manager.send(heart, "registerNode(string)", [MAC_A]);
+      expect((await ethers.provider.getTransaction(receipt.hash)).type).to.equal(2);
+    });
+
+    it("should send legacy txs when configured", async function () {
+      const { heart, admin } = await loadFixture(deployFixture);
+      const { manager } = createManager(admin, { gasStrategy: "legacy", gasMultiplier: 1.5 });
+      const { gasPrice } = await ethers.provider.getFeeData();
+
+      const receipt = await manager.send(heart, "registerNode(string)", [MAC_A]);
+      const tx = await ethers.provider.getTransaction(receipt.hash);
+      expect(tx.type).to.equal(0);
+      expect(tx.gasPrice).to.be.greaterThan(gasPrice);
+    });
+
+    it("should cap fees at maxGasPrice", async function () {
+      const { admin } = await loadFixture(deployFixture);
+      const { manager } = createManager(admin, { maxGasPrice: 7n });
+      expect(await manager.getFees()).to.deep.equal({ maxFeePerGas: 7n, maxPriorityFeePerGas: 7n });
+    });
+
+    it("should reject an unknown strategy", async function () {
+      const [admin] = await ethers.getSigners();
+      expect(() => new TxManager(admin, { gasStrategy: "fast" })).to.throw('unknown gasStrategy "fast"');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Stuck transactions
+  // ---------------------------------------------------------------------------
+  describe("stuck transactions", function () {
+    it("should replace a tx with higher fees after replaceAfterBlocks blocks", async function () {
+      const { heart, admin } = await loadFixture(deployFixture);
+      const { manager, lines } = createManager(admin, { replaceAfterBlocks: 2 });
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      const pending = manager.send(heart, "registerNode(string)", [MAC_A], "register");
+      await waitFor(() => lines.some((line) => line.includes("sent")));
+      const original = lines[0].match(/tx (0x[0-9a-f]+)/)[1];
+
+      // Base fee spikes above the tx's maxFeePerGas, so it stays in the mempool.
+      await ethers.provider.send("hardhat_setNextBlockBaseFeePerGas", [ethers.toQuantity(ethers.parseUnits("100", "gwei"))]);
+      await mine();
+      await mine();
+      await waitFor(() => lines.some((line) => line.includes("Replaced by")));
+      await mine();
+      const receipt = await pending;
+
+      expect(receipt.hash).to.not.equal(original);
+      expect(lines.find((line) => line.includes("Replaced by"))).to.include(`register tx ${original} not mined after 2 blocks`);
+      expect(await heart.isNodeRegistered(MAC_A)).to.equal(true);
+    });
+
+    it("should time out and let the next send replace the stuck tx", async function () {
+      const { heart, admin } = await loadFixture(deployFixture);
+      // Gas is estimated against the pending state; keep both registrations equally priced.
+      await heart.registerNode(MAC_C);
+      const { manager, lines } = createManager(admin, { waitTimeout: 200, replaceAfterBlocks: 100 });
+      const nonce = await ethers.provider.getTransactionCount(admin.address);
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        await manager.send(heart, "registerNode(string)", [MAC_A], "register");
+        expect.fail("should have thrown");
+      } catch (err) {
+        expect(err.message).to.match(/register tx 0x[0-9a-f]+ not mined within 0.2s/);
+      }
+      expect(lines.at(-1)).to.match(/^\[ERROR\]/);
+
+      const sending = manager.send(heart, "registerNode(string)", [MAC_B], "register");
+      await waitFor(() => lines.filter((line) => line.includes("sent")).length === 2);
+      await mine();
+      const receipt = await sending;
+
+      expect((await ethers.provider.getTransaction(receipt.hash)).nonce).to.equal(nonce);
+      expect(await heart.isNodeRegistered(MAC_A)).to.equal(false);
+      expect(await heart.isNodeRegistered(MAC_B)).to.equal(true);
+    });
+
+    it("should reuse the lowest timed-out nonce when several sends were in flight", async function () {
+      const { heart, admin } = await loadFixture(deployFixture);
+      await heart.registerNode(MAC_C);
+      const { manager, lines } = createManager(admin, { waitTimeout: 200, replaceAfterBlocks: 100 });
+      const nonce = await ethers.provider.getTransactionCount(admin.address);
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      const outcomes = await Promise.allSettled([
+        manager.send(heart, "registerNode(string)", [MAC_A], "register"),
+        manager.send(heart, "registerNode(string)", [MAC_B], "register"),
+      ]);
+      expect(outcomes.map((o) => o.status)).to.deep.equal(["rejected", "rejected"]);
+
+      const sending = manager.send(heart, "registerNode(string)", ["AA:BB:CC:DD:EE:04"], "register");
+      await waitFor(() => lines.filter((line) => line.includes("sent")).length === 3);
+      await mine();
+      const receipt = await sending;
+      expect((await ethers.provider.getTransaction(receipt.hash)).nonce).to.equal(nonce);
+      expect(await heart.isNodeRegistered(MAC_A)).to.equal(false);
+
+      // The second stuck tx was mined with it, so its nonce is skipped.
+      await ethers.provider.send("evm_setAutomine", [true]);
+      const next = await manager.send(heart, "registerNode(string)", ["AA:BB:CC:DD:EE:05"], "register");
+      expect((await ethers.provider.getTransaction(next.hash)).nonce).to.equal(nonce + 2);
+      expect(await heart.isNodeRegistered(MAC_B)).to.equal(true);
+    });
+  });
+});